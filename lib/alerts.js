@@ -0,0 +1,141 @@
+/**
+ * lib/alerts.js — price and zone alerts (pure functions; bot.js stores the rules and runs the checks)
+ *
+ * Rule kinds:
+ *  - price: { op: '>' | '<', level } — price trades at or through the level (bars since the last check)
+ *  - fvg:   a closed bar trades back into the newest fair value gap (detectFVG) that is not filled yet
+ *  - ob:    same for the newest order block candle (detectOrderBlock)
+ *  - bos:   a closed bar breaks the recent range (detectBOS)
+ * fvg / ob / bos take a timeframe (default 15m) and optionally a side (LONG = bullish / up).
+ * Zone and BOS rules only see closed bars, each bar once. One-shot rules end at their first trigger;
+ * repeating ones fire again — price rules once price went back to the other side of the level,
+ * zone rules on the next entry into a zone, BOS rules on the next break. A price rule set while price is
+ * already past its level waits for price to come back first, like a repeating rule after a hit.
+ */
+
+const crypto = require('crypto');
+const { detectBOS, detectOrderBlock, detectFVG } = require('./detectors');
+const { mitigation } = require('./structure');
+const { intervalToMs } = require('./kline-file');
+
+const ALERT_KINDS = ['price', 'fvg', 'ob', 'bos'];
+const DEFAULT_TIMEFRAME = '15m';
+const SIDES = { long: 'LONG', up: 'LONG', bull: 'LONG', bullish: 'LONG', short: 'SHORT', down: 'SHORT', bear: 'SHORT', bearish: 'SHORT' };
+
+function badAlert(message) {
+  const err = new Error(message);
+  err.code = 'BAD_ALERT';
+  return err;
+}
+
+// "BTCUSDT > 70000 [repeat]", "ETHUSDT fvg 1h [long] [repeat]", "SOLUSDT bos 4h [up]"
+// -> { symbol, kind, op, level, timeframe, dir, repeat }; throws BAD_ALERT
+function parseAlert(text) {
+  const tokens = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const symbol = (tokens.shift() || '').toUpperCase();
+  if (!/^[A-Z0-9]{2,20}$/.test(symbol)) throw badAlert('missing symbol');
+  let repeat = false;
+  const rest = tokens.filter(tok => {
+    const w = tok.toLowerCase();
+    if (w === 'repeat' || w === 'once') { repeat = w === 'repeat'; return false; }
+    return true;
+  });
+
+  // "> 70000", ">70000", "above 70000"
+  const opMatch = /^(>=?|<=?|above|below)(.*)$/i.exec(rest[0] || '');
+  if (opMatch) {
+    const level = Number(opMatch[2] || rest[1]);
+    if (!(level > 0) || rest.length > (opMatch[2] ? 1 : 2)) throw badAlert('price level must be a positive number');
+    const op = /^(>|above)/i.test(opMatch[1]) ? '>' : '<';
+    return { symbol, kind: 'price', op, level, timeframe: null, dir: null, repeat };
+  }
+
+  const kind = (rest.shift() || '').toLowerCase();
+  if (!ALERT_KINDS.includes(kind) || kind === 'price') throw badAlert(`unknown alert "${kind}"`);
+  let timeframe = DEFAULT_TIMEFRAME, dir = null;
+  for (const tok of rest) {
+    const w = tok.toLowerCase();
+    if (intervalToMs(w)) timeframe = w;
+    else if (SIDES[w]) dir = SIDES[w];
+    else throw badAlert(`unexpected "${tok}"`);
+  }
+  return { symbol, kind, op: null, level: null, timeframe, dir, repeat };
+}
+
+// stored rule: parsed fields plus the chat it belongs to and the check state. `price` is the price when the
+// rule is set: a price rule already beyond its level starts disarmed and fires on the next cross
+function createAlert(parsed, { chatId, createdBy, price, now = Date.now() }) {
+  const state = parsed.kind === 'price' && price != null ? { armed: !beyondLevel(parsed, price) } : {};
+  return { id: crypto.randomBytes(3).toString('hex'), chatId: String(chatId), createdBy: String(createdBy), ...parsed, createdAt: now, hits: 0, lastHitAt: null, state };
+}
+
+function beyondLevel(rule, price) { return rule.op === '>' ? price >= rule.level : price <= rule.level; }
+
+// ------------- ZONES -------------
+function gapDir(g) { return g.type === 'FVG_UP' ? 'LONG' : 'SHORT'; }
+
+// newest gap (in `dir` when given) that price has not filled since it formed
+function openGap(candles, dir) {
+  let end = candles.length;
+  while (end >= 5) {
+    const g = detectFVG(candles.slice(0, end));
+    if (!g) return null;
+    const idx = candles.findIndex(c => c.t === g.t);
+    const zone = { kind: 'FVG', dir: gapDir(g), low: g.low, high: g.high, t: g.t };
+    if ((!dir || zone.dir === dir) && mitigation(zone, candles.slice(idx + 2)).state !== 'MITIGATED') return zone;
+    end = idx + 3; // older gaps only: the next search stops before this one's third bar
+  }
+  return null;
+}
+
+// order block candles among the last bars, bullish = demand (LONG), bearish = supply (SHORT)
+function openOrderBlocks(candles, dir) {
+  const blocks = detectOrderBlock(candles);
+  return [['LONG', blocks.bullish], ['SHORT', blocks.bearish]]
+    .filter(([d, c]) => c && (!dir || d === dir))
+    .map(([d, c]) => ({ kind: 'OB', dir: d, low: c.low, high: c.high, t: c.t }))
+    .filter(z => mitigation(z, candles.filter(c => c.t > z.t)).state !== 'MITIGATED');
+}
+
+function overlaps(zone, bar) { return bar.low <= zone.high && bar.high >= zone.low; }
+
+// ------------- CHECK -------------
+// candles: oldest first — price rules: recent bars (the forming one included); fvg / ob / bos: closed bars
+// of rule.timeframe. state (from the previous check): { armed, lastBarT }
+// -> { hit, info: { price, level, low, high, dir }, state }
+function checkAlert(rule, candles, state = {}) {
+  const last = candles && candles[candles.length - 1];
+  if (!last) return { hit: false, state };
+  const price = last.close;
+
+  if (rule.kind === 'price') {
+    const armed = state.armed !== false;
+    const fresh = candles.filter(c => c.t >= (state.lastBarT ?? rule.createdAt - intervalToMs('1m')));
+    const extreme = c => (rule.op === '>' ? c.high : c.low);
+    // the bar seen last time counts only with a new extreme: its old wick is what disarmed the rule
+    const moved = c => c.t !== state.lastBarT || state.lastExtreme == null || (rule.op === '>' ? c.high > state.lastExtreme : c.low < state.lastExtreme);
+    const hit = armed && fresh.some(c => moved(c) && beyondLevel(rule, extreme(c)));
+    // a repeating rule re-arms once price is back on the near side of the level
+    const back = rule.op === '>' ? price < rule.level : price > rule.level;
+    return { hit, info: { price, level: rule.level }, state: { armed: hit ? false : armed || back, lastBarT: last.t, lastExtreme: extreme(last) } };
+  }
+
+  // zone / BOS rules judge every closed bar once
+  if (state.lastBarT != null && last.t <= state.lastBarT) return { hit: false, state };
+  const next = { ...state, lastBarT: last.t };
+  if (last.t + intervalToMs(rule.timeframe) <= rule.createdAt) return { hit: false, state: next }; // closed before the rule existed
+  if (rule.kind === 'bos') {
+    const bos = detectBOS(candles);
+    const dir = bos && (bos.type === 'BOS_UP' ? 'LONG' : 'SHORT');
+    const hit = !!bos && (!rule.dir || rule.dir === dir);
+    return { hit, info: hit ? { price, level: bos.level, dir } : { price }, state: next };
+  }
+  // zone rules: the bar enters a zone the bars before it had not filled (it was outside the zone just before)
+  const prior = candles.slice(0, -1);
+  const prev = prior[prior.length - 1];
+  const zones = rule.kind === 'fvg' ? [openGap(prior, rule.dir)].filter(Boolean) : openOrderBlocks(prior, rule.dir);
+  const zone = zones.find(z => overlaps(z, last) && !(prev && prev.t > z.t && overlaps(z, prev)));
+  return { hit: !!zone, info: zone ? { price, low: zone.low, high: zone.high, dir: zone.dir } : { price }, state: next };
+}
+
+module.exports = { ALERT_KINDS, DEFAULT_TIMEFRAME, parseAlert, createAlert, checkAlert };
@@ -0,0 +1,166 @@
+/**
+ * lib/backtest.js — bar-by-bar replay of the detector pipeline
+ *
+ * At every closed bar the detectors + strategies run on the trailing window
+ * (same window size the live bot fetches). When an idea fires and no trade is
+ * open, a trade is opened at that bar's close and managed on following bars:
+ *  - SL / TP touched by the bar's low/high closes the trade
+ *  - if SL and TP are both touched in the same bar, SL is assumed first (conservative)
+ *  - after maxBars without a hit the trade expires at the bar's close
+ * Results are expressed in R (multiples of the initial risk entry→SL).
+ *
+ * When options.htf holds higher-timeframe candles ({ '4h': [...], '1h': [...] }),
+ * ideas go through the same HTF filter and HTF conditions as the live bot, using only
+ * HTF bars already closed at the evaluated bar's close.
+ * options.strategies (lib/strategies.js, default the shipped smc-structure) run side by side
+ * like in the bot: the best passing idea opens the trade, which records its strategy.
+ * runBacktestAsync() is the same replay in slices of ~sliceMs, giving the event loop a turn in between
+ * (the bot runs it inside a Telegram handler; months of 15m bars take seconds).
+ */
+
+const { realizedR, resolveBar } = require('./outcomes');
+const { htfBias } = require('./htf');
+const { runStrategies, DEFAULT_STRATEGY } = require('./strategies');
+const { intervalToMs } = require('./kline-file');
+const { t } = require('./i18n');
+
+const DEFAULTS = {
+  window: 300,     // candles fed to the detectors, matches fullAnalysis' fetch limit
+  warmup: 50,      // bars skipped before the first evaluation
+  maxBars: 96,     // bars a trade may stay open before it expires (96 x 15m = 24h)
+  htfWindow: 200,  // HTF candles fed to the bias, matches fullAnalysis' 1h/4h fetch limit
+  scoreThreshold: undefined, // for strategies without their own minScore
+  strategies: null,
+  htf: null,
+  htfMode: 'strict',
+  htfPenalty: 3,
+};
+
+// HTF candles closed by `time`, per timeframe (cursor keeps the scan linear over the run)
+function makeHtfSlicer(htf, windowSize) {
+  const frames = Object.entries(htf || {}).map(([tf, candles]) => ({ tf, candles, step: intervalToMs(tf), idx: 0 }));
+  return (time) => {
+    const out = {};
+    for (const f of frames) {
+      while (f.idx < f.candles.length && f.candles[f.idx].t + f.step <= time) f.idx++;
+      if (f.idx) out[f.tf] = f.candles.slice(Math.max(0, f.idx - windowSize), f.idx);
+    }
+    return out;
+  };
+}
+
+// the replay, yielding after every bar; returns the result
+function* replay(symbol, candles, options) {
+  const opts = { ...DEFAULTS, ...options };
+  const trades = [];
+  let open = null;
+  const stepMs = intervalToMs(opts.interval) || (candles.length > 1 ? candles[1].t - candles[0].t : 0);
+  const htfAt = opts.htf ? makeHtfSlicer(opts.htf, opts.htfWindow) : null;
+  const strategies = opts.strategies || [DEFAULT_STRATEGY];
+  const interval = opts.interval || '15m';
+
+  for (let i = Math.max(opts.warmup, 1); i < candles.length; i++) {
+    yield i;
+    const bar = candles[i];
+
+    if (open) {
+      let closed = resolveBar(open, bar);
+      if (!closed && i - open.openIndex >= opts.maxBars) closed = { ...open, outcome: 'EXPIRED', exit: bar.close, exitTime: bar.t };
+      if (closed) {
+        closed.r = +realizedR(closed, closed.exit).toFixed(4);
+        closed.bars = i - open.openIndex;
+        delete closed.openIndex;
+        trades.push(closed);
+        open = null;
+      }
+      continue; // one position at a time, like the live bot's one-signal-per-coin
+    }
+
+    const window = candles.slice(Math.max(0, i + 1 - opts.window), i + 1);
+    const bias = htfAt ? htfBias(htfAt(bar.t + stepMs)) : {};
+    const { idea } = runStrategies(strategies, symbol, { [interval]: window }, {
+      interval, bias, scoreThreshold: opts.scoreThreshold, htfMode: opts.htfMode, htfPenalty: opts.htfPenalty,
+    });
+    if (!idea.ok) continue;
+    open = {
+      symbol, dir: idea.dir, entry: idea.entry, sl: idea.sl, tp: idea.tp,
+      rr: Number(idea.rr), score: idea.score, note: idea.note, strategy: idea.strategy,
+      entryTime: bar.t, openIndex: i,
+    };
+  }
+
+  return { symbol, interval: opts.interval || null, strategies: strategies.map(s => s.name), htf: opts.htf ? `${Object.keys(opts.htf).join('/')} ${opts.htfMode}` : null, bars: candles.length, from: candles[0]?.t, to: candles[candles.length - 1]?.t, trades, stats: computeStats(trades), openTrade: open };
+}
+
+function runBacktest(symbol, candles, options = {}) {
+  const steps = replay(symbol, candles, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+}
+
+async function runBacktestAsync(symbol, candles, options = {}, { sliceMs = 50 } = {}) {
+  const steps = replay(symbol, candles, options);
+  let step = steps.next();
+  while (!step.done) {
+    const until = Date.now() + sliceMs;
+    // at least one bar per slice, however small sliceMs is
+    do step = steps.next(); while (!step.done && Date.now() < until);
+    if (!step.done) await new Promise(resolve => setImmediate(resolve));
+  }
+  return step.value;
+}
+
+function computeStats(trades) {
+  const n = trades.length;
+  const wins = trades.filter(t => t.r > 0).length;
+  const losses = trades.filter(t => t.r < 0).length;
+  const totalR = trades.reduce((s, t) => s + t.r, 0);
+  const avgRR = n ? trades.reduce((s, t) => s + t.rr, 0) / n : 0;
+
+  // max drawdown on the cumulative R curve (peak to trough)
+  let equity = 0, peak = 0, maxDrawdown = 0;
+  for (const t of trades) {
+    equity += t.r;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+  }
+
+  return {
+    trades: n,
+    wins,
+    losses,
+    expired: trades.filter(t => t.outcome === 'EXPIRED').length,
+    winRate: n ? wins / n : 0,
+    avgRR,
+    totalR,
+    expectancy: n ? totalR / n : 0,
+    maxDrawdown,
+  };
+}
+
+// the /backtest reply in `lang` (lib/i18n)
+function formatReport(result, lang) {
+  const s = result.stats;
+  const fmt = (x, d = 2) => Number(x).toFixed(d);
+  const range = result.from ? `${new Date(result.from).toISOString().slice(0, 10)} → ${new Date(result.to).toISOString().slice(0, 10)}` : '-';
+  return [
+    t(lang, 'backtest.title', { symbol: result.symbol, interval: result.interval || '' }).trim(),
+    t(lang, 'backtest.range', { range, bars: result.bars }),
+    t(lang, 'backtest.htf', { mode: result.htf || t(lang, 'backtest.htfOff') }),
+    t(lang, 'backtest.strategies', { list: (result.strategies || []).join(', ') || '-' }),
+    t(lang, 'backtest.trades', { trades: s.trades, wins: s.wins, losses: s.losses, expired: s.expired }),
+    t(lang, 'backtest.winRate', { winRate: fmt(s.winRate * 100, 1) }),
+    t(lang, 'backtest.avgRR', { rr: fmt(s.avgRR) }),
+    t(lang, 'backtest.totalR', { r: fmt(s.totalR) }),
+    t(lang, 'backtest.expectancy', { r: fmt(s.expectancy) }),
+    t(lang, 'backtest.drawdown', { r: fmt(s.maxDrawdown) }),
+    // per strategy when several ran side by side
+    ...((result.strategies || []).length > 1 ? result.strategies.map(name => {
+      const st = computeStats(result.trades.filter(trade => trade.strategy === name));
+      return t(lang, 'backtest.perStrategy', { name, trades: st.trades, winRate: fmt(st.winRate * 100, 1), r: fmt(st.totalR) });
+    }) : []),
+  ].join('\n');
+}
+
+module.exports = { runBacktest, runBacktestAsync, computeStats, formatReport };
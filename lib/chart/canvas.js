@@ -0,0 +1,97 @@
+/**
+ * lib/chart/canvas.js — tiny RGBA raster: rectangles, lines, dashed lines, bitmap text
+ *
+ * Colours are [r, g, b]; alpha (0..1) blends over what is already drawn.
+ */
+
+const { encodePNG } = require('./png');
+const { glyph, GLYPH_W, GLYPH_H } = require('./font');
+
+function createCanvas(width, height, background = [255, 255, 255]) {
+  width = Math.round(width);
+  height = Math.round(height);
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 4] = background[0];
+    data[i * 4 + 1] = background[1];
+    data[i * 4 + 2] = background[2];
+    data[i * 4 + 3] = 255;
+  }
+
+  function pixel(x, y, color, alpha = 1) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const i = (y * width + x) * 4;
+    if (alpha >= 1) {
+      data[i] = color[0]; data[i + 1] = color[1]; data[i + 2] = color[2];
+      return;
+    }
+    data[i] = Math.round(data[i] * (1 - alpha) + color[0] * alpha);
+    data[i + 1] = Math.round(data[i + 1] * (1 - alpha) + color[1] * alpha);
+    data[i + 2] = Math.round(data[i + 2] * (1 - alpha) + color[2] * alpha);
+  }
+
+  function fillRect(x, y, w, h, color, alpha = 1) {
+    const x0 = Math.max(0, Math.round(Math.min(x, x + w)));
+    const x1 = Math.min(width, Math.round(Math.max(x, x + w)));
+    const y0 = Math.max(0, Math.round(Math.min(y, y + h)));
+    const y1 = Math.min(height, Math.round(Math.max(y, y + h)));
+    for (let yy = y0; yy < y1; yy++) for (let xx = x0; xx < x1; xx++) pixel(xx, yy, color, alpha);
+  }
+
+  function strokeRect(x, y, w, h, color) {
+    line(x, y, x + w, y, color);
+    line(x, y + h, x + w, y + h, color);
+    line(x, y, x, y + h, color);
+    line(x + w, y, x + w, y + h, color);
+  }
+
+  // Bresenham; dash = [on, off] in pixels
+  function line(x0, y0, x1, y1, color, { dash = null, alpha = 1 } = {}) {
+    x0 = Math.round(x0); y0 = Math.round(y0); x1 = Math.round(x1); y1 = Math.round(y1);
+    const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    let step = 0;
+    for (;;) {
+      if (!dash || step % (dash[0] + dash[1]) < dash[0]) pixel(x0, y0, color, alpha);
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) { err += dy; x0 += sx; }
+      if (e2 <= dx) { err += dx; y0 += sy; }
+      step++;
+    }
+  }
+
+  function textWidth(str, scale = 1) {
+    return String(str).length * (GLYPH_W + 1) * scale - scale;
+  }
+
+  // (x, y) = top-left corner
+  function text(x, y, str, color, scale = 1) {
+    let cx = Math.round(x);
+    for (const ch of String(str)) {
+      const rows = glyph(ch);
+      for (let r = 0; r < GLYPH_H; r++) {
+        for (let c = 0; c < GLYPH_W; c++) {
+          if (rows[r][c] === '1') fillRect(cx + c * scale, Math.round(y) + r * scale, scale, scale, color);
+        }
+      }
+      cx += (GLYPH_W + 1) * scale;
+    }
+  }
+
+  // text on a filled box, e.g. price tags on the axis
+  function label(x, y, str, color, background, scale = 1) {
+    const pad = 2 * scale;
+    fillRect(x, y, textWidth(str, scale) + pad * 2, GLYPH_H * scale + pad * 2, background);
+    text(x + pad, y + pad, str, color, scale);
+  }
+
+  function toPNG() { return encodePNG(width, height, data); }
+
+  return { width, height, pixel, fillRect, strokeRect, line, text, textWidth, label, toPNG, textHeight: GLYPH_H };
+}
+
+module.exports = { createCanvas };
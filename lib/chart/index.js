@@ -0,0 +1,152 @@
+/**
+ * lib/chart/index.js — annotated candlestick chart as PNG (pure JS: no browser, no canvas addon, no network)
+ *
+ * renderSignalChart({ symbol, interval, candles, bos, fvg, ob, idea }) draws the last
+ * `bars` candles with the detector output on top:
+ *   - FVG box from the displacement bar to the right edge
+ *   - order-block candle range (bullish / bearish) extended to the right
+ *   - BOS / CHoCH level (dashed) with the breaking bar marked
+ *   - entry / SL / TP1-3 lines with price tags on the axis
+ * Returns a Buffer with the PNG.
+ */
+
+const { createCanvas } = require('./canvas');
+
+const COLORS = {
+  bg: [19, 23, 34],
+  grid: [42, 46, 57],
+  axis: [120, 123, 134],
+  text: [209, 212, 220],
+  up: [38, 166, 154],
+  down: [239, 83, 80],
+  entry: [66, 135, 245],
+  sl: [239, 83, 80],
+  tp: [76, 175, 80],
+  fvgUp: [38, 166, 154],
+  fvgDown: [239, 83, 80],
+  obBull: [33, 150, 243],
+  obBear: [255, 152, 0],
+  bos: [255, 235, 59],
+};
+
+const DEFAULTS = { width: 960, height: 540, bars: 90 };
+
+function fmtPrice(p) {
+  if (p == null || !isFinite(p)) return '';
+  const abs = Math.abs(p);
+  const digits = abs >= 1000 ? 2 : abs >= 1 ? 4 : abs >= 0.01 ? 6 : 8;
+  return String(+p.toFixed(digits));
+}
+
+// ~n round-number ticks covering [lo, hi]
+function niceTicks(lo, hi, n = 6) {
+  const raw = (hi - lo) / n;
+  if (!(raw > 0)) return [lo];
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * mag).find(s => s >= raw) || 10 * mag;
+  const out = [];
+  for (let v = Math.ceil(lo / step) * step; v <= hi; v += step) out.push(+v.toPrecision(12));
+  return out;
+}
+
+function renderSignalChart(input, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const { symbol, interval = '15m', bos, fvg, ob, idea } = input;
+  const candles = (input.candles || []).slice(-opts.bars);
+  const cv = createCanvas(opts.width, opts.height, COLORS.bg);
+  const plot = { x: 10, y: 30, w: opts.width - 100, h: opts.height - 60 };
+
+  const title = [symbol, interval, idea && idea.ok ? `${idea.dir} SCORE ${idea.score}` : null].filter(Boolean).join('  ');
+  cv.text(plot.x, 10, title, COLORS.text, 2);
+  if (!candles.length) {
+    cv.text(plot.x, plot.y + 20, 'NO DATA', COLORS.axis, 2);
+    return cv.toPNG();
+  }
+  const stamp = `${new Date(candles[candles.length - 1].t).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  cv.text(opts.width - cv.textWidth(stamp) - 10, 14, stamp, COLORS.axis);
+
+  // price scale covers the candles and every level we draw
+  const levels = [];
+  if (idea && idea.ok) levels.push(idea.entry, idea.sl, ...(idea.tps && idea.tps.length ? idea.tps : [idea.tp]));
+  if (fvg) levels.push(fvg.low, fvg.high);
+  if (bos && bos.level != null) levels.push(bos.level);
+  let lo = Math.min(...candles.map(c => c.low), ...levels.filter(isFinite));
+  let hi = Math.max(...candles.map(c => c.high), ...levels.filter(isFinite));
+  const pad = (hi - lo) * 0.05 || hi * 0.01 || 1;
+  lo -= pad;
+  hi += pad;
+  const y = p => plot.y + (hi - p) / (hi - lo) * plot.h;
+  const slot = plot.w / opts.bars;
+  // candles are right-aligned so the latest bar always sits next to the axis
+  const offset = opts.bars - candles.length;
+  const xOf = i => plot.x + (offset + i + 0.5) * slot;
+  const indexOf = t => candles.findIndex(c => c.t === t);
+  const right = plot.x + plot.w;
+
+  // grid + axis
+  for (const v of niceTicks(lo, hi)) {
+    cv.line(plot.x, y(v), right, y(v), COLORS.grid);
+    cv.text(right + 6, y(v) - 3, fmtPrice(v), COLORS.axis);
+  }
+  cv.line(right, plot.y, right, plot.y + plot.h, COLORS.axis);
+
+  // zones under the candles, their labels on top (kept inside the plot)
+  const zoneLabels = [];
+  const labelAt = (x, yy, str, color) => zoneLabels.push([Math.min(x + 3, right - cv.textWidth(str) - 3), yy, str, color]);
+  if (fvg) {
+    const i = fvg.t != null ? indexOf(fvg.t) : -1;
+    const x0 = i >= 0 ? xOf(i) - slot / 2 : plot.x;
+    const color = fvg.type === 'FVG_UP' ? COLORS.fvgUp : COLORS.fvgDown;
+    cv.fillRect(x0, y(fvg.high), right - x0, y(fvg.low) - y(fvg.high), color, 0.18);
+    labelAt(x0, y(fvg.high) - 10, fvg.state === 'PARTIAL' ? `FVG ${Math.round(fvg.fill * 100)}%` : 'FVG', color);
+  }
+  const blocks = [];
+  if (ob && ob.bullish && (!idea || !idea.ok || idea.dir === 'LONG')) blocks.push({ c: ob.bullish, color: COLORS.obBull, name: 'OB+' });
+  if (ob && ob.bearish && (!idea || !idea.ok || idea.dir === 'SHORT')) blocks.push({ c: ob.bearish, color: COLORS.obBear, name: 'OB-' });
+  for (const b of blocks) {
+    const i = indexOf(b.c.t);
+    if (i < 0) continue;
+    const x0 = xOf(i) - slot / 2;
+    cv.fillRect(x0, y(b.c.high), right - x0, y(b.c.low) - y(b.c.high), b.color, 0.15);
+    cv.strokeRect(x0, y(b.c.high), slot, y(b.c.low) - y(b.c.high), b.color);
+    labelAt(x0, y(b.c.low) + 3, b.name, b.color);
+  }
+
+  // candles
+  const bodyW = Math.max(1, slot * 0.7);
+  candles.forEach((c, i) => {
+    const color = c.close >= c.open ? COLORS.up : COLORS.down;
+    const x = xOf(i);
+    cv.line(x, y(c.high), x, y(c.low), color);
+    const top = y(Math.max(c.open, c.close));
+    cv.fillRect(x - bodyW / 2, top, bodyW, Math.max(1, y(Math.min(c.open, c.close)) - top), color);
+  });
+  for (const [lx, ly, str, color] of zoneLabels) cv.label(lx - 2, ly - 2, str, color, COLORS.bg);
+
+  // BOS / CHoCH level + marker on the breaking bar
+  if (bos && bos.level != null) {
+    cv.line(plot.x, y(bos.level), right, y(bos.level), COLORS.bos, { dash: [6, 4] });
+    const i = bos.t != null ? indexOf(bos.t) : candles.length - 1;
+    const bx = i >= 0 ? xOf(i) : right;
+    cv.text(Math.max(plot.x, bx - 40), y(bos.level) + (bos.type === 'BOS_UP' ? -11 : 4), `${bos.kind === 'CHOCH' ? 'CHOCH' : 'BOS'} ${bos.type === 'BOS_UP' ? 'UP' : 'DOWN'}`, COLORS.bos);
+  }
+
+  // trade levels with tags on the price axis
+  if (idea && idea.ok) {
+    const tps = idea.tps && idea.tps.length ? idea.tps : [idea.tp];
+    const lines = [
+      { p: idea.entry, name: 'ENTRY', color: COLORS.entry, dash: null },
+      { p: idea.sl, name: 'SL', color: COLORS.sl, dash: null },
+      ...tps.map((p, k) => ({ p, name: tps.length > 1 ? `TP${k + 1}` : 'TP', color: COLORS.tp, dash: [8, 4] })),
+    ];
+    for (const l of lines) {
+      cv.line(plot.x, y(l.p), right, y(l.p), l.color, { dash: l.dash });
+      cv.text(plot.x + 4, y(l.p) - 10, l.name, l.color);
+      cv.label(right + 2, y(l.p) - 6, fmtPrice(l.p), COLORS.bg, l.color);
+    }
+  }
+
+  return cv.toPNG();
+}
+
+module.exports = { renderSignalChart, fmtPrice, niceTicks };
@@ -0,0 +1,135 @@
+/**
+ * lib/detectors.js — ICT-like detectors and the confluences strategies are built from
+ *
+ * Pure functions over candle arrays ({ t, open, high, low, close, vol }),
+ * shared by the live bot (bot.js) and the backtester (lib/backtest.js).
+ * analyzeCandles takes BOS/CHoCH, FVGs, order blocks and sweeps from the swing-based
+ * structure engine (lib/structure.js); the simple detectors below remain for the HTF bias.
+ * Weights, required confluences and SL/TP rules live in strategy files (lib/strategies.js).
+ */
+
+const { analyzeStructure, pickEntryZone } = require('./structure');
+
+const DEFAULT_SCORE_THRESHOLD = Number(process.env.SCORE_THRESHOLD || 2);
+const EVENT_MAX_AGE = 20; // bars a BOS / CHoCH or a sweep stays actionable
+
+// ------------- DETECTORS (ICT-like simplified) -------------
+function detectBOS(candles, lookback = 20) {
+  if (!candles || candles.length < lookback) return null;
+  const slice = candles.slice(-lookback);
+  const last = slice[slice.length - 1];
+  const highs = slice.slice(0, -1).map(c => c.high);
+  const lows = slice.slice(0, -1).map(c => c.low);
+  const recentHigh = Math.max(...highs);
+  const recentLow = Math.min(...lows);
+  // level = the swing extreme that was broken, t = the breaking bar
+  if (last.close > recentHigh) return { type: 'BOS_UP', price: last.close, level: recentHigh, t: last.t };
+  if (last.close < recentLow) return { type: 'BOS_DOWN', price: last.close, level: recentLow, t: last.t };
+  return null;
+}
+
+function detectOrderBlock(candles) {
+  if (!candles || candles.length < 6) return { bullish: null, bearish: null };
+  const last5 = candles.slice(-6, -1);
+  const blocks = { bullish: null, bearish: null };
+  for (const c of last5) {
+    const body = Math.abs(c.close - c.open);
+    const range = Math.max(1e-12, c.high - c.low);
+    if (body > range * 0.6) {
+      if (c.close > c.open) blocks.bullish = c;
+      else blocks.bearish = c;
+    }
+  }
+  return blocks;
+}
+
+function detectFVG(candles) {
+  if (!candles || candles.length < 5) return null;
+  for (let i = candles.length - 3; i >= 2; i--) {
+    const a = candles[i], b = candles[i - 2];
+    if (!a || !b) continue;
+    // t = open time of the displacement (middle) bar
+    if (a.low > b.high) return { type: 'FVG_UP', low: b.high, high: a.low, t: candles[i - 1].t };
+    if (a.high < b.low) return { type: 'FVG_DOWN', low: a.high, high: b.low, t: candles[i - 1].t };
+  }
+  return null;
+}
+
+function detectLiquidityZone(candles) {
+  if (!candles || candles.length < 15) return null;
+  const recent = candles.slice(-30);
+  const avgVol = recent.reduce((s, c) => s + (c.vol || 0), 0) / Math.max(1, recent.length);
+  const last = recent[recent.length - 1];
+  if (last && last.vol > avgVol * 1.8) return { type: 'LIQUIDITY_ZONE', vol: last.vol, avgVol };
+  return null;
+}
+
+function detectCandlePattern(candles) {
+  if (!candles || candles.length < 2) return null;
+  const last = candles[candles.length - 1], prev = candles[candles.length - 2];
+  const body = Math.abs(last.close - last.open);
+  const range = Math.max(1e-12, last.high - last.low);
+  const upper = last.high - Math.max(last.open, last.close);
+  const lower = Math.min(last.open, last.close) - last.low;
+  if (body < range * 0.3 && upper > lower * 2) return 'ShootingStar';
+  if (body < range * 0.3 && lower > upper * 2) return 'Hammer';
+  if (last.close > prev.open && last.open < prev.close && last.close > last.open) return 'BullishEngulfing';
+  if (last.close < prev.open && last.open > prev.close && last.close < last.open) return 'BearishEngulfing';
+  return null;
+}
+
+// ------------- STRUCTURE → DETECTOR OUTPUT (same shapes the idea engine and charts use) -------------
+// latest BOS / CHoCH no older than maxAge bars: { type: 'BOS_UP' | 'BOS_DOWN', kind: 'BOS' | 'CHOCH', price, level, t }
+function structureBreak(structure, candles, maxAge = EVENT_MAX_AGE) {
+  const ev = structure.lastEvent;
+  if (!ev || candles.length - 1 - ev.i > maxAge) return null;
+  return { type: `BOS_${ev.dir}`, kind: ev.type, price: candles[ev.i].close, level: ev.level, t: ev.t };
+}
+
+// newest order block per side that price has not traded through, as the candle detectOrderBlock returns
+function openOrderBlocks(structure) {
+  const latest = dir => structure.orderBlocks.filter(o => o.dir === dir && o.state !== 'MITIGATED').pop();
+  const asCandle = o => o && { ...o.candle, state: o.state, fill: o.fill };
+  return { bullish: asCandle(latest('LONG')) || null, bearish: asCandle(latest('SHORT')) || null };
+}
+
+// nearest FVG not yet filled, in `dir` when given
+function openFvg(structure, dir) {
+  const z = structure.zones.find(x => x.kind === 'FVG' && (!dir || x.dir === dir));
+  return z ? { type: z.type, low: z.low, high: z.high, t: z.t, state: z.state, fill: z.fill } : null;
+}
+
+// recent sweep of resting liquidity on the side a `dir` trade wants taken first (sell-side before a LONG)
+function recentSweep(structure, candles, dir, maxAge = EVENT_MAX_AGE) {
+  const want = dir === 'LONG' ? 'SWEEP_LOW' : dir === 'SHORT' ? 'SWEEP_HIGH' : null;
+  const s = structure.sweeps.filter(x => (!want || x.type === want) && candles.length - 1 - x.i <= maxAge).pop();
+  return s ? { type: s.type, source: s.source, level: s.level, t: s.t } : null;
+}
+
+// ------------- CONFLUENCES (what lib/strategies scores and turns into ideas) -------------
+// run every detector on the primary timeframe (same pipeline for live & backtest)
+// dir = the fresh break's direction, else the structure trend; liq = a recent sweep on that side, else a volume spike
+function analyzeCandles(symbol, candles) {
+  const price = candles[candles.length - 1].close;
+  const structure = analyzeStructure(candles);
+  const bos = structureBreak(structure, candles);
+  const dir = bos ? (bos.type === 'BOS_UP' ? 'LONG' : 'SHORT') : { UP: 'LONG', DOWN: 'SHORT' }[structure.trend] || null;
+  const ob = openOrderBlocks(structure);
+  const fvg = openFvg(structure, dir);
+  const sweep = recentSweep(structure, candles, dir);
+  const volume = detectLiquidityZone(candles);
+  const pattern = detectCandlePattern(candles);
+  const zone = dir ? pickEntryZone(structure, dir) : null;
+  return { symbol, price, dir, bos, ob, fvg, liq: sweep || volume, sweep, volume, pattern, zone, structure, candles };
+}
+
+module.exports = {
+  DEFAULT_SCORE_THRESHOLD,
+  detectBOS,
+  detectOrderBlock,
+  detectFVG,
+  detectLiquidityZone,
+  detectCandlePattern,
+  structureBreak,
+  analyzeCandles,
+};
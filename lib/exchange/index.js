@@ -0,0 +1,39 @@
+/**
+ * lib/exchange/index.js — execution adapters for paper trading (and, later, live trading)
+ *
+ * Adapters implement:
+ *   { name,
+ *     openPosition({ id, userId, signalId, symbol, dir, qty, entry, sl, targets: [{ price, fraction }], at })
+ *       -> { position, fills },
+ *     syncPosition(position, { candles, now, expiresAt }) -> { position, fills },
+ *     closePosition(position, { price, at, reason }) -> { position, fills } }
+ * All methods are async and return a new position object (the caller persists it) plus the
+ * fills that happened, each { kind: 'ENTRY' | 'TP1'.. | 'SL' | 'EXPIRED' | ..., price, qty, fee, pnl, cash, at }.
+ * A live adapter would place the bracket on the exchange in openPosition and read order
+ * status in syncPosition; the mock simulates both against klines.
+ * Built in: mock.
+ */
+
+const { createMockExchange } = require('./mock');
+
+const ADAPTERS = { mock: createMockExchange };
+
+function createExchange(name, opts = {}) {
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    const err = new Error(`unknown exchange adapter "${name}"`);
+    err.code = 'UNKNOWN_EXCHANGE';
+    throw err;
+  }
+  return factory(opts);
+}
+
+// adapter from env: PAPER_EXCHANGE, PAPER_FEE_PCT, PAPER_SLIPPAGE_PCT
+function createExchangeFromEnv(env = process.env) {
+  return createExchange(env.PAPER_EXCHANGE || 'mock', {
+    feeRate: Number(env.PAPER_FEE_PCT ?? 0.04) / 100,
+    slippage: Number(env.PAPER_SLIPPAGE_PCT ?? 0.02) / 100,
+  });
+}
+
+module.exports = { createExchange, createExchangeFromEnv };
@@ -0,0 +1,98 @@
+/**
+ * lib/exchange/mock.js — simulated exchange for paper trading
+ *
+ * Positions are plain objects the caller stores; the mock fills them against klines:
+ *   - entry: market fill at the signal price, slipped against the trader
+ *   - stop: market fill at the stop with slippage; SL wins when a bar touches both (as in lib/outcomes)
+ *   - take-profits: limit fills at their exact price, each closing its fraction of the opening size
+ *     (the last target closes whatever is left)
+ *   - fees: feeRate × notional on every fill
+ * Every fill carries `cash`: what it adds to the account balance (realized PnL minus fee).
+ */
+
+function sideSign(dir) { return dir === 'LONG' ? 1 : -1; }
+
+function createMockExchange({ feeRate = 0.0004, slippage = 0.0002 } = {}) {
+  // market orders move the price against us: buy higher, sell lower
+  function slip(price, buying) { return price * (1 + (buying ? slippage : -slippage)); }
+
+  function closeFill(pos, { kind, price, qty, at }) {
+    const fee = price * qty * feeRate;
+    const pnl = (price - pos.entry) * qty * sideSign(pos.dir);
+    pos.remaining = Math.max(0, pos.remaining - qty);
+    pos.fees += fee;
+    pos.realized += pnl - fee;
+    const fill = { kind, price, qty, fee, pnl, cash: pnl - fee, at };
+    pos.fills.push(fill);
+    return fill;
+  }
+
+  function finish(pos, reason, at) {
+    pos.status = 'CLOSED';
+    pos.exitReason = reason;
+    pos.closedAt = at;
+  }
+
+  // targets: [{ price, fraction }] in the order they are reached
+  async function openPosition({ id, userId, signalId, symbol, dir, qty, entry, sl, targets, at = Date.now() }) {
+    const price = slip(entry, dir === 'LONG');
+    const fee = price * qty * feeRate;
+    const fill = { kind: 'ENTRY', price, qty, fee, pnl: 0, cash: -fee, at };
+    const position = {
+      id, userId, signalId, symbol, dir, qty, remaining: qty, entry: price, signalEntry: entry, sl,
+      targets: targets.map(t => ({ ...t, filled: false })),
+      status: 'OPEN', openedAt: at, closedAt: null, syncedTo: at, mark: price,
+      fees: fee, realized: -fee, fills: [fill], exitReason: null, exchange: 'mock',
+    };
+    return { position, fills: [fill] };
+  }
+
+  // walk closed bars after position.syncedTo; past expiresAt the remainder is closed at the last close,
+  // once a bar at or past expiresAt is among the candles (missing bars could hold an SL / TP fill)
+  async function syncPosition(position, { candles = [], now = Date.now(), expiresAt = Infinity } = {}) {
+    const pos = { ...position, targets: position.targets.map(t => ({ ...t })), fills: position.fills.slice() };
+    const fills = [];
+    if (pos.status !== 'OPEN') return { position: pos, fills };
+    const sign = sideSign(pos.dir);
+    let reachedExpiry = false;
+    for (const bar of candles) {
+      if (bar.t <= pos.syncedTo) continue;
+      if (bar.t >= expiresAt) { reachedExpiry = true; break; }
+      const hitSL = sign > 0 ? bar.low <= pos.sl : bar.high >= pos.sl;
+      if (hitSL) {
+        fills.push(closeFill(pos, { kind: 'SL', price: slip(pos.sl, sign < 0), qty: pos.remaining, at: bar.t }));
+        finish(pos, 'SL', bar.t);
+      } else {
+        for (let k = 0; k < pos.targets.length; k++) {
+          const tgt = pos.targets[k];
+          if (tgt.filled || !(sign > 0 ? bar.high >= tgt.price : bar.low <= tgt.price)) continue;
+          const last = pos.targets.every((o, j) => j === k || o.filled);
+          tgt.filled = true;
+          fills.push(closeFill(pos, { kind: `TP${k + 1}`, price: tgt.price, qty: last ? pos.remaining : Math.min(pos.remaining, pos.qty * tgt.fraction), at: bar.t }));
+          if (!pos.remaining) { finish(pos, 'TP', bar.t); break; }
+        }
+      }
+      pos.syncedTo = bar.t;
+      pos.mark = bar.close;
+      if (pos.status !== 'OPEN') break;
+    }
+    if (pos.status === 'OPEN' && now >= expiresAt && reachedExpiry) {
+      const res = await closePosition(pos, { price: pos.mark, at: expiresAt, reason: 'EXPIRED' });
+      return { position: res.position, fills: fills.concat(res.fills) };
+    }
+    return { position: pos, fills };
+  }
+
+  // market-close the remainder (expiry, manual close)
+  async function closePosition(position, { price, at = Date.now(), reason = 'CLOSED' } = {}) {
+    const pos = { ...position, fills: position.fills.slice() };
+    if (pos.status !== 'OPEN') return { position: pos, fills: [] };
+    const fill = closeFill(pos, { kind: reason, price: slip(price, pos.dir !== 'LONG'), qty: pos.remaining, at });
+    finish(pos, reason, at);
+    return { position: pos, fills: [fill] };
+  }
+
+  return { name: 'mock', openPosition, syncPosition, closePosition };
+}
+
+module.exports = { createMockExchange };
@@ -0,0 +1,122 @@
+/**
+ * lib/htf.js — higher-timeframe (1h/4h) bias & confluence filter
+ *
+ * For each higher timeframe we work out:
+ *  - lastBOS:  direction of the most recent break of structure
+ *  - trend:    UP / DOWN when lastBOS and price vs EMA50 agree, RANGE otherwise
+ *  - zone:     PREMIUM / DISCOUNT relative to the HTF dealing range (last 50 bars)
+ *  - supply / demand: price sitting inside an HTF bearish/bullish order block or FVG
+ * A 15m idea is then checked against every HTF: it "agrees", is "against" or is "neutral".
+ */
+
+const { detectBOS, detectOrderBlock, detectFVG } = require('./detectors');
+
+const RANGE_BARS = 50;
+const EMA_PERIOD = 50;
+const BOS_LOOKBACK = 20;
+
+function ema(values, period) {
+  if (values.length < period) return null;
+  const k = 2 / (period + 1);
+  let e = values.slice(0, period).reduce((s, v) => s + v, 0) / period;
+  for (let i = period; i < values.length; i++) e = values[i] * k + e * (1 - k);
+  return e;
+}
+
+// walk back until a bar closes beyond its lookback range
+function lastBOS(candles, lookback = BOS_LOOKBACK) {
+  for (let end = candles.length; end >= lookback; end--) {
+    const bos = detectBOS(candles.slice(end - lookback, end), lookback);
+    if (bos) return { ...bos, t: candles[end - 1].t, barsAgo: candles.length - end };
+  }
+  return null;
+}
+
+function inZone(price, low, high) { return price >= Math.min(low, high) && price <= Math.max(low, high); }
+
+function analyzeTimeframe(candles) {
+  if (!candles || candles.length < BOS_LOOKBACK + 1) return null;
+  const price = candles[candles.length - 1].close;
+  const bos = lastBOS(candles);
+  const e = ema(candles.map(c => c.close), EMA_PERIOD);
+
+  let trend = 'RANGE';
+  if (bos && bos.type === 'BOS_UP' && (e == null || price > e)) trend = 'UP';
+  if (bos && bos.type === 'BOS_DOWN' && (e == null || price < e)) trend = 'DOWN';
+
+  const range = candles.slice(-RANGE_BARS);
+  const rangeHigh = Math.max(...range.map(c => c.high));
+  const rangeLow = Math.min(...range.map(c => c.low));
+  const position = rangeHigh > rangeLow ? (price - rangeLow) / (rangeHigh - rangeLow) : 0.5;
+  const zone = position >= 0.5 ? 'PREMIUM' : 'DISCOUNT';
+
+  const ob = detectOrderBlock(candles);
+  const fvg = detectFVG(candles);
+  const supply = (ob.bearish && inZone(price, ob.bearish.low, ob.bearish.high)) || (fvg && fvg.type === 'FVG_DOWN' && inZone(price, fvg.low, fvg.high));
+  const demand = (ob.bullish && inZone(price, ob.bullish.low, ob.bullish.high)) || (fvg && fvg.type === 'FVG_UP' && inZone(price, fvg.low, fvg.high));
+
+  return { price, trend, lastBOS: bos, ema50: e, rangeHigh, rangeLow, position, zone, ob, fvg, inSupply: !!supply, inDemand: !!demand };
+}
+
+// frames: { '4h': candles, '1h': candles } -> { '4h': analysis, '1h': analysis }
+function htfBias(frames) {
+  const out = {};
+  for (const [tf, candles] of Object.entries(frames || {})) {
+    const a = analyzeTimeframe(candles);
+    if (a) out[tf] = a;
+  }
+  return out;
+}
+
+// 'AGREE' | 'AGAINST' | 'NEUTRAL' for a LONG/SHORT idea on one HTF
+function alignment(dir, a) {
+  if (dir === 'LONG') {
+    if (a.trend === 'DOWN' || a.inSupply) return 'AGAINST';
+    if (a.trend === 'UP' || (a.trend === 'RANGE' && a.zone === 'DISCOUNT') || a.inDemand) return 'AGREE';
+  } else if (dir === 'SHORT') {
+    if (a.trend === 'UP' || a.inDemand) return 'AGAINST';
+    if (a.trend === 'DOWN' || (a.trend === 'RANGE' && a.zone === 'PREMIUM') || a.inSupply) return 'AGREE';
+  }
+  return 'NEUTRAL';
+}
+
+const ICONS = { AGREE: '✅', AGAINST: '❌', NEUTRAL: '➖' };
+
+function describeFrame(tf, a, align) {
+  const extra = a.inSupply ? ' supply' : a.inDemand ? ' demand' : '';
+  return `${tf}${ICONS[align]} ${a.trend}/${a.zone}${extra}`;
+}
+
+/**
+ * Apply the HTF filter to a 15m idea.
+ * opts.mode:
+ *   'strict' (default) - drop ideas against the 4h bias, down-score ideas against lower HTFs
+ *   'score'            - only down-score (opts.penalty per conflicting timeframe)
+ *   'off'              - annotate only
+ * opts.scoreThreshold: threshold re-checked after down-scoring.
+ */
+function applyHtfFilter(idea, bias, opts = {}) {
+  if (!idea || !idea.ok) return idea;
+  const mode = opts.mode || 'strict';
+  const penalty = opts.penalty != null ? opts.penalty : 3;
+  const threshold = opts.scoreThreshold != null ? opts.scoreThreshold : 0;
+  const frames = Object.keys(bias || {});
+  if (!frames.length) return { ...idea, htf: 'n/a' };
+
+  const align = {};
+  for (const tf of frames) align[tf] = alignment(idea.dir, bias[tf]);
+  const agreed = frames.filter(tf => align[tf] === 'AGREE');
+  const against = frames.filter(tf => align[tf] === 'AGAINST');
+  const htf = frames.map(tf => describeFrame(tf, bias[tf], align[tf])).join(' | ');
+  const annotated = { ...idea, htf, htfAgreed: agreed, htfAgainst: against };
+  if (mode === 'off' || !against.length) return annotated;
+
+  if (mode === 'strict' && against.includes('4h')) {
+    return { ok: false, reason: `Against 4h bias (${htf})`, score: idea.score, htf };
+  }
+  const score = idea.score - penalty * against.length;
+  if (score < threshold) return { ok: false, reason: `HTF conflict ${against.join(',')} (${htf})`, score, htf };
+  return { ...annotated, score };
+}
+
+module.exports = { analyzeTimeframe, htfBias, alignment, applyHtfFilter, lastBOS, ema };
@@ -0,0 +1,265 @@
+/**
+ * lib/i18n/en.js — English catalog. Same keys as vi.js.
+ */
+
+module.exports = {
+  // signal message
+  'signal.entry': 'Entry',
+  'signal.score': 'Score',
+  'signal.note': 'Note',
+  'signal.strategy': 'Strategy',
+  'signal.size': '💰 Size: {qty} (≈{notional} USDT, x{leverage}) — risk {risk} USDT ({riskPct}% of {account})',
+  'signal.header.auto': '🤖 Auto-scan {symbol}',
+  'signal.header.watch': '👀 Watchlist {symbol}',
+  'signal.header.manual': '📊 Manual {symbol}',
+  'signal.line': '{time} | {symbol} | {dir} | Entry:{entry} SL:{sl} TP:{tp} Score:{score} | {status}',
+  'outcome.OPEN': 'OPEN',
+  'outcome.TP': 'TP',
+  'outcome.SL': 'SL',
+  'outcome.EXPIRED': 'EXPIRED',
+  'outcome.UNTRACKED': 'untracked',
+  'outcome.closed': '{status} {r}R',
+  'chart.caption': '{symbol} {interval} {dir} · Entry {entry} SL {sl} TP {tp} · score {score}',
+  'chart.captionNoSetup': '{symbol} {interval} · no setup yet (score {score})',
+
+  // daily report
+  'report.title': '📊 Daily report for {date}',
+  'report.sent': 'Total sent signals: {count}',
+  'report.none': 'No signals today.',
+  'report.closedToday': '✅ Closed today: {closed} (TP:{tp} SL:{sl} Expired:{expired})',
+  'report.winLoss': 'Win/Loss: {wins}/{losses} | Win rate: {winRate}% | R today: {r}',
+  'report.allTime': '📈 All-time: {closed} closed, {open} open | Win rate: {winRate}% | Cumulative R: {r}',
+
+  'report.weeklyTitle': '📅 Weekly report {from} → {to}',
+  'report.weeklySent': 'Signals sent: {count} (auto {auto}, watchlist {watch}, manual {manual})',
+  'report.weeklyClosed': '✅ Closed this week: {closed} (TP:{tp} SL:{sl} Expired:{expired})',
+  'report.weeklyWinLoss': 'Win/Loss: {wins}/{losses} | Win rate: {winRate}% | R this week: {r}',
+  'report.best': '🏆 Best: {list}',
+  'report.worst': '🔻 Worst: {list}',
+  'digest.title': '📬 Digest for {date}',
+  'digest.none': 'No signals in the last 24 hours.',
+  'digest.summary': '{count} signals | Closed: {closed} (won {wins} / lost {losses}) | Open: {open} | R: {r}',
+  'digest.paper': '📄 Paper: {balance} USDT ({change} USDT in 24h)',
+  // access
+  'access.denied': '❌ You do not have access yet. Send /request to ask for it.',
+  'access.adminOnly': '❌ Admins only.',
+  'access.expired': '⌛ Your access to {bot} has expired. Send /request to renew.',
+  'access.expiredAdmin': '⌛ Member access of {target} has expired. Renew: /grant {target} 30d',
+  'access.reminder': '⏰ Your access to {bot} {expiry}. Contact an admin or send /request to renew.',
+  'access.requestAdmin': '📥 Access request from {chatId}{who}. Grant with: /grant {chatId} 30d (omit 30d = no expiry)',
+  'access.requestSent': '✅ Request sent to the admins. Please wait for a reply.',
+  'expiry.never': 'no expiry',
+  'expiry.expired': 'expired',
+  'expiry.at': 'expires {when} UTC ({left} left)',
+
+  // admin: roles
+  'grant.badDuration': '❌ Invalid duration. Example: /grant 123456 30d (m, h, d, w)',
+  'grant.isAdmin': '{target} is an admin.',
+  'grant.done': '✅ Granted member access to {target} — {expiry}',
+  'grant.updated': '✅ Updated member access of {target} — {expiry}',
+  'grant.welcome': '🎉 You now have access to {bot} ({expiry}).',
+  'revoke.none': '{target} has no access.',
+  'revoke.isAdmin': '{target} is an admin, use /demote first.',
+  'revoke.done': '🗑️ Revoked access of {target}',
+  'revoke.notice': '⚠️ Your access to {bot} has been revoked.',
+  'promote.already': '{target} is already an admin.',
+  'promote.admins': '👑 {target} was promoted to admin by {from}.',
+  'promote.notice': '👑 You are now an admin of {bot}.',
+  'demote.owner': '❌ The main admin (ADMIN_ID) cannot be demoted.',
+  'demote.notAdmin': '{target} is not an admin.',
+  'demote.admins': '⬇️ {target} was demoted to member by {from}.',
+  'demote.notice': '⬇️ Your admin rights were removed, you are still a member.',
+  'audit.empty': 'No permission changes yet.',
+  'audit.title': '📜 Audit log:',
+  'announce.prefix': '📣 Announcement:',
+  'announce.done': '✅ Sent announcement to {count} users ({failed} failed).',
+  'broadcast.done': '✅ Broadcast done to {count} users ({failed} failed).',
+  'users.admins': '👑 Admins ({count}):',
+  'users.members': '👤 Members ({count}):',
+  'users.subscribers': '📣 Subscribers ({count}):',
+  'users.legacy': '🕓 Imported from the old user list, not granted yet ({count}) — /grant ID to give access:',
+  'users.none': '(none)',
+
+  // commands
+  'start.welcome': '👋 *Welcome to AI Market Signals*\n\nThe bot analyses the market with ICT/SMC + Price Action and only keeps *strong signals* (BOS, FVG, OB, Liquidity).\n\n👉 To try it or ask for access, send /request. For quick support contact: *0399834208 (Zalo)*\n\nBasic commands: /scan SYMBOL, /chart SYMBOL 1h, /backtest SYMBOL 15m 90d, /watch SYMBOL, /unwatch SYMBOL, /watchlist, /alert, /alerts, /risk, /settings, /notify, /paper, /signals, /status',
+  'scan.unknown': '❌ {symbol} was not found on Binance spot, Binance futures or Bybit. Check the name (e.g. BTCUSDT, 1000PEPEUSDT).',
+  'scan.unknownOn': '❌ {symbol} was not found on {provider}. Check the name (e.g. BTCUSDT, 1000PEPEUSDT).',
+  'scan.noData': '❌ {reason}',
+  'scan.noIdea': '⚠️ Not enough confluence for {symbol}. Reason: {reason} (score:{score})',
+  'chart.badTf': '❌ Invalid timeframe. Example: /chart BTCUSDT 1h',
+  'chart.unknown': '❌ {symbol} not found.',
+  'chart.failed': '❌ Could not render the chart.',
+  'chart.off': '❌ Charts are disabled (CHARTS=off).',
+  'backtest.badTf': '❌ Invalid timeframe. Example: /backtest BTCUSDT 15m 90d',
+  'backtest.running': '⏳ Backtesting {symbol} {interval} {days}d...',
+  'backtest.noData': '❌ Not enough data for {symbol} {interval} ({count} candles).',
+  'backtest.tooLong': '❌ That period is too long for this timeframe (more than {max} candles). Pick a shorter period or a higher timeframe.',
+  'backtest.failed': '❌ Backtest of {symbol} failed: {error}',
+  'backtest.title': '🧪 Backtest {symbol} {interval}',
+  'backtest.range': 'Range: {range} ({bars} bars)',
+  'backtest.htf': 'HTF filter: {mode}',
+  'backtest.htfOff': 'off',
+  'backtest.strategies': 'Strategies: {list}',
+  'backtest.trades': 'Trades: {trades} (W:{wins} L:{losses} Exp:{expired})',
+  'backtest.winRate': 'Win rate: {winRate}%',
+  'backtest.avgRR': 'Avg RR: {rr}',
+  'backtest.totalR': 'Total R: {r}',
+  'backtest.expectancy': 'Expectancy: {r} R/trade',
+  'backtest.drawdown': 'Max drawdown: {r} R',
+  'backtest.perStrategy': '· {name}: {trades} trades, win rate {winRate}%, {r} R',
+  'risk.none': 'No money management set. Use: /risk 1000 1 (1000 USDT account, 1% risk per trade). Turn off: /risk off',
+  'risk.show': '💰 Account: {account} USDT | Risk: {riskPct}%/trade ({amount} USDT)',
+  'risk.off': '🗑️ Position sizing turned off.',
+  'risk.bad': '❌ Wrong syntax. Example: /risk 1000 1',
+  'risk.saved': '✅ Saved: account {account} USDT, risk {riskPct}%/trade ({amount} USDT).',
+  'watch.added': '✅ Added {symbol} to your watchlist.',
+  'watch.removed': '🗑️ Removed {symbol} from your watchlist.',
+  'watch.empty': 'Your watchlist is empty. Add with /watch SYMBOL',
+  'watch.title': '👀 Watchlist:',
+  'watch.notScanned': '{symbol}: not scanned yet',
+  'watch.ago': '{min}m ago',
+  'watch.error': '{symbol}: ❌ {reason} ({ago})',
+  'watch.noSetup': '{symbol}: ⏸ {price} | {reason} (score:{score}) | {ago}',
+  'watch.setup': '{symbol}: ✅ {dir} Entry:{entry} SL:{sl} TP:{tp} Score:{score} | {ago}',
+  'signals.none': 'No saved signals yet.',
+  'signals.title': '📡 Last signals:',
+  'signals.item': '{symbol}: {dir} Entry:{entry} SL:{sl} TP:{tp} Score:{score}{status}',
+  'status.body': 'Bot: {bot}\n{scanMode}\nActive hours: {from} - {to} ({tz})\nMembers: {members}\nSaved signals: {saved}\nWatched symbols: {watched} (every {watchMin} min)\nYour role: {role}',
+  'status.stream': 'Scan mode: stream ({up}/{total} streams up), rotation every {min} min for the rest',
+  'status.rotate': 'Auto-rotate: every {min} min',
+
+  // /settings
+  'settings.title': '⚙️ Your settings',
+  'settings.summary': '🎯 Minimum score: {minScore}\n↕️ Directions: {directions}\n🌙 Quiet hours: {quiet}\n🌍 Timezone: {timezone} (now {localTime})\n📬 Daily digest: {digest}\n🗣 Language: {lang}',
+  'settings.help': 'Pick an item below, or type: /settings score 9 · /settings dir long · /settings quiet 2300-0630 · /settings tz Europe/Berlin · /settings digest 0800 · /settings lang vi',
+  'settings.scoreDefault': 'default ({score})',
+  'settings.dir.both': 'both',
+  'settings.dir.long': 'LONG only',
+  'settings.dir.short': 'SHORT only',
+  'settings.quietOff': 'off',
+  'settings.btn.score': '🎯 Score',
+  'settings.btn.dir': '↕️ Directions',
+  'settings.btn.quiet': '🌙 Quiet hours',
+  'settings.btn.tz': '🌍 Timezone',
+  'settings.btn.lang': '🗣 Language',
+  'settings.btn.digest': '📬 Digest',
+  'settings.btn.back': '⬅️ Back',
+  'settings.pick.score': 'Only receive signals scoring at least:',
+  'settings.pick.dir': 'Receive signals in direction:',
+  'settings.pick.quiet': 'No automatic signals during (your timezone):',
+  'settings.pick.tz': 'Pick a timezone (other: /settings tz Region/City):',
+  'settings.pick.lang': 'Pick a language:',
+  'settings.pick.digest': 'Daily digest time (your timezone):',
+  'settings.saved': '✅ Saved.',
+  'settings.bad': '❌ Invalid value. {help}',
+
+  // /paper
+  'paper.help': '📄 Paper trading: a simulated account that enters every signal you receive (fee {feePct}%, slippage {slipPct}%, partial closes at TP1-3: {split}).\nState: {state} | Balance: {balance} USDT\nCommands: /paper on · /paper off · /paper positions · /paper pnl · /paper reset',
+  'paper.stateOn': 'on',
+  'paper.stateOff': 'off',
+  'paper.on': '✅ Paper trading on. Balance: {balance} USDT, risk {riskPct}%/trade.',
+  'paper.off': '⏸ Paper trading off. Open positions are still followed until they close.',
+  'paper.reset': '🔄 Paper account reset: {balance} USDT.',
+  'paper.notEnabled': 'Paper trading is not on. Use /paper on',
+  'paper.opened': '📄 Paper {symbol} {dir}: entered {qty} @ {price} (fee {fee} USDT)',
+  'paper.fill': '📄 Paper {symbol} {dir} — {kind}: {qty} @ {price} ({pnl} USDT)',
+  'paper.closed': '📄 Paper {symbol} {dir} closed ({reason}): {realized} USDT | Balance: {balance} USDT',
+  'paper.noPositions': 'No open paper positions.',
+  'paper.positionsTitle': '📄 Open positions:',
+  'paper.position': '{symbol} {dir} {remaining}/{qty} @ {entry} | SL {sl} | TPs left: {targets} | Unrealized: {unrealized} USDT',
+  'paper.recentTitle': 'Recently closed:',
+  'paper.recent': '{symbol} {dir} {reason} {realized} USDT',
+  'paper.pnl': '📄 Paper PnL\nStarting balance: {start} USDT | Balance: {balance} USDT ({returnPct}%)\nClosed: {closed} (won {wins} / lost {losses}, win rate {winRate}%)\nOpen: {open} | Unrealized: {unrealized} USDT\nFees paid: {fees} USDT | Max drawdown: {maxDrawdown}%\n{curve}',
+
+  // /strategy (admin)
+  'strategy.title': '🧠 Strategies ({dir}):',
+  'strategy.item': '{icon} {name} ({file}) — {description}\nMin score {minScore} · {conditions}\nSignals: {open} open, {closed} closed | Win rate {winRate}% | R {r}',
+  'strategy.help': 'Commands: /strategy list · /strategy enable NAME · /strategy disable NAME · /strategy reload (re-reads the files). ! = required condition',
+  'strategy.unknown': '❌ Strategy "{name}" not found. See /strategy list',
+  'strategy.enabled': '🟢 Strategy {name} enabled.',
+  'strategy.disabled': '⚪️ Strategy {name} disabled.',
+  'strategy.noneEnabled': '⚠️ No strategy is enabled, no signals will be sent.',
+  'strategy.reloaded': '🔄 Reloaded {count} strategies: {names}',
+  'strategy.errors': 'Problems (skipped, or the previous version was kept):',
+  'universe.off': '🌐 The dynamic universe is off (UNIVERSE_SIZE=0); the scans use AUTO_COINS: {coins}',
+  'universe.pending': '🌐 No universe selected yet, the scans use AUTO_COINS for now: {coins}',
+  'universe.title': '🌐 Coin universe: {count}/{size} coins from {source} ({candidates} of {listed} pairs passed the volume floor, {timeframe} klines)',
+  'universe.updated': 'Updated {when}',
+  'universe.item': '{rank}. {symbol} — score {score}\n   Vol {volume} · ATR {atr}% · {rs}% vs {benchmark}{extra}\n   {why}',
+  'universe.funding': 'funding {funding}%',
+  'universe.oi': 'OI {oi}',
+  'universe.whyPinned': '📌 pinned by an admin',
+  'universe.whyStrong': '✅ top quarter for {factors}',
+  'universe.whyRank': '➕ fills the set on overall score',
+  'universe.factor.volume': 'volume',
+  'universe.factor.volatility': 'volatility',
+  'universe.factor.momentum': 'momentum vs BTC',
+  'universe.factor.openInterest': 'open interest',
+  'universe.factor.funding': 'calm funding',
+  'universe.next': 'Next in line: {list}',
+  'universe.excluded': 'Left out: {list}',
+  'universe.reason.banned': 'banned',
+  'universe.reason.unlisted': 'not listed',
+  'universe.reason.klines': 'no klines',
+  'universe.reason.volatility': 'too volatile',
+  'universe.lists': '📌 Pinned: {pinned} · 🚫 Banned: {banned}',
+  'universe.help': 'Commands: /universe · /universe pin SYMBOL,... · /universe unpin SYMBOL,... · /universe ban SYMBOL,... · /universe unban SYMBOL,... · /universe refresh',
+  'universe.pin': '📌 Pinned {symbols}: always in the universe while listed.',
+  'universe.unpin': 'Unpinned {symbols}.',
+  'universe.ban': '🚫 Banned {symbols}: never scanned automatically.',
+  'universe.unban': 'Unbanned {symbols}.',
+  'universe.refreshing': '⏳ Ranking the pairs...',
+  'universe.failed': '❌ Universe selection failed, the previous set stays: {error}',
+  'universe.changed': '🌐 Coin universe updated.\nAdded: {added}\nRemoved: {removed}\nDetails: /universe',
+
+  // /notify
+  'notify.title': '🔔 Where this chat gets signals:',
+  'notify.implicit': '• Telegram (this chat): every signal your /settings allow',
+  'notify.empty': 'No subscriptions yet.',
+  'notify.item': '#{id} {channel} → {target}\n   Symbols: {symbols} · Strategies: {strategies}',
+  'notify.all': 'all',
+  'notify.help': 'Commands:\n/notify add telegram [filters] — this chat, only matching signals\n/notify add discord|slack|webhook URL [filters]\n/notify add email ADDRESS [filters]\n/notify set ID [filters] · /notify remove ID · /notify test ID\nFilters: symbols=BTCUSDT,ETHUSDT strategies=NAME,... (* = all)\nChannels on this bot: {channels}',
+  'notify.unavailable': '❌ The {channel} channel is not set up on this bot.',
+  'notify.badTarget': '❌ That is not a valid {channel} target.\n\n{help}',
+  'notify.badFilter': '❌ {error}\n\n{help}',
+  'notify.exists': 'ℹ️ This chat already has that subscription (#{id}).',
+  'notify.added': '✅ Subscription added:\n{line}',
+  'notify.secret': '🔑 Signing secret (shown only now): {secret}\nEvery request carries X-Signature-Timestamp and X-Signature-256 = sha256=HMAC-SHA256(secret, "<timestamp>.<body>").',
+  'notify.secretSent': '🔑 The signing secret was sent to you in a private message.',
+  'notify.secretUndelivered': '❌ The webhook needs a signing secret that only you may see, but I cannot message you privately. Start a private chat with me (/start), then add it again.',
+  'notify.updated': '✅ Subscription updated:\n{line}',
+  'notify.removed': '🗑 Subscription #{id} removed.',
+  'notify.unknown': '❌ This chat has no subscription #{id}. See /notify',
+  'notify.testMessage': '🔔 Test notification from {bot}.',
+  'notify.testOk': '✅ Test sent to #{id}.',
+  'notify.testFail': '❌ Test to #{id} failed: {error}',
+
+  // /alert, /alerts
+  'alert.help': 'Alerts for this chat:\n/alert BTCUSDT > 70000 — price at or above a level (< for below)\n/alert ETHUSDT fvg 1h — price back into the newest unfilled FVG\n/alert ETHUSDT ob 15m long — price touches an order block\n/alert SOLUSDT bos 4h — a break of structure on that timeframe\nAdd long|short to pick a side and repeat to keep the alert after it fires (default: once). List and cancel with /alerts',
+  'alert.bad': '❌ {error}\n\n{help}',
+  'alert.limit': '❌ This chat already has {max} alerts. Cancel some with /alerts',
+  'alert.noData': '❌ No {tf} data for {symbol}, this alert could never fire.',
+  'alert.added': '✅ Alert #{id}: {rule} ({mode}). Price now {price}.',
+  'alert.alreadyPast': 'ℹ️ Price is already past that level: the alert fires once price comes back and crosses it again.',
+  'alert.once': 'once',
+  'alert.repeat': '🔁 repeating',
+  'alert.rule.price': '{symbol} {op} {level}',
+  'alert.rule.fvg': '{symbol} back into a {tf} FVG{side}',
+  'alert.rule.ob': '{symbol} touches a {tf} order block{side}',
+  'alert.rule.bos': '{symbol} {tf} BOS{side}',
+  'alert.side.LONG': 'bullish',
+  'alert.side.SHORT': 'bearish',
+  'alert.hit.price': '🔔 Alert #{id}: {symbol} {op} {level} — price {price}',
+  'alert.hit.fvg': '🔔 Alert #{id}: {symbol} is back in the {side} {tf} FVG {low}–{high} — price {price}',
+  'alert.hit.ob': '🔔 Alert #{id}: {symbol} touched the {side} {tf} order block {low}–{high} — price {price}',
+  'alert.hit.bos': '🔔 Alert #{id}: {symbol} {tf} {side} BOS through {level} — close {price}',
+  'alert.done': 'One-shot alert, now removed.',
+  'alerts.title': '🔔 Alerts in this chat:',
+  'alerts.item': '#{id} {rule} · {mode}{hits}',
+  'alerts.hits': ' · fired {count}×',
+  'alerts.empty': 'No alerts yet. Set one with /alert, e.g. /alert BTCUSDT > 70000',
+  'alerts.help': 'Tap a button, or /alerts cancel ID · /alerts clear',
+  'alerts.cancelled': '🗑 Alert #{id} cancelled.',
+  'alerts.cleared': '🗑 {count} alerts cancelled.',
+  'alerts.unknown': '❌ No alert #{id} in this chat.',
+};
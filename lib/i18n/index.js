@@ -0,0 +1,29 @@
+/**
+ * lib/i18n/index.js — message catalogs (vi, en) and lookup
+ *
+ * t(lang, key, params) returns the catalog string with {placeholders} filled in.
+ * Missing keys fall back to DEFAULT_LANG, then to the key itself so a typo shows up in chat
+ * instead of throwing.
+ */
+
+const CATALOGS = {
+  vi: require('./vi'),
+  en: require('./en'),
+};
+
+const LANGS = Object.keys(CATALOGS);
+const LANG_NAMES = { vi: 'Tiếng Việt', en: 'English' };
+const DEFAULT_LANG = LANGS.includes(process.env.DEFAULT_LANG) ? process.env.DEFAULT_LANG : 'vi';
+
+function t(lang, key, params = {}) {
+  const cat = CATALOGS[lang] || CATALOGS[DEFAULT_LANG];
+  const s = cat[key] != null ? cat[key] : CATALOGS[DEFAULT_LANG][key] != null ? CATALOGS[DEFAULT_LANG][key] : key;
+  return s.replace(/\{(\w+)\}/g, (m, k) => (params[k] != null ? params[k] : m));
+}
+
+// bound lookup for one language
+function translator(lang) {
+  return (key, params) => t(lang, key, params);
+}
+
+module.exports = { t, translator, LANGS, LANG_NAMES, DEFAULT_LANG };
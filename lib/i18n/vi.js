@@ -0,0 +1,265 @@
+/**
+ * lib/i18n/vi.js — Vietnamese catalog (default locale). Placeholders: {name}.
+ */
+
+module.exports = {
+  // signal message
+  'signal.entry': 'Entry',
+  'signal.score': 'Điểm',
+  'signal.note': 'Ghi chú',
+  'signal.strategy': 'Chiến lược',
+  'signal.size': '💰 Khối lượng: {qty} (≈{notional} USDT, x{leverage}) — rủi ro {risk} USDT ({riskPct}% của {account})',
+  'signal.header.auto': '🤖 Auto-scan {symbol}',
+  'signal.header.watch': '👀 Watchlist {symbol}',
+  'signal.header.manual': '📊 Manual {symbol}',
+  'signal.line': '{time} | {symbol} | {dir} | Entry:{entry} SL:{sl} TP:{tp} Điểm:{score} | {status}',
+  'outcome.OPEN': 'ĐANG MỞ',
+  'outcome.TP': 'TP',
+  'outcome.SL': 'SL',
+  'outcome.EXPIRED': 'HẾT HẠN',
+  'outcome.UNTRACKED': 'không theo dõi',
+  'outcome.closed': '{status} {r}R',
+  'chart.caption': '{symbol} {interval} {dir} · Entry {entry} SL {sl} TP {tp} · điểm {score}',
+  'chart.captionNoSetup': '{symbol} {interval} · chưa có setup (điểm {score})',
+
+  // daily report
+  'report.title': '📊 Báo cáo ngày {date}',
+  'report.sent': 'Tổng tín hiệu đã gửi: {count}',
+  'report.none': 'Hôm nay không có tín hiệu.',
+  'report.closedToday': '✅ Đóng hôm nay: {closed} (TP:{tp} SL:{sl} Hết hạn:{expired})',
+  'report.winLoss': 'Thắng/Thua: {wins}/{losses} | Tỉ lệ thắng: {winRate}% | R hôm nay: {r}',
+  'report.allTime': '📈 Toàn thời gian: {closed} đã đóng, {open} đang mở | Tỉ lệ thắng: {winRate}% | R tích lũy: {r}',
+
+  'report.weeklyTitle': '📅 Báo cáo tuần {from} → {to}',
+  'report.weeklySent': 'Tín hiệu đã gửi: {count} (auto {auto}, watchlist {watch}, manual {manual})',
+  'report.weeklyClosed': '✅ Đã đóng trong tuần: {closed} (TP:{tp} SL:{sl} Hết hạn:{expired})',
+  'report.weeklyWinLoss': 'Thắng/Thua: {wins}/{losses} | Tỉ lệ thắng: {winRate}% | R trong tuần: {r}',
+  'report.best': '🏆 Tốt nhất: {list}',
+  'report.worst': '🔻 Kém nhất: {list}',
+  'digest.title': '📬 Bản tin ngày {date}',
+  'digest.none': 'Không có tín hiệu nào trong 24 giờ qua.',
+  'digest.summary': '{count} tín hiệu | Đã đóng: {closed} (thắng {wins} / thua {losses}) | Đang mở: {open} | R: {r}',
+  'digest.paper': '📄 Paper: {balance} USDT ({change} USDT trong 24 giờ)',
+  // access
+  'access.denied': '❌ Bạn chưa được cấp quyền. Gửi /request để yêu cầu.',
+  'access.adminOnly': '❌ Chỉ admin mới có quyền này.',
+  'access.expired': '⌛ Quyền sử dụng {bot} đã hết hạn. Gửi /request để gia hạn.',
+  'access.expiredAdmin': '⌛ Quyền member của {target} đã hết hạn. Gia hạn: /grant {target} 30d',
+  'access.reminder': '⏰ Quyền sử dụng {bot} {expiry}. Liên hệ admin hoặc gửi /request để gia hạn.',
+  'access.requestAdmin': '📥 Yêu cầu cấp quyền từ {chatId}{who}. Cấp bằng: /grant {chatId} 30d (bỏ 30d = không thời hạn)',
+  'access.requestSent': '✅ Yêu cầu đã gửi tới admin. Vui lòng chờ phản hồi.',
+  'expiry.never': 'không thời hạn',
+  'expiry.expired': 'đã hết hạn',
+  'expiry.at': 'hết hạn {when} UTC (còn {left})',
+
+  // admin: roles
+  'grant.badDuration': '❌ Thời hạn không hợp lệ. Ví dụ: /grant 123456 30d (m, h, d, w)',
+  'grant.isAdmin': '{target} là admin.',
+  'grant.done': '✅ Đã cấp quyền member cho {target} — {expiry}',
+  'grant.updated': '✅ Đã cập nhật quyền member cho {target} — {expiry}',
+  'grant.welcome': '🎉 Bạn đã được cấp quyền sử dụng {bot} ({expiry}).',
+  'revoke.none': '{target} chưa có quyền.',
+  'revoke.isAdmin': '{target} là admin, dùng /demote trước.',
+  'revoke.done': '🗑️ Đã thu hồi quyền của {target}',
+  'revoke.notice': '⚠️ Quyền sử dụng {bot} đã bị thu hồi.',
+  'promote.already': '{target} đã là admin.',
+  'promote.admins': '👑 {target} đã được {from} nâng lên admin.',
+  'promote.notice': '👑 Bạn đã trở thành admin của {bot}.',
+  'demote.owner': '❌ Không thể hạ quyền admin chính (ADMIN_ID).',
+  'demote.notAdmin': '{target} không phải admin.',
+  'demote.admins': '⬇️ {target} đã bị {from} hạ xuống member.',
+  'demote.notice': '⬇️ Quyền admin của bạn đã bị thu hồi, bạn vẫn là member.',
+  'audit.empty': 'Chưa có thay đổi quyền nào.',
+  'audit.title': '📜 Nhật ký phân quyền:',
+  'announce.prefix': '📣 Thông báo:',
+  'announce.done': '✅ Đã gửi thông báo tới {count} người ({failed} lỗi).',
+  'broadcast.done': '✅ Broadcast xong: {count} người ({failed} lỗi).',
+  'users.admins': '👑 Admin ({count}):',
+  'users.members': '👤 Member ({count}):',
+  'users.subscribers': '📣 Subscriber ({count}):',
+  'users.legacy': '🕓 Nhập từ danh sách người dùng cũ, chưa được cấp quyền ({count}) — /grant ID để cấp quyền:',
+  'users.none': '(không có)',
+
+  // commands
+  'start.welcome': '👋 *Chào mừng bạn đến với AI Market Signals*\n\nBot chuyên phân tích thị trường theo phương pháp ICT/SMC + Price Action — lọc những *tín hiệu mạnh* (BOS, FVG, OB, Liquidity).\n\n👉 Muốn dùng thử/đăng ký quyền, hãy gửi /request. Để được hỗ trợ nhanh, liên hệ: *0399834208 (Zalo)*\n\nLệnh cơ bản: /scan SYMBOL, /chart SYMBOL 1h, /backtest SYMBOL 15m 90d, /watch SYMBOL, /unwatch SYMBOL, /watchlist, /alert, /alerts, /risk, /settings, /notify, /paper, /signals, /status',
+  'scan.unknown': '❌ Không tìm thấy cặp {symbol} trên Binance spot, Binance futures hay Bybit. Kiểm tra lại tên (vd: BTCUSDT, 1000PEPEUSDT).',
+  'scan.unknownOn': '❌ Không tìm thấy cặp {symbol} trên {provider}. Kiểm tra lại tên (vd: BTCUSDT, 1000PEPEUSDT).',
+  'scan.noData': '❌ {reason}',
+  'scan.noIdea': '⚠️ Không đủ confluence cho {symbol}. Lý do: {reason} (điểm:{score})',
+  'chart.badTf': '❌ Timeframe không hợp lệ. Ví dụ: /chart BTCUSDT 1h',
+  'chart.unknown': '❌ Không tìm thấy cặp {symbol}.',
+  'chart.failed': '❌ Không tạo được biểu đồ.',
+  'chart.off': '❌ Biểu đồ đang tắt (CHARTS=off).',
+  'backtest.badTf': '❌ Timeframe không hợp lệ. Ví dụ: /backtest BTCUSDT 15m 90d',
+  'backtest.running': '⏳ Đang backtest {symbol} {interval} {days}d...',
+  'backtest.noData': '❌ Không đủ dữ liệu cho {symbol} {interval} ({count} nến).',
+  'backtest.tooLong': '❌ Khoảng thời gian quá dài cho khung này (hơn {max} nến). Hãy chọn khoảng ngắn hơn hoặc khung lớn hơn.',
+  'backtest.failed': '❌ Backtest {symbol} thất bại: {error}',
+  'backtest.title': '🧪 Backtest {symbol} {interval}',
+  'backtest.range': 'Khoảng: {range} ({bars} nến)',
+  'backtest.htf': 'Lọc HTF: {mode}',
+  'backtest.htfOff': 'tắt',
+  'backtest.strategies': 'Chiến lược: {list}',
+  'backtest.trades': 'Số lệnh: {trades} (Thắng:{wins} Thua:{losses} Hết hạn:{expired})',
+  'backtest.winRate': 'Tỷ lệ thắng: {winRate}%',
+  'backtest.avgRR': 'RR trung bình: {rr}',
+  'backtest.totalR': 'Tổng R: {r}',
+  'backtest.expectancy': 'Kỳ vọng: {r} R/lệnh',
+  'backtest.drawdown': 'Sụt giảm tối đa: {r} R',
+  'backtest.perStrategy': '· {name}: {trades} lệnh, tỷ lệ thắng {winRate}%, {r} R',
+  'risk.none': 'Chưa cài đặt quản lý vốn. Dùng: /risk 1000 1 (vốn 1000 USDT, rủi ro 1%/lệnh). Tắt: /risk off',
+  'risk.show': '💰 Vốn: {account} USDT | Rủi ro: {riskPct}%/lệnh ({amount} USDT)',
+  'risk.off': '🗑️ Đã tắt tính khối lượng lệnh.',
+  'risk.bad': '❌ Sai cú pháp. Ví dụ: /risk 1000 1',
+  'risk.saved': '✅ Đã lưu: vốn {account} USDT, rủi ro {riskPct}%/lệnh ({amount} USDT).',
+  'watch.added': '✅ Đã thêm {symbol} vào watchlist.',
+  'watch.removed': '🗑️ Đã xóa {symbol} khỏi watchlist.',
+  'watch.empty': 'Watchlist trống. Thêm bằng /watch SYMBOL',
+  'watch.title': '👀 Watchlist:',
+  'watch.notScanned': '{symbol}: chưa quét',
+  'watch.ago': '{min} phút trước',
+  'watch.error': '{symbol}: ❌ {reason} ({ago})',
+  'watch.noSetup': '{symbol}: ⏸ {price} | {reason} (điểm:{score}) | {ago}',
+  'watch.setup': '{symbol}: ✅ {dir} Entry:{entry} SL:{sl} TP:{tp} Điểm:{score} | {ago}',
+  'signals.none': 'Chưa có tín hiệu được lưu.',
+  'signals.title': '📡 Tín hiệu gần nhất:',
+  'signals.item': '{symbol}: {dir} Entry:{entry} SL:{sl} TP:{tp} Điểm:{score}{status}',
+  'status.body': 'Bot: {bot}\n{scanMode}\nGiờ hoạt động: {from} - {to} ({tz})\nMember: {members}\nTín hiệu đã lưu: {saved}\nCặp đang theo dõi: {watched} (mỗi {watchMin} phút)\nQuyền của bạn: {role}',
+  'status.stream': 'Chế độ quét: stream ({up}/{total} stream hoạt động), các cặp còn lại xoay vòng mỗi {min} phút',
+  'status.rotate': 'Xoay vòng: mỗi {min} phút',
+
+  // /settings
+  'settings.title': '⚙️ Cài đặt của bạn',
+  'settings.summary': '🎯 Điểm tối thiểu: {minScore}\n↕️ Hướng: {directions}\n🌙 Giờ im lặng: {quiet}\n🌍 Múi giờ: {timezone} (bây giờ {localTime})\n📬 Bản tin hằng ngày: {digest}\n🗣 Ngôn ngữ: {lang}',
+  'settings.help': 'Chọn mục bên dưới, hoặc gõ: /settings score 9 · /settings dir long · /settings quiet 2300-0630 · /settings tz Europe/Berlin · /settings digest 0800 · /settings lang en',
+  'settings.scoreDefault': 'mặc định ({score})',
+  'settings.dir.both': 'cả hai',
+  'settings.dir.long': 'chỉ LONG',
+  'settings.dir.short': 'chỉ SHORT',
+  'settings.quietOff': 'tắt',
+  'settings.btn.score': '🎯 Điểm',
+  'settings.btn.dir': '↕️ Hướng',
+  'settings.btn.quiet': '🌙 Giờ im lặng',
+  'settings.btn.tz': '🌍 Múi giờ',
+  'settings.btn.lang': '🗣 Ngôn ngữ',
+  'settings.btn.digest': '📬 Bản tin',
+  'settings.btn.back': '⬅️ Quay lại',
+  'settings.pick.score': 'Chỉ nhận tín hiệu có điểm từ:',
+  'settings.pick.dir': 'Nhận tín hiệu theo hướng:',
+  'settings.pick.quiet': 'Không nhận tín hiệu tự động trong khung giờ (theo múi giờ của bạn):',
+  'settings.pick.tz': 'Chọn múi giờ (khác: /settings tz Khu_vực/Thành_phố):',
+  'settings.pick.lang': 'Chọn ngôn ngữ:',
+  'settings.pick.digest': 'Giờ nhận bản tin hằng ngày (theo múi giờ của bạn):',
+  'settings.saved': '✅ Đã lưu.',
+  'settings.bad': '❌ Giá trị không hợp lệ. {help}',
+
+  // /paper
+  'paper.help': '📄 Paper trading: tài khoản giả lập tự vào lệnh theo mọi tín hiệu bạn nhận (phí {feePct}%, trượt giá {slipPct}%, chốt từng phần TP1-3: {split}).\nTrạng thái: {state} | Số dư: {balance} USDT\nLệnh: /paper on · /paper off · /paper positions · /paper pnl · /paper reset',
+  'paper.stateOn': 'đang bật',
+  'paper.stateOff': 'đang tắt',
+  'paper.on': '✅ Đã bật paper trading. Số dư: {balance} USDT, rủi ro {riskPct}%/lệnh.',
+  'paper.off': '⏸ Đã tắt paper trading. Các vị thế đang mở vẫn được theo dõi tới khi đóng.',
+  'paper.reset': '🔄 Đã reset tài khoản paper: {balance} USDT.',
+  'paper.notEnabled': 'Chưa bật paper trading. Dùng /paper on',
+  'paper.opened': '📄 Paper {symbol} {dir}: vào {qty} @ {price} (phí {fee} USDT)',
+  'paper.fill': '📄 Paper {symbol} {dir} — {kind}: {qty} @ {price} ({pnl} USDT)',
+  'paper.closed': '📄 Paper {symbol} {dir} đã đóng ({reason}): {realized} USDT | Số dư: {balance} USDT',
+  'paper.noPositions': 'Không có vị thế paper nào đang mở.',
+  'paper.positionsTitle': '📄 Vị thế đang mở:',
+  'paper.position': '{symbol} {dir} {remaining}/{qty} @ {entry} | SL {sl} | TP còn lại: {targets} | Tạm tính: {unrealized} USDT',
+  'paper.recentTitle': 'Đã đóng gần đây:',
+  'paper.recent': '{symbol} {dir} {reason} {realized} USDT',
+  'paper.pnl': '📄 Paper PnL\nVốn ban đầu: {start} USDT | Số dư: {balance} USDT ({returnPct}%)\nĐã đóng: {closed} (thắng {wins} / thua {losses}, tỉ lệ thắng {winRate}%)\nĐang mở: {open} | Tạm tính: {unrealized} USDT\nPhí đã trả: {fees} USDT | Sụt giảm tối đa: {maxDrawdown}%\n{curve}',
+
+  // /strategy (admin)
+  'strategy.title': '🧠 Chiến lược ({dir}):',
+  'strategy.item': '{icon} {name} ({file}) — {description}\nĐiểm tối thiểu {minScore} · {conditions}\nTín hiệu: {open} đang mở, {closed} đã đóng | Tỉ lệ thắng {winRate}% | R {r}',
+  'strategy.help': 'Lệnh: /strategy list · /strategy enable TÊN · /strategy disable TÊN · /strategy reload (đọc lại các file). ! = điều kiện bắt buộc',
+  'strategy.unknown': '❌ Không tìm thấy chiến lược "{name}". Xem /strategy list',
+  'strategy.enabled': '🟢 Đã bật chiến lược {name}.',
+  'strategy.disabled': '⚪️ Đã tắt chiến lược {name}.',
+  'strategy.noneEnabled': '⚠️ Không có chiến lược nào đang bật, bot sẽ không gửi tín hiệu.',
+  'strategy.reloaded': '🔄 Đã tải lại {count} chiến lược: {names}',
+  'strategy.errors': 'Lỗi (file bị bỏ qua hoặc giữ phiên bản trước):',
+  'universe.off': '🌐 Danh sách coin động đang tắt (UNIVERSE_SIZE=0); bot quét AUTO_COINS: {coins}',
+  'universe.pending': '🌐 Chưa chọn danh sách coin, tạm thời bot quét AUTO_COINS: {coins}',
+  'universe.title': '🌐 Danh sách coin: {count}/{size} coin từ {source} ({candidates}/{listed} cặp đạt khối lượng tối thiểu, nến {timeframe})',
+  'universe.updated': 'Cập nhật lúc {when}',
+  'universe.item': '{rank}. {symbol} — điểm {score}\n   KL {volume} · ATR {atr}% · {rs}% so với {benchmark}{extra}\n   {why}',
+  'universe.funding': 'funding {funding}%',
+  'universe.oi': 'OI {oi}',
+  'universe.whyPinned': '📌 admin ghim',
+  'universe.whyStrong': '✅ top 25% về {factors}',
+  'universe.whyRank': '➕ bổ sung theo điểm tổng',
+  'universe.factor.volume': 'khối lượng',
+  'universe.factor.volatility': 'biến động',
+  'universe.factor.momentum': 'động lượng so với BTC',
+  'universe.factor.openInterest': 'open interest',
+  'universe.factor.funding': 'funding ổn định',
+  'universe.next': 'Kế tiếp: {list}',
+  'universe.excluded': 'Bị loại: {list}',
+  'universe.reason.banned': 'bị cấm',
+  'universe.reason.unlisted': 'không niêm yết',
+  'universe.reason.klines': 'không có nến',
+  'universe.reason.volatility': 'biến động quá mạnh',
+  'universe.lists': '📌 Ghim: {pinned} · 🚫 Cấm: {banned}',
+  'universe.help': 'Lệnh: /universe · /universe pin MÃ,... · /universe unpin MÃ,... · /universe ban MÃ,... · /universe unban MÃ,... · /universe refresh',
+  'universe.pin': '📌 Đã ghim {symbols}: luôn có trong danh sách khi còn niêm yết.',
+  'universe.unpin': 'Đã bỏ ghim {symbols}.',
+  'universe.ban': '🚫 Đã cấm {symbols}: không bao giờ được quét tự động.',
+  'universe.unban': 'Đã bỏ cấm {symbols}.',
+  'universe.refreshing': '⏳ Đang xếp hạng các cặp...',
+  'universe.failed': '❌ Chọn danh sách coin thất bại, giữ danh sách cũ: {error}',
+  'universe.changed': '🌐 Đã cập nhật danh sách coin.\nThêm: {added}\nBớt: {removed}\nChi tiết: /universe',
+
+  // /notify
+  'notify.title': '🔔 Nơi chat này nhận tín hiệu:',
+  'notify.implicit': '• Telegram (chat này): mọi tín hiệu /settings cho phép',
+  'notify.empty': 'Chưa có đăng ký nào.',
+  'notify.item': '#{id} {channel} → {target}\n   Mã: {symbols} · Chiến lược: {strategies}',
+  'notify.all': 'tất cả',
+  'notify.help': 'Lệnh:\n/notify add telegram [bộ lọc] — chat này, chỉ tín hiệu khớp\n/notify add discord|slack|webhook URL [bộ lọc]\n/notify add email ĐỊA_CHỈ [bộ lọc]\n/notify set ID [bộ lọc] · /notify remove ID · /notify test ID\nBộ lọc: symbols=BTCUSDT,ETHUSDT strategies=TÊN,... (* = tất cả)\nKênh trên bot này: {channels}',
+  'notify.unavailable': '❌ Kênh {channel} chưa được cấu hình trên bot này.',
+  'notify.badTarget': '❌ Đích {channel} không hợp lệ.\n\n{help}',
+  'notify.badFilter': '❌ {error}\n\n{help}',
+  'notify.exists': 'ℹ️ Chat này đã có đăng ký đó (#{id}).',
+  'notify.added': '✅ Đã thêm đăng ký:\n{line}',
+  'notify.secret': '🔑 Khóa ký (chỉ hiện lần này): {secret}\nMỗi request có X-Signature-Timestamp và X-Signature-256 = sha256=HMAC-SHA256(khóa, "<timestamp>.<body>").',
+  'notify.secretSent': '🔑 Khóa ký đã được gửi riêng cho bạn.',
+  'notify.secretUndelivered': '❌ Webhook cần một khóa ký chỉ mình bạn được xem, nhưng bot không nhắn riêng cho bạn được. Hãy mở chat riêng với bot (/start) rồi thêm lại.',
+  'notify.updated': '✅ Đã cập nhật đăng ký:\n{line}',
+  'notify.removed': '🗑 Đã xóa đăng ký #{id}.',
+  'notify.unknown': '❌ Chat này không có đăng ký #{id}. Xem /notify',
+  'notify.testMessage': '🔔 Thông báo thử từ {bot}.',
+  'notify.testOk': '✅ Đã gửi thử tới #{id}.',
+  'notify.testFail': '❌ Gửi thử tới #{id} thất bại: {error}',
+
+  // /alert, /alerts
+  'alert.help': 'Cảnh báo cho chat này:\n/alert BTCUSDT > 70000 — giá chạm hoặc vượt mức (< cho chiều xuống)\n/alert ETHUSDT fvg 1h — giá quay lại FVG mới nhất chưa lấp\n/alert ETHUSDT ob 15m long — giá chạm order block\n/alert SOLUSDT bos 4h — phá cấu trúc trên khung đó\nThêm long|short để chọn phía và repeat để giữ cảnh báo sau khi kích hoạt (mặc định: một lần). Xem và hủy bằng /alerts',
+  'alert.bad': '❌ {error}\n\n{help}',
+  'alert.limit': '❌ Chat này đã có {max} cảnh báo. Hủy bớt bằng /alerts',
+  'alert.noData': '❌ Không có dữ liệu {tf} cho {symbol}, cảnh báo này sẽ không bao giờ kích hoạt.',
+  'alert.added': '✅ Cảnh báo #{id}: {rule} ({mode}). Giá hiện tại {price}.',
+  'alert.alreadyPast': 'ℹ️ Giá đã vượt mức này: cảnh báo sẽ báo khi giá quay lại rồi cắt qua mức một lần nữa.',
+  'alert.once': 'một lần',
+  'alert.repeat': '🔁 lặp lại',
+  'alert.rule.price': '{symbol} {op} {level}',
+  'alert.rule.fvg': '{symbol} quay lại FVG {tf}{side}',
+  'alert.rule.ob': '{symbol} chạm order block {tf}{side}',
+  'alert.rule.bos': '{symbol} BOS {tf}{side}',
+  'alert.side.LONG': 'tăng',
+  'alert.side.SHORT': 'giảm',
+  'alert.hit.price': '🔔 Cảnh báo #{id}: {symbol} {op} {level} — giá {price}',
+  'alert.hit.fvg': '🔔 Cảnh báo #{id}: {symbol} đã quay lại FVG {side} {tf} {low}–{high} — giá {price}',
+  'alert.hit.ob': '🔔 Cảnh báo #{id}: {symbol} chạm order block {side} {tf} {low}–{high} — giá {price}',
+  'alert.hit.bos': '🔔 Cảnh báo #{id}: {symbol} BOS {side} {tf} qua {level} — đóng cửa {price}',
+  'alert.done': 'Cảnh báo một lần, đã xóa.',
+  'alerts.title': '🔔 Cảnh báo trong chat này:',
+  'alerts.item': '#{id} {rule} · {mode}{hits}',
+  'alerts.hits': ' · đã kích hoạt {count} lần',
+  'alerts.empty': 'Chưa có cảnh báo nào. Tạo bằng /alert, ví dụ /alert BTCUSDT > 70000',
+  'alerts.help': 'Bấm nút, hoặc /alerts cancel ID · /alerts clear',
+  'alerts.cancelled': '🗑 Đã hủy cảnh báo #{id}.',
+  'alerts.cleared': '🗑 Đã hủy {count} cảnh báo.',
+  'alerts.unknown': '❌ Không có cảnh báo #{id} trong chat này.',
+};
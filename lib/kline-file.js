@@ -0,0 +1,67 @@
+/**
+ * lib/kline-file.js — load klines from local CSV/JSON files
+ *
+ * Accepted formats:
+ *  - CSV as exported by Binance (open_time,open,high,low,close,volume,...), header optional
+ *  - JSON array of raw Binance klines ([[t, o, h, l, c, v, ...], ...])
+ *  - JSON array of candle objects ({ t|time|openTime, open, high, low, close, vol|volume })
+ *
+ * File names like BTCUSDT_15m.csv / BTCUSDT-1h.json let callers infer symbol & timeframe.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INTERVAL_MS = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 };
+// "15m" -> 900000
+function intervalToMs(interval) {
+  const m = String(interval || '').match(/^(\d+)([mhdw])$/);
+  if (!m) return null;
+  return Number(m[1]) * INTERVAL_MS[m[2]];
+}
+
+function toCandle(row) {
+  if (Array.isArray(row)) {
+    return { t: Number(row[0]), open: +row[1], high: +row[2], low: +row[3], close: +row[4], vol: +row[5] };
+  }
+  return {
+    t: Number(row.t ?? row.time ?? row.openTime ?? row.open_time),
+    open: +row.open, high: +row.high, low: +row.low, close: +row.close,
+    vol: +(row.vol ?? row.volume ?? 0),
+  };
+}
+
+function isValidCandle(c) {
+  return Number.isFinite(c.t) && Number.isFinite(c.open) && Number.isFinite(c.high) && Number.isFinite(c.low) && Number.isFinite(c.close);
+}
+
+function parseCSV(raw) {
+  const rows = [];
+  for (const line of raw.split(/\r?\n/)) {
+    const cols = line.split(',').map(s => s.trim());
+    if (cols.length < 5 || !/^\d/.test(cols[0])) continue; // skip header / blank lines
+    rows.push(cols);
+  }
+  return rows;
+}
+
+function parseKlines(raw, ext = '.json') {
+  const rows = ext === '.csv' ? parseCSV(raw) : JSON.parse(raw);
+  if (!Array.isArray(rows)) throw new Error('kline file must contain an array');
+  return rows.map(toCandle).filter(isValidCandle).sort((a, b) => a.t - b.t);
+}
+
+function loadKlinesFile(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  return parseKlines(raw, path.extname(file).toLowerCase());
+}
+
+// "BTCUSDT_15m.csv" -> { symbol: 'BTCUSDT', interval: '15m' }
+function parseKlinesFileName(file) {
+  const base = path.basename(file, path.extname(file));
+  const m = base.match(/^([A-Za-z0-9]+)[_\-.](\d+[mhdwM])$/);
+  if (!m) return { symbol: base.toUpperCase(), interval: null };
+  return { symbol: m[1].toUpperCase(), interval: m[2] };
+}
+
+module.exports = { parseKlines, loadKlinesFile, parseKlinesFileName, intervalToMs };
@@ -0,0 +1,145 @@
+/**
+ * lib/levels.js — structure-based stop loss, take-profit ladder and position sizing
+ *
+ *  - SL sits beyond the order block / FVG / swing point protecting the entry, plus an ATR buffer
+ *  - TP1..TP3 are the next opposing swing levels (liquidity resting above highs / below lows);
+ *    missing levels are filled with R multiples so there are always three targets
+ *  - a strategy's stop rules can swap either side for fixed ATR / % stops and R / % targets
+ *  - position size = (account * risk%) / |entry - SL|
+ */
+
+const ATR_PERIOD = 14;
+const SWING_WING = 2;        // bars on each side for a fractal swing point
+const SWING_LOOKBACK = 100;  // bars searched for swing levels
+const SL_ATR_BUFFER = Number(process.env.SL_ATR_BUFFER || 0.25); // ATR multiples added beyond the structure
+const MIN_RISK_ATR = 0.5;    // structure closer than this many ATRs is skipped (noise)
+const MAX_RISK_ATR = 4;      // structure further than this is ignored (RR would be meaningless)
+const MIN_TP1_R = 1;         // first target must be at least 1R away
+
+function atr(candles, period = ATR_PERIOD) {
+  if (!candles || candles.length < 2) return 0;
+  const start = Math.max(1, candles.length - period);
+  let sum = 0, n = 0;
+  for (let i = start; i < candles.length; i++) {
+    const c = candles[i], p = candles[i - 1];
+    sum += Math.max(c.high - c.low, Math.abs(c.high - p.close), Math.abs(c.low - p.close));
+    n++;
+  }
+  return n ? sum / n : 0;
+}
+
+// fractal swing highs/lows in the last `lookback` bars (the last SWING_WING bars can't be confirmed yet)
+function swingPoints(candles, lookback = SWING_LOOKBACK, wing = SWING_WING) {
+  const highs = [], lows = [];
+  const from = Math.max(wing, candles.length - lookback);
+  for (let i = from; i < candles.length - wing; i++) {
+    let isHigh = true, isLow = true;
+    for (let k = 1; k <= wing; k++) {
+      if (candles[i - k].high >= candles[i].high || candles[i + k].high > candles[i].high) isHigh = false;
+      if (candles[i - k].low <= candles[i].low || candles[i + k].low < candles[i].low) isLow = false;
+    }
+    if (isHigh) highs.push({ price: candles[i].high, t: candles[i].t, i });
+    if (isLow) lows.push({ price: candles[i].low, t: candles[i].t, i });
+  }
+  return { highs, lows };
+}
+
+function round(x) { return +Number(x).toFixed(8); }
+
+// nearest protective structure beyond entry, pushed out by the ATR buffer
+function structureStop(dir, entry, candles, { ob, fvg } = {}, atrBuffer = SL_ATR_BUFFER) {
+  const a = atr(candles);
+  const { highs, lows } = swingPoints(candles);
+  const candidates = [];
+  if (dir === 'LONG') {
+    if (ob && ob.bullish) candidates.push({ price: ob.bullish.low, src: 'OB' });
+    if (fvg && fvg.type === 'FVG_UP') candidates.push({ price: fvg.low, src: 'FVG' });
+    const swing = lows.filter(l => l.price < entry).pop();
+    if (swing) candidates.push({ price: swing.price, src: 'Swing' });
+  } else {
+    if (ob && ob.bearish) candidates.push({ price: ob.bearish.high, src: 'OB' });
+    if (fvg && fvg.type === 'FVG_DOWN') candidates.push({ price: fvg.high, src: 'FVG' });
+    const swing = highs.filter(h => h.price > entry).pop();
+    if (swing) candidates.push({ price: swing.price, src: 'Swing' });
+  }
+
+  const sign = dir === 'LONG' ? -1 : 1;
+  const valid = candidates
+    .map(c => ({ ...c, sl: c.price + sign * a * atrBuffer }))
+    .filter(c => (dir === 'LONG' ? c.sl < entry : c.sl > entry))
+    .map(c => ({ ...c, dist: Math.abs(entry - c.sl) }))
+    .filter(c => !a || (c.dist >= a * MIN_RISK_ATR && c.dist <= a * MAX_RISK_ATR))
+    .sort((x, y) => x.dist - y.dist);
+
+  if (valid.length) return { sl: round(valid[0].sl), src: valid[0].src, atr: a };
+  // no usable structure: 1.5 ATR (or 1% without ATR) beyond entry
+  const dist = a ? a * 1.5 : entry * 0.01;
+  return { sl: round(entry + sign * dist), src: 'ATR', atr: a };
+}
+
+// next opposing liquidity levels beyond entry, at least MIN_TP1_R away
+function structureTargets(dir, entry, sl, candles, count = 3) {
+  const risk = Math.abs(entry - sl);
+  const { highs, lows } = swingPoints(candles);
+  const minDist = risk * MIN_TP1_R;
+  let levels = dir === 'LONG'
+    ? highs.map(h => h.price).filter(p => p - entry >= minDist).sort((x, y) => x - y)
+    : lows.map(l => l.price).filter(p => entry - p >= minDist).sort((x, y) => y - x);
+  // merge levels closer than a quarter R (equal highs/lows are one liquidity pool)
+  levels = levels.filter((p, i) => i === 0 || Math.abs(p - levels[i - 1]) >= risk * 0.25);
+
+  const tps = levels.slice(0, count).map(p => ({ price: round(p), src: 'Liquidity' }));
+  const sign = dir === 'LONG' ? 1 : -1;
+  while (tps.length < count) {
+    const lastR = tps.length ? Math.abs(tps[tps.length - 1].price - entry) / risk : 1;
+    tps.push({ price: round(entry + sign * risk * (Math.floor(lastR + 1e-6) + 1)), src: 'R' });
+  }
+  return tps;
+}
+
+// fixed stops / targets instead of structure: rules.sl 'atr' (slAtr ATRs) | 'percent' (slPct % of entry)
+function fixedStop(dir, entry, candles, rules) {
+  const a = atr(candles);
+  const dist = rules.sl === 'percent' || !a ? entry * (rules.slPct || 1) / 100 : a * (rules.slAtr || 1.5);
+  return { sl: round(dir === 'LONG' ? entry - dist : entry + dist), src: rules.sl === 'percent' ? 'Pct' : 'ATR', atr: a };
+}
+
+// rules.tp 'rr' (R multiples in rules.rr) | 'percent' (% of entry in rules.tpPct)
+function fixedTargets(dir, entry, sl, rules) {
+  const sign = dir === 'LONG' ? 1 : -1;
+  if (rules.tp === 'percent') return (rules.tpPct || [2]).map(p => ({ price: round(entry * (1 + sign * p / 100)), src: 'Pct' }));
+  const risk = Math.abs(entry - sl);
+  return (rules.rr || [1, 2, 3]).map(r => ({ price: round(entry + sign * risk * r), src: 'R' }));
+}
+
+// rules (strategy stops, all optional): sl 'structure' | 'atr' | 'percent', atrBuffer, slAtr, slPct,
+// tp 'liquidity' | 'rr' | 'percent', targets (liquidity count), rr, tpPct
+function planTrade(dir, entry, candles, zones = {}, rules = {}) {
+  const stop = !rules.sl || rules.sl === 'structure'
+    ? structureStop(dir, entry, candles, zones, rules.atrBuffer ?? SL_ATR_BUFFER)
+    : fixedStop(dir, entry, candles, rules);
+  const risk = Math.abs(entry - stop.sl);
+  const tps = !rules.tp || rules.tp === 'liquidity'
+    ? structureTargets(dir, entry, stop.sl, candles, rules.targets || 3)
+    : fixedTargets(dir, entry, stop.sl, rules);
+  return {
+    sl: stop.sl,
+    slSource: stop.src,
+    atr: stop.atr,
+    tps: tps.map(t => t.price),
+    tpSources: tps.map(t => t.src),
+    rrs: tps.map(t => (risk ? Math.abs(t.price - entry) / risk : 0).toFixed(2)),
+  };
+}
+
+// profile: { account, riskPct } -> { qty, notional, riskAmount, leverage } or null
+function positionSize(idea, profile) {
+  if (!profile || !(profile.account > 0) || !(profile.riskPct > 0)) return null;
+  const risk = Math.abs(idea.entry - idea.sl);
+  if (!risk) return null;
+  const riskAmount = profile.account * profile.riskPct / 100;
+  const qty = riskAmount / risk;
+  return { qty, notional: qty * idea.entry, riskAmount, leverage: (qty * idea.entry) / profile.account };
+}
+
+module.exports = { atr, swingPoints, structureStop, structureTargets, planTrade, positionSize };
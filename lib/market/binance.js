@@ -0,0 +1,86 @@
+/**
+ * lib/market/binance.js — Binance spot (api/v3) and USDT-M futures (fapi/v1) providers
+ *
+ * Both share the same kline payload; they differ in host, paths, page size and
+ * the request-weight budget reported in the x-mbx-used-weight-1m header.
+ * Tickers (universe selection) come from the 24hr endpoint; futures add the funding rate
+ * (premiumIndex) and per-symbol open interest.
+ */
+
+const { getJSON, pauseHost } = require('./http');
+
+const SYMBOLS_TTL_MS = 6 * 60 * 60 * 1000;
+
+function createBinanceProvider({ name, baseUrl, klinesPath, infoPath, tickerPath, fundingPath, openInterestPath, maxLimit, weightLimit }) {
+  let symbols = null, symbolsAt = 0;
+
+  // stop a bit before the 1-minute weight budget is spent, resume at the next minute
+  function onHeaders(host, headers) {
+    const used = Number(headers['x-mbx-used-weight-1m']);
+    if (used && used >= weightLimit * 0.9) pauseHost(host, Math.ceil(Date.now() / 60000) * 60000 + 1000);
+  }
+
+  async function fetchKlines(symbol, interval, { limit = 300, startTime, endTime } = {}) {
+    let url = `${baseUrl}${klinesPath}?symbol=${symbol}&interval=${interval}&limit=${Math.min(limit, maxLimit)}`;
+    if (startTime != null) url += `&startTime=${startTime}`;
+    if (endTime != null) url += `&endTime=${endTime}`;
+    const data = await getJSON(url, { onHeaders });
+    return data.map(c => ({ t: c[0], open: +c[1], high: +c[2], low: +c[3], close: +c[4], vol: +c[5] }));
+  }
+
+  async function listSymbols() {
+    if (symbols && Date.now() - symbolsAt < SYMBOLS_TTL_MS) return symbols;
+    const info = await getJSON(`${baseUrl}${infoPath}`, { onHeaders });
+    symbols = new Set((info.symbols || []).filter(s => s.status === 'TRADING').map(s => s.symbol));
+    symbolsAt = Date.now();
+    return symbols;
+  }
+
+  // 24h stats of every trading symbol: { symbol, price, quoteVolume, changePct, fundingRate, openInterest }
+  async function fetchTickers() {
+    const listed = await listSymbols();
+    const funding = {};
+    if (fundingPath) for (const p of await getJSON(`${baseUrl}${fundingPath}`, { onHeaders })) funding[p.symbol] = +p.lastFundingRate;
+    return (await getJSON(`${baseUrl}${tickerPath}`, { onHeaders }))
+      .filter(r => listed.has(r.symbol))
+      .map(r => ({
+        symbol: r.symbol, price: +r.lastPrice, quoteVolume: +r.quoteVolume, changePct: +r.priceChangePercent,
+        fundingRate: funding[r.symbol] ?? null, openInterest: null,
+      }));
+  }
+
+  // open interest in base-asset units (futures only)
+  async function fetchOpenInterest(symbol) {
+    return +(await getJSON(`${baseUrl}${openInterestPath}?symbol=${symbol}`, { onHeaders })).openInterest;
+  }
+
+  return { name, maxLimit, fetchKlines, listSymbols, fetchTickers, ...(openInterestPath ? { fetchOpenInterest } : {}) };
+}
+
+function createBinanceSpot() {
+  return createBinanceProvider({
+    name: 'binance-spot',
+    baseUrl: 'https://api.binance.com',
+    klinesPath: '/api/v3/klines',
+    infoPath: '/api/v3/exchangeInfo',
+    tickerPath: '/api/v3/ticker/24hr',
+    maxLimit: 1000,
+    weightLimit: 6000,
+  });
+}
+
+function createBinanceFutures() {
+  return createBinanceProvider({
+    name: 'binance-futures',
+    baseUrl: 'https://fapi.binance.com',
+    klinesPath: '/fapi/v1/klines',
+    infoPath: '/fapi/v1/exchangeInfo',
+    tickerPath: '/fapi/v1/ticker/24hr',
+    fundingPath: '/fapi/v1/premiumIndex',
+    openInterestPath: '/fapi/v1/openInterest',
+    maxLimit: 1500,
+    weightLimit: 2400,
+  });
+}
+
+module.exports = { createBinanceProvider, createBinanceSpot, createBinanceFutures };
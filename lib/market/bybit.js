@@ -0,0 +1,71 @@
+/**
+ * lib/market/bybit.js — Bybit v5 linear (USDT perpetual) provider
+ *
+ * Bybit returns klines newest first as strings and uses its own interval codes;
+ * both are normalised to the bot's candle shape (oldest first). Its tickers carry
+ * funding and open interest (in USDT) for every symbol in one call.
+ */
+
+const { getJSON, pauseHost } = require('./http');
+
+const BASE_URL = 'https://api.bybit.com';
+const SYMBOLS_TTL_MS = 6 * 60 * 60 * 1000;
+const INTERVALS = { '1m': '1', '3m': '3', '5m': '5', '15m': '15', '30m': '30', '1h': '60', '2h': '120', '4h': '240', '6h': '360', '12h': '720', '1d': 'D', '1w': 'W', '1M': 'M' };
+
+function checkRetCode(data) {
+  if (data && data.retCode !== 0) throw new Error(`bybit ${data.retCode}: ${data.retMsg}`);
+  return data.result || {};
+}
+
+function createBybitLinear() {
+  let symbols = null, symbolsAt = 0;
+
+  function onHeaders(host, headers) {
+    const remaining = headers['x-bapi-limit-status'];
+    const reset = Number(headers['x-bapi-limit-reset-timestamp']);
+    if (remaining != null && Number(remaining) <= 1 && reset) pauseHost(host, reset);
+  }
+
+  async function fetchKlines(symbol, interval, { limit = 300, startTime, endTime } = {}) {
+    const code = INTERVALS[interval];
+    if (!code) throw new Error(`bybit: unsupported interval ${interval}`);
+    let url = `${BASE_URL}/v5/market/kline?category=linear&symbol=${symbol}&interval=${code}&limit=${Math.min(limit, 1000)}`;
+    if (startTime != null) url += `&start=${startTime}`;
+    if (endTime != null) url += `&end=${endTime}`;
+    const result = checkRetCode(await getJSON(url, { onHeaders }));
+    return (result.list || [])
+      .map(c => ({ t: Number(c[0]), open: +c[1], high: +c[2], low: +c[3], close: +c[4], vol: +c[5] }))
+      .reverse();
+  }
+
+  async function listSymbols() {
+    if (symbols && Date.now() - symbolsAt < SYMBOLS_TTL_MS) return symbols;
+    const out = new Set();
+    let cursor = '';
+    do {
+      const url = `${BASE_URL}/v5/market/instruments-info?category=linear&limit=1000${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+      const result = checkRetCode(await getJSON(url, { onHeaders }));
+      for (const s of result.list || []) if (s.status === 'Trading') out.add(s.symbol);
+      cursor = result.nextPageCursor || '';
+    } while (cursor);
+    symbols = out;
+    symbolsAt = Date.now();
+    return symbols;
+  }
+
+  async function fetchTickers() {
+    const listed = await listSymbols();
+    const result = checkRetCode(await getJSON(`${BASE_URL}/v5/market/tickers?category=linear`, { onHeaders }));
+    return (result.list || [])
+      .filter(r => listed.has(r.symbol))
+      .map(r => ({
+        symbol: r.symbol, price: +r.lastPrice, quoteVolume: +r.turnover24h, changePct: +r.price24hPcnt * 100,
+        fundingRate: r.fundingRate === '' || r.fundingRate == null ? null : +r.fundingRate,
+        openInterest: r.openInterestValue == null ? null : +r.openInterestValue,
+      }));
+  }
+
+  return { name: 'bybit', maxLimit: 1000, fetchKlines, listSymbols, fetchTickers };
+}
+
+module.exports = { createBybitLinear };
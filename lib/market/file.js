@@ -0,0 +1,75 @@
+/**
+ * lib/market/file.js — offline provider reading klines from local CSV/JSON files
+ *
+ * Looks for <dir>/<SYMBOL>_<interval>.csv|.json (see lib/kline-file.js for formats).
+ * Files are re-read only when their mtime changes.
+ * Tickers come from <dir>/tickers.json: an array of Binance 24hr rows, Bybit v5 ticker rows (or the
+ * whole Bybit response) or { symbol, price, quoteVolume, changePct, fundingRate, openInterest (USDT) }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadKlinesFile, parseKlinesFileName } = require('../kline-file');
+
+const num = v => (v == null || v === '' ? null : Number(v));
+
+// one ticker row in any of the accepted shapes -> the providers' ticker shape ('' symbol for malformed rows)
+function toTicker(r) {
+  const changePct = r.changePct ?? r.priceChangePercent;
+  return {
+    symbol: r.symbol ? String(r.symbol).toUpperCase() : '',
+    price: num(r.price ?? r.lastPrice),
+    quoteVolume: num(r.quoteVolume ?? r.turnover24h),
+    changePct: changePct != null ? num(changePct) : r.price24hPcnt != null ? num(r.price24hPcnt) * 100 : null,
+    fundingRate: num(r.fundingRate ?? r.lastFundingRate),
+    openInterest: num(r.openInterest ?? r.openInterestValue),
+  };
+}
+
+function createFileProvider({ dir }) {
+  const loaded = {}; // file -> { mtimeMs, candles }
+
+  function fileFor(symbol, interval) {
+    for (const ext of ['.csv', '.json']) {
+      for (const sep of ['_', '-']) {
+        const p = path.join(dir, `${symbol}${sep}${interval}${ext}`);
+        if (fs.existsSync(p)) return p;
+      }
+    }
+    return null;
+  }
+
+  function read(file) {
+    const { mtimeMs } = fs.statSync(file);
+    if (!loaded[file] || loaded[file].mtimeMs !== mtimeMs) loaded[file] = { mtimeMs, candles: loadKlinesFile(file) };
+    return loaded[file].candles;
+  }
+
+  async function fetchKlines(symbol, interval, { limit = 300, startTime, endTime } = {}) {
+    const file = fileFor(symbol, interval);
+    if (!file) throw new Error(`no kline file for ${symbol} ${interval} in ${dir}`);
+    let candles = read(file);
+    if (startTime != null) candles = candles.filter(c => c.t >= startTime);
+    if (endTime != null) candles = candles.filter(c => c.t <= endTime);
+    return startTime != null ? candles.slice(0, limit) : candles.slice(-limit);
+  }
+
+  async function listSymbols() {
+    if (!fs.existsSync(dir)) return new Set();
+    // kline files only: tickers.json and other data without an interval in the name are not symbols
+    const names = fs.readdirSync(dir).filter(f => /\.(csv|json)$/i.test(f)).map(parseKlinesFileName);
+    return new Set(names.filter(n => n.interval).map(n => n.symbol));
+  }
+
+  async function fetchTickers() {
+    const file = path.join(dir, 'tickers.json');
+    if (!fs.existsSync(file)) throw new Error(`no tickers.json in ${dir}`);
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const rows = Array.isArray(raw) ? raw : (raw.result && raw.result.list) || [];
+    return rows.map(toTicker).filter(t => t.symbol);
+  }
+
+  return { name: 'file', maxLimit: Infinity, fetchKlines, listSymbols, fetchTickers };
+}
+
+module.exports = { createFileProvider, toTicker };
@@ -0,0 +1,55 @@
+/**
+ * lib/market/http.js — GET JSON with retry/backoff and per-host rate-limit awareness
+ *
+ *  - retries network errors, 429/418 and 5xx with exponential backoff (+ jitter),
+ *    honouring Retry-After when the exchange sends it
+ *  - providers report their rate-limit headers through `onHeaders`; a host that
+ *    is close to its budget is paused until its window resets
+ */
+
+const axios = require('axios');
+
+const hostPauseUntil = {}; // host -> epoch ms before which no request is sent
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function pauseHost(host, untilMs) {
+  hostPauseUntil[host] = Math.max(hostPauseUntil[host] || 0, untilMs);
+}
+
+function isRetryable(err) {
+  const status = err.response && err.response.status;
+  if (!status) return true; // network error / timeout
+  return status === 429 || status === 418 || status >= 500;
+}
+
+/**
+ * opts.retries   attempts after the first (default 3)
+ * opts.timeout   per request ms (default 20000)
+ * opts.onHeaders (host, headers) => void, lets a provider pause its host (see pauseHost)
+ */
+async function getJSON(url, opts = {}) {
+  const retries = opts.retries != null ? opts.retries : 3;
+  const host = new URL(url).host;
+  let attempt = 0;
+  for (;;) {
+    const wait = (hostPauseUntil[host] || 0) - Date.now();
+    if (wait > 0) await sleep(wait);
+    try {
+      const res = await axios.get(url, { timeout: opts.timeout || 20000 });
+      if (opts.onHeaders) opts.onHeaders(host, res.headers || {});
+      return res.data;
+    } catch (err) {
+      const res = err.response;
+      if (res && opts.onHeaders) opts.onHeaders(host, res.headers || {});
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const retryAfter = res && res.headers && Number(res.headers['retry-after']);
+      const backoff = retryAfter ? retryAfter * 1000 : Math.min(30000, 500 * 2 ** attempt) + Math.random() * 250;
+      if (res && (res.status === 429 || res.status === 418)) pauseHost(host, Date.now() + backoff);
+      attempt++;
+      await sleep(backoff);
+    }
+  }
+}
+
+module.exports = { getJSON, pauseHost, sleep };
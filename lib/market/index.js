@@ -0,0 +1,161 @@
+/**
+ * lib/market/index.js — market-data router: per-symbol provider routing + kline cache
+ *
+ * Providers implement:
+ *   { name, maxLimit, fetchKlines(symbol, interval, { limit, startTime, endTime }), listSymbols() }
+ * and optionally fetchTickers() -> [{ symbol, price, quoteVolume, changePct, fundingRate, openInterest }]
+ * and fetchOpenInterest(symbol) -> base-asset units (universe selection, see lib/universe).
+ * Built in: binance-spot, binance-futures (USDT-M), bybit (linear), file (offline CSV/JSON).
+ *
+ * Routing: an explicit route (SYMBOL:provider[:remoteSymbol]) wins; otherwise, with
+ * defaultProvider 'auto', the first provider in `autoOrder` listing the symbol is used, and with a
+ * fixed defaultProvider that provider, when it lists the symbol.
+ * Symbols no provider lists raise an error with code 'UNKNOWN_SYMBOL'.
+ *
+ * Cache: klines are kept in memory per provider/symbol/interval and reused while the
+ * same bar is still forming and the copy is younger than a fraction of the interval
+ * (~1 min for 15m, ~15 min for 4h), so HTF data is not refetched every cycle.
+ */
+
+const { createBinanceSpot, createBinanceFutures } = require('./binance');
+const { createBybitLinear } = require('./bybit');
+const { createFileProvider } = require('./file');
+const { intervalToMs } = require('../kline-file');
+
+const NEGATIVE_TTL_MS = 10 * 60 * 1000; // how long an unknown symbol stays unknown before re-checking listings
+
+function unknownSymbolError(symbol) {
+  const err = new Error(`unknown symbol ${symbol}`);
+  err.code = 'UNKNOWN_SYMBOL';
+  return err;
+}
+
+// "PEPE1000USDT:binance-futures:1000PEPEUSDT,HYPEUSDT:bybit" -> { PEPE1000USDT: { provider, remote } , ... }
+function parseRoutes(str) {
+  const routes = {};
+  for (const part of String(str || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [symbol, provider, remote] = part.split(':').map(s => s.trim());
+    if (symbol && provider) routes[symbol.toUpperCase()] = { provider, remote: (remote || symbol).toUpperCase() };
+  }
+  return routes;
+}
+
+function cacheMaxAge(stepMs) { return Math.min(15 * 60 * 1000, Math.max(30 * 1000, stepMs / 16)); }
+
+function createMarket({ providers, autoOrder, routes = {}, defaultProvider = 'auto' }) {
+  const resolved = {}; // symbol -> { provider, remote, at } | { unknown: true, at }
+  const cache = {};    // provider:remote:interval -> { candles, limit, fetchedAt }
+
+  async function resolve(symbol) {
+    symbol = String(symbol || '').toUpperCase();
+    if (routes[symbol]) return routes[symbol];
+    const order = defaultProvider === 'auto' ? autoOrder : [defaultProvider];
+
+    const hit = resolved[symbol];
+    if (hit && !hit.unknown) return hit;
+    if (hit && hit.unknown && Date.now() - hit.at < NEGATIVE_TTL_MS) return null;
+
+    let failures = 0;
+    for (const name of order) {
+      try {
+        const listed = await providers[name].listSymbols();
+        if (listed.has(symbol)) return (resolved[symbol] = { provider: name, remote: symbol, at: Date.now() });
+      } catch (e) {
+        failures++;
+        console.warn('market listSymbols', name, e && e.message ? e.message : e);
+      }
+    }
+    // listings unreachable: don't call the symbol unknown, try the first provider unverified
+    if (failures === order.length) return { provider: order[0], remote: symbol };
+    resolved[symbol] = { unknown: true, at: Date.now() };
+    return null;
+  }
+
+  function providerFor(route, symbol) {
+    const p = providers[route.provider];
+    if (!p) throw new Error(`market: no provider "${route.provider}" for ${symbol}`);
+    return p;
+  }
+
+  async function getKlines(symbol, interval = '15m', limit = 300) {
+    const route = await resolve(symbol);
+    if (!route) throw unknownSymbolError(symbol);
+    return cachedKlines(providerFor(route, symbol), route.remote, interval, limit);
+  }
+
+  // klines from one named provider, bypassing routing (the universe ranks a single market's data)
+  async function getProviderKlines(providerName, symbol, interval = '15m', limit = 300) {
+    return cachedKlines(providerFor({ provider: providerName }, symbol), String(symbol).toUpperCase(), interval, limit);
+  }
+
+  async function cachedKlines(provider, remote, interval, limit) {
+    const key = `${provider.name}:${remote}:${interval}`;
+    const stepMs = intervalToMs(interval) || 60000;
+    const now = Date.now();
+    const c = cache[key];
+    if (c && c.limit >= limit && c.candles.length && Math.floor(now / stepMs) === Math.floor(c.fetchedAt / stepMs) && now - c.fetchedAt < cacheMaxAge(stepMs)) {
+      return c.candles.slice(-limit);
+    }
+    const candles = await provider.fetchKlines(remote, interval, { limit });
+    cache[key] = { candles, limit, fetchedAt: now };
+    return candles;
+  }
+
+  // [startTime, endTime] history, paged backwards from endTime in provider-sized pages
+  async function getKlinesRange(symbol, interval, startTime, endTime = Date.now()) {
+    const route = await resolve(symbol);
+    if (!route) throw unknownSymbolError(symbol);
+    const provider = providerFor(route, symbol);
+    const pageSize = Math.min(provider.maxLimit, 1000);
+
+    const pages = [];
+    let end = endTime;
+    while (end >= startTime) {
+      // only endTime: every provider then returns the latest `limit` bars up to it
+      const page = await provider.fetchKlines(route.remote, interval, { limit: pageSize, endTime: end });
+      if (!page.length) break;
+      pages.unshift(page);
+      if (page.length < pageSize || page[0].t <= startTime) break;
+      end = page[0].t - 1;
+    }
+    const seen = new Set();
+    return pages.flat().filter(k => k.t >= startTime && k.t <= endTime && !seen.has(k.t) && seen.add(k.t));
+  }
+
+  // every listed symbol's 24h ticker from one provider
+  async function getTickers(providerName) {
+    const p = providers[providerName];
+    if (!p || !p.fetchTickers) throw new Error(`market: provider "${providerName}" has no tickers`);
+    return p.fetchTickers();
+  }
+
+  // null when the provider can't tell (spot, or its tickers already carry it)
+  async function getOpenInterest(providerName, symbol) {
+    const p = providers[providerName];
+    return p && p.fetchOpenInterest ? p.fetchOpenInterest(symbol) : null;
+  }
+
+  function stats() {
+    return { cached: Object.keys(cache).length, routes: Object.keys(routes).length, resolved: Object.keys(resolved).length };
+  }
+
+  return { resolve, getKlines, getProviderKlines, getKlinesRange, getTickers, getOpenInterest, stats };
+}
+
+// market from env: MARKET_PROVIDER, SYMBOL_ROUTES, KLINES_DIR
+function createMarketFromEnv(env = process.env) {
+  const providers = {
+    'binance-spot': createBinanceSpot(),
+    'binance-futures': createBinanceFutures(),
+    bybit: createBybitLinear(),
+  };
+  if (env.KLINES_DIR) providers.file = createFileProvider({ dir: env.KLINES_DIR });
+  return createMarket({
+    providers,
+    autoOrder: ['binance-spot', 'binance-futures', 'bybit'],
+    routes: parseRoutes(env.SYMBOL_ROUTES),
+    defaultProvider: env.MARKET_PROVIDER || 'auto',
+  });
+}
+
+module.exports = { createMarket, createMarketFromEnv, parseRoutes };
@@ -0,0 +1,44 @@
+/**
+ * lib/notify/format.js — signal content shared by the non-Telegram channels
+ *
+ * A notification is { kind: 'signal', id, source, header, idea, chart, at } or { kind: 'text', text };
+ * `header` is a catalog key (signal.header.auto / .watch) rendered with { symbol }.
+ */
+
+const { t } = require('../i18n');
+
+function signalTitle(n, lang) {
+  return `${t(lang, n.header, { symbol: n.idea.symbol })} — ${n.idea.dir}`;
+}
+
+// [label, value] rows in `lang`, the same order as the Telegram message
+function signalFields(idea, lang) {
+  const rows = [[t(lang, 'signal.entry'), idea.entry], ['SL', `${idea.sl}${idea.slSource ? ` (${idea.slSource})` : ''}`]];
+  if (idea.tps && idea.tps.length) idea.tps.forEach((tp, k) => rows.push([`TP${k + 1}`, `${tp} (RR ${idea.rrs[k]})`]));
+  else rows.push(['TP', `${idea.tp} (RR ${idea.rr})`]);
+  rows.push([t(lang, 'signal.score'), idea.score]);
+  if (idea.strategy) rows.push([t(lang, 'signal.strategy'), idea.strategy]);
+  rows.push([t(lang, 'signal.note'), idea.note || '-']);
+  if (idea.htf) rows.push(['HTF', idea.htf]);
+  return rows;
+}
+
+function signalText(n, lang) {
+  return [signalTitle(n, lang), ...signalFields(n.idea, lang).map(([k, v]) => `${k}: ${v}`)].join('\n');
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+// machine-readable body of the generic webhook
+function signalPayload(n) {
+  const i = n.idea;
+  return {
+    event: 'signal', id: n.id, source: n.source, strategy: i.strategy || null, symbol: i.symbol, dir: i.dir,
+    entry: i.entry, sl: i.sl, slSource: i.slSource || null, tps: i.tps || [i.tp], rrs: i.rrs || [i.rr],
+    score: i.score, note: i.note || null, htf: i.htf || null, at: new Date(n.at || Date.now()).toISOString(),
+  };
+}
+
+module.exports = { signalTitle, signalFields, signalText, signalPayload, escapeHtml };
@@ -0,0 +1,116 @@
+/**
+ * lib/notify — notification dispatcher with pluggable channels
+ *
+ * A channel is { name, limits, format(notification, route) -> message, send(target, message, state) }:
+ * telegram, discord, slack, webhook (signed JSON) and email ship in this folder. The dispatcher gives
+ * every channel its own send queue (rate limits, retries, see ./queue) and delivers a notification to a
+ * list of routes { channel, target, lang, ...whatever that channel's format reads }.
+ *
+ * Subscriptions say which routes a signal takes: { id, owner, channel, target, secret, symbols, strategies,
+ * createdBy, createdAt } — `owner` is the chat (user or group) that manages it; empty symbol / strategy
+ * lists mean everything.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { createSendQueue } = require('./queue');
+const { createTelegramChannel } = require('./telegram');
+const { createDiscordChannel, createSlackChannel, createWebhookChannel, signPayload, verifySignature, isPrivateAddress, assertPublicUrl } = require('./webhook');
+const { createEmailChannel } = require('./email');
+
+const CHANNELS = ['telegram', 'discord', 'slack', 'webhook', 'email'];
+
+function createDispatcher({ channels, maxAttempts = 5 }) {
+  const byName = {};
+  const queues = {};
+  for (const ch of channels) {
+    byName[ch.name] = ch;
+    queues[ch.name] = createSendQueue({ name: ch.name, send: ch.send, maxAttempts, ...ch.limits });
+  }
+
+  // -> Promise of [{ route, ok, error, attempts }]; never rejects, failures are logged by the queues
+  // opts.maxAttempts: per-delivery override of the retry budget
+  function deliver(notification, routes, opts = {}) {
+    return Promise.all(routes.map(async route => {
+      const ch = byName[route.channel];
+      if (!ch) return { route, ok: false, error: new Error(`channel ${route.channel} is not configured`) };
+      let message;
+      try {
+        message = ch.format(notification, route);
+      } catch (e) {
+        console.warn(`notify ${ch.name}: format failed`, route.target, e && e.message ? e.message : e);
+        return { route, ok: false, error: e };
+      }
+      return { route, ...(await queues[ch.name].push(route.target, message, opts)) };
+    }));
+  }
+
+  function has(name) { return !!byName[name]; }
+
+  function stats() {
+    const out = {};
+    for (const [name, q] of Object.entries(queues)) out[name] = q.stats();
+    return out;
+  }
+
+  function stop() { for (const q of Object.values(queues)) q.stop(); }
+
+  return { deliver, has, stats, stop, channels: Object.keys(byName) };
+}
+
+// ------------- SUBSCRIPTIONS -------------
+// target check per channel; returns the normalized target or null. URLs naming a local host or a private
+// address are refused here; hostnames are resolved and checked again with assertPublicUrl before every send
+function normalizeTarget(channel, target) {
+  const s = String(target || '').trim();
+  if (channel === 'telegram') return /^-?\d+$/.test(s) ? s : null;
+  if (channel === 'email') return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s) ? s.toLowerCase() : null;
+  try {
+    const url = new URL(s);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (/^localhost$|\.(localhost|local|internal)$/i.test(host) || (net.isIP(host) && isPrivateAddress(host))) return null;
+    return url.toString();
+  } catch (e) {
+    return null;
+  }
+}
+
+// "symbols=BTCUSDT,ETHUSDT strategies=smc-structure" -> { symbols, strategies }; `*` clears a list
+function parseFilters(tokens) {
+  const out = {};
+  for (const tok of tokens) {
+    const m = /^(symbols?|strateg(?:y|ies))=(.*)$/i.exec(tok);
+    if (!m) {
+      const err = new Error(`bad filter "${tok}"`);
+      err.code = 'BAD_FILTER';
+      throw err;
+    }
+    const key = m[1].toLowerCase().startsWith('symbol') ? 'symbols' : 'strategies';
+    const list = m[2] === '*' ? [] : m[2].split(',').map(s => s.trim()).filter(Boolean);
+    out[key] = key === 'symbols' ? list.map(s => s.toUpperCase()) : list;
+  }
+  return out;
+}
+
+function createSubscription({ owner, channel, target, createdBy, symbols = [], strategies = [] }) {
+  return {
+    id: crypto.randomBytes(3).toString('hex'),
+    owner: String(owner), channel, target,
+    // generic webhooks get a signing secret, shown once to whoever added it
+    secret: channel === 'webhook' ? crypto.randomBytes(24).toString('hex') : null,
+    symbols, strategies, createdBy: String(createdBy), createdAt: Date.now(),
+  };
+}
+
+function matchesSubscription(sub, idea) {
+  return (!sub.symbols || !sub.symbols.length || sub.symbols.includes(idea.symbol))
+    && (!sub.strategies || !sub.strategies.length || sub.strategies.includes(idea.strategy));
+}
+
+module.exports = {
+  CHANNELS, createDispatcher, createSendQueue,
+  createTelegramChannel, createDiscordChannel, createSlackChannel, createWebhookChannel, createEmailChannel,
+  signPayload, verifySignature, assertPublicUrl,
+  normalizeTarget, parseFilters, createSubscription, matchesSubscription,
+};
@@ -0,0 +1,101 @@
+/**
+ * lib/notify/queue.js — per-channel send queue: rate limits and retries with backoff
+ *
+ * Jobs leave in order as long as
+ *  - the channel's budget allows (perSecond, a token bucket; a job costs cost(message) tokens)
+ *  - the same target got nothing within perTargetMs(target) (Telegram: 1 message/s per chat)
+ *  - fewer than `concurrency` sends are in flight
+ * A failed send is retried up to maxAttempts times with exponential backoff, or after err.retryAfter ms
+ * (429s; err.global pauses the whole channel). Errors with err.permanent (blocked bot, bad URL, 4xx)
+ * fail at once. push() resolves { ok, error, attempts } and never rejects.
+ * Jobs live in memory: whatever is pending at shutdown is lost.
+ */
+
+function createSendQueue({
+  name, send, perSecond = 10, perTargetMs = 0, concurrency = 1, cost = () => 1,
+  maxAttempts = 5, baseDelayMs = 2000, maxDelayMs = 5 * 60 * 1000, now = () => Date.now(),
+}) {
+  const gap = typeof perTargetMs === 'function' ? perTargetMs : () => perTargetMs;
+  const jobs = [];            // waiting, oldest first: { target, message, state, attempts, notBefore, resolve }
+  const lastSent = new Map(); // target -> ms of its last send
+  const counts = { sent: 0, failed: 0, retried: 0 };
+  let tokens = perSecond, refilledAt = now(), pausedUntil = 0, inFlight = 0, timer = null;
+
+  function refill(at) {
+    tokens = Math.min(perSecond, tokens + (at - refilledAt) * perSecond / 1000);
+    refilledAt = at;
+  }
+
+  function wake(ms) {
+    if (timer) return;
+    timer = setTimeout(() => { timer = null; pump(); }, Math.max(10, ms));
+  }
+
+  function pump() {
+    const at = now();
+    refill(at);
+    if (at < pausedUntil) return wake(pausedUntil - at);
+    let wait = Infinity;
+    for (let k = 0; k < jobs.length && inFlight < concurrency;) {
+      const job = jobs[k];
+      const ready = Math.max(job.notBefore, (lastSent.get(job.target) || 0) + gap(job.target));
+      if (ready > at) { wait = Math.min(wait, ready - at); k++; continue; }
+      const c = Math.min(perSecond, cost(job.message));
+      if (tokens < c) { wait = Math.min(wait, (c - tokens) * 1000 / perSecond); break; }
+      tokens -= c;
+      jobs.splice(k, 1);
+      lastSent.set(job.target, at);
+      run(job);
+    }
+    // forget targets whose gap has long passed
+    if (lastSent.size > 1000) for (const [target, t] of lastSent) if (at - t > 60 * 1000) lastSent.delete(target);
+    if (jobs.length && wait < Infinity) wake(wait);
+  }
+
+  async function run(job) {
+    inFlight++;
+    job.attempts++;
+    try {
+      await send(job.target, job.message, job.state);
+      counts.sent++;
+      job.resolve({ ok: true, attempts: job.attempts });
+    } catch (err) {
+      const e = err || new Error('send failed');
+      if (!e.permanent && job.attempts < job.maxAttempts) {
+        counts.retried++;
+        const delay = e.retryAfter != null ? e.retryAfter : Math.min(maxDelayMs, baseDelayMs * 2 ** (job.attempts - 1));
+        job.notBefore = now() + delay;
+        if (e.global) pausedUntil = Math.max(pausedUntil, job.notBefore);
+        jobs.push(job);
+        console.warn(`notify ${name}: retry ${job.attempts}/${job.maxAttempts} in ${Math.round(delay / 1000)}s`, job.target, e.message);
+      } else {
+        counts.failed++;
+        console.warn(`notify ${name}: giving up`, job.target, e.message);
+        job.resolve({ ok: false, error: e, attempts: job.attempts });
+      }
+    } finally {
+      inFlight--;
+      pump();
+    }
+  }
+
+  // state: per-job scratch the channel may use to resume a half-done send on retry
+  // opts.maxAttempts overrides the queue's (1 = no retries, e.g. a test message the user waits for)
+  function push(target, message, opts = {}) {
+    return new Promise(resolve => {
+      jobs.push({ target: String(target), message, state: {}, attempts: 0, maxAttempts: opts.maxAttempts || maxAttempts, notBefore: 0, resolve });
+      pump();
+    });
+  }
+
+  function stats() { return { ...counts, pending: jobs.length, inFlight }; }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return { push, stats, stop };
+}
+
+module.exports = { createSendQueue };
@@ -0,0 +1,62 @@
+/**
+ * lib/notify/telegram.js — Telegram channel (node-telegram-bot-api)
+ *
+ * Message: { text, options, chart: { png }, caption } — the chart goes out as a photo after the text.
+ * The first upload's file_id is kept on the shared chart object, so the other recipients of the same
+ * notification re-send it instead of uploading again. A retry after the text went through only resends
+ * the photo.
+ * Limits (Bot API): ~30 messages/s overall, 1/s per chat, 20/min per group (negative chat ids).
+ */
+
+const { signalText } = require('./format');
+
+const LIMITS = {
+  perSecond: Number(process.env.TELEGRAM_MAX_PER_SEC || 30),
+  perTargetMs: chatId => (String(chatId).startsWith('-') ? 3000 : 1000),
+  concurrency: 4,
+  cost: m => (m.chart ? 2 : 1),
+};
+
+// Telegram's answer decides between retrying and giving up
+function classify(err) {
+  const body = err && err.response && err.response.body;
+  const code = body && body.error_code;
+  if (code === 429) {
+    err.retryAfter = ((body.parameters && body.parameters.retry_after) || 5) * 1000;
+    err.global = true;
+  } else if (code === 400 || code === 403) {
+    err.permanent = true; // chat not found, bot blocked / kicked
+  }
+  return err;
+}
+
+function defaultFormat(n, route) {
+  if (n.kind !== 'signal') return { text: n.text, options: n.options };
+  return { text: signalText(n, route.lang), chart: n.chart, caption: n.idea.symbol };
+}
+
+// format(notification, route) -> message; the bot passes its own to add /risk sizing and chart captions
+function createTelegramChannel({ bot, format = defaultFormat }) {
+  async function send(chatId, m, state) {
+    try {
+      if (m.text && !state.textSent) {
+        await bot.sendMessage(chatId, m.text, m.options);
+        state.textSent = true;
+      }
+      const chart = m.chart;
+      if (!chart || !chart.png) return;
+      // parallel sends wait for the upload in flight instead of uploading again
+      if (!chart.fileId && chart.uploading) await chart.uploading.catch(() => {});
+      if (chart.fileId) return void await bot.sendPhoto(chatId, chart.fileId, { caption: m.caption });
+      chart.uploading = bot.sendPhoto(chatId, chart.png, { caption: m.caption }, { filename: 'chart.png', contentType: 'image/png' });
+      const sent = await chart.uploading;
+      if (sent && sent.photo && sent.photo.length) chart.fileId = sent.photo[sent.photo.length - 1].file_id;
+    } catch (e) {
+      throw classify(e);
+    }
+  }
+
+  return { name: 'telegram', limits: LIMITS, format, send };
+}
+
+module.exports = { createTelegramChannel };
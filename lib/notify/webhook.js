@@ -0,0 +1,178 @@
+/**
+ * lib/notify/webhook.js — HTTP channels: Discord and Slack incoming webhooks, generic signed JSON webhook
+ *
+ *  - discord: one embed per signal (colour by direction, a field per level), chart attached as chart.png
+ *  - slack:   mrkdwn section blocks, text only (incoming webhooks can't upload files)
+ *  - webhook: signalPayload() as JSON, signed when the subscription has a secret:
+ *               X-Signature-Timestamp: <unix ms>
+ *               X-Signature-256: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<raw body>")>
+ *             receivers check it with verifySignature() (or the same two lines in their own language)
+ * Targets are the webhook URLs. 429s wait for Retry-After, other 4xx fail at once, 5xx and network errors retry.
+ * Users pick the URLs, so every send first checks the host resolves to public addresses only (no loopback,
+ * private, link-local or metadata endpoints) and redirects are not followed. The sockets resolve through
+ * the same check (publicLookup on the agents), so a host re-pointed at 127.0.0.1 after the first lookup
+ * (DNS rebinding) is refused at connect time; HTTP(S)_PROXY is not used, the proxy would resolve the host.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { signalTitle, signalFields, signalText, signalPayload } = require('./format');
+
+const TIMEOUT_MS = 15000;
+const COLORS = { LONG: 0x2ecc71, SHORT: 0xe74c3c };
+
+function classify(err) {
+  const res = err && err.response;
+  if (err && err.code === 'BLOCKED_TARGET') err.permanent = true; // refused by publicLookup at connect
+  if (!res) return err; // network / timeout: retry
+  if (res.status === 429) {
+    const body = res.data || {};
+    const seconds = Number(body.retry_after || res.headers['retry-after'] || 5);
+    err.retryAfter = Math.ceil(seconds * 1000);
+    err.global = !!body.global;
+  } else if (res.status < 500) {
+    err.permanent = true;
+  }
+  err.message = `HTTP ${res.status}: ${err.message}`;
+  return err;
+}
+
+// ------------- TARGET CHECK -------------
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+];
+function v4ToInt(ip) { return ip.split('.').reduce((n, part) => n * 256 + Number(part), 0); }
+
+// loopback, private, CGNAT, link-local (cloud metadata), multicast and reserved addresses
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const n = v4ToInt(ip);
+    return PRIVATE_V4.some(([base, bits]) => Math.floor(n / 2 ** (32 - bits)) === Math.floor(v4ToInt(base) / 2 ** (32 - bits)));
+  }
+  if (!net.isIPv6(ip)) return true;
+  const lower = ip.toLowerCase();
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lower); // URL parsing writes them this way
+  if (mappedHex) {
+    const [hi, lo] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+    return isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+}
+
+function blockedTarget(host) {
+  const err = new Error(`target host ${host} is not a public address`);
+  err.code = 'BLOCKED_TARGET';
+  err.permanent = true;
+  return err;
+}
+
+// throws BLOCKED_TARGET unless every address the URL's host resolves to is public
+async function assertPublicUrl(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (/^localhost$|\.(localhost|local|internal)$/i.test(host)) throw blockedTarget(host);
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) throw blockedTarget(host);
+}
+
+// dns.lookup for the agents: the address the socket connects to is the one checked here
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list = Array.isArray(address) ? address : [{ address, family }];
+    if (!list.length || list.some(a => isPrivateAddress(a.address))) return callback(blockedTarget(hostname));
+    callback(null, address, family);
+  });
+}
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+async function post(url, body, headers) {
+  await assertPublicUrl(url);
+  try {
+    await axios.post(url, body, { timeout: TIMEOUT_MS, headers, maxRedirects: 0, httpAgent, httpsAgent, proxy: false });
+  } catch (e) {
+    throw classify(e);
+  }
+}
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// receiver side: constant-time compare, stale timestamps rejected
+function verifySignature(secret, timestamp, body, signature, { toleranceMs = 5 * 60 * 1000, now = Date.now() } = {}) {
+  if (!signature || !(Math.abs(now - Number(timestamp)) <= toleranceMs)) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function createDiscordChannel({ username } = {}) {
+  function format(n, route) {
+    if (n.kind !== 'signal') return { body: { username, content: n.text } };
+    const embed = {
+      title: signalTitle(n, route.lang),
+      color: COLORS[n.idea.dir],
+      fields: signalFields(n.idea, route.lang).map(([name, value]) => ({ name, value: String(value), inline: name !== 'HTF' })),
+      timestamp: new Date(n.at || Date.now()).toISOString(),
+    };
+    if (n.chart && n.chart.png) embed.image = { url: 'attachment://chart.png' };
+    return { body: { username, embeds: [embed] }, png: n.chart && n.chart.png };
+  }
+
+  async function send(url, m) {
+    if (!m.png) return post(url, m.body);
+    const form = new FormData();
+    form.append('payload_json', JSON.stringify(m.body));
+    form.append('files[0]', new Blob([m.png], { type: 'image/png' }), 'chart.png');
+    return post(url, form);
+  }
+
+  return { name: 'discord', limits: { perSecond: 5, perTargetMs: 2000, concurrency: 2 }, format, send };
+}
+
+function createSlackChannel() {
+  function format(n, route) {
+    if (n.kind !== 'signal') return { text: n.text };
+    const fields = signalFields(n.idea, route.lang).map(([k, v]) => `*${k}:* ${v}`).join('\n');
+    return {
+      text: signalText(n, route.lang),
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: signalTitle(n, route.lang) } },
+        { type: 'section', text: { type: 'mrkdwn', text: fields } },
+      ],
+    };
+  }
+
+  return { name: 'slack', limits: { perSecond: 5, perTargetMs: 1000, concurrency: 2 }, format, send: (url, body) => post(url, body) };
+}
+
+// route.secret: the subscription's signing secret (unsigned when empty)
+function createWebhookChannel() {
+  function format(n, route) {
+    const payload = n.kind === 'signal' ? signalPayload(n) : { event: 'message', text: n.text, at: new Date().toISOString() };
+    return { body: JSON.stringify(payload), secret: route.secret };
+  }
+
+  function send(url, m) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (m.secret) {
+      // signed per attempt so a retry carries a fresh timestamp
+      const ts = String(Date.now());
+      headers['X-Signature-Timestamp'] = ts;
+      headers['X-Signature-256'] = signPayload(m.secret, ts, m.body);
+    }
+    return post(url, m.body, headers);
+  }
+
+  return { name: 'webhook', limits: { perSecond: 10, perTargetMs: 0, concurrency: 4 }, format, send };
+}
+
+module.exports = { createDiscordChannel, createSlackChannel, createWebhookChannel, signPayload, verifySignature, isPrivateAddress, assertPublicUrl, publicLookup };
@@ -0,0 +1,73 @@
+/**
+ * lib/outcomes.js — resolve what happened to a signal after it was sent
+ *
+ * A tracked signal looks like:
+ *   { id, symbol, dir, entry, sl, tp, rr, score, source, openedAt,
+ *     status: 'OPEN' | 'TP' | 'SL' | 'EXPIRED', closedAt, exit, r }
+ * Candles are walked in order; the first bar touching SL or TP closes the
+ * signal (SL wins when both are touched in the same bar, we cannot know the
+ * intrabar order). Signals still open after expiryMs close at the last
+ * close inside the window — once a bar at or past the expiry is in hand, so a
+ * failed or short fetch leaves them open for the next check instead of
+ * expiring them blind.
+ */
+
+function realizedR(trade, exitPrice) {
+  const risk = Math.abs(trade.entry - trade.sl);
+  if (!risk) return 0;
+  const move = trade.dir === 'LONG' ? exitPrice - trade.entry : trade.entry - exitPrice;
+  return move / risk;
+}
+
+// check one bar against an open trade; returns the closed trade or null
+function resolveBar(trade, bar) {
+  const hitSL = trade.dir === 'LONG' ? bar.low <= trade.sl : bar.high >= trade.sl;
+  const hitTP = trade.dir === 'LONG' ? bar.high >= trade.tp : bar.low <= trade.tp;
+  if (hitSL) return { ...trade, outcome: 'SL', exit: trade.sl, exitTime: bar.t };
+  if (hitTP) return { ...trade, outcome: 'TP', exit: trade.tp, exitTime: bar.t };
+  return null;
+}
+
+// candles: bars opened after signal.openedAt, oldest first. Returns the closed signal or null if still open.
+function evaluateSignal(signal, candles, { expiryMs, now = Date.now() } = {}) {
+  const expiresAt = expiryMs ? signal.openedAt + expiryMs : Infinity;
+  let lastInWindow = null;
+  let reachedExpiry = false;
+  for (const bar of candles) {
+    if (bar.t < signal.openedAt) continue;
+    if (bar.t >= expiresAt) { reachedExpiry = true; break; }
+    const hit = resolveBar(signal, bar);
+    if (hit) return closeSignal(signal, hit.outcome, hit.exit, bar.t);
+    lastInWindow = bar;
+  }
+  if (now >= expiresAt && reachedExpiry) {
+    const exit = lastInWindow ? lastInWindow.close : signal.entry;
+    return closeSignal(signal, 'EXPIRED', exit, expiresAt);
+  }
+  return null;
+}
+
+function closeSignal(signal, status, exit, closedAt) {
+  return { ...signal, status, exit, closedAt, r: +realizedR(signal, exit).toFixed(4) };
+}
+
+// UNTRACKED = sends imported from before outcome tracking existed; they count neither as open nor closed
+function summarizeOutcomes(signals) {
+  const closed = signals.filter(s => s.status && s.status !== 'OPEN' && s.status !== 'UNTRACKED');
+  const wins = closed.filter(s => s.r > 0).length;
+  const losses = closed.filter(s => s.r < 0).length;
+  const totalR = closed.reduce((sum, s) => sum + (s.r || 0), 0);
+  return {
+    closed: closed.length,
+    open: signals.filter(s => s.status === 'OPEN').length,
+    tp: closed.filter(s => s.status === 'TP').length,
+    sl: closed.filter(s => s.status === 'SL').length,
+    expired: closed.filter(s => s.status === 'EXPIRED').length,
+    wins,
+    losses,
+    winRate: closed.length ? wins / closed.length : 0,
+    totalR,
+  };
+}
+
+module.exports = { realizedR, resolveBar, evaluateSignal, summarizeOutcomes };
@@ -0,0 +1,77 @@
+/**
+ * lib/paper.js — paper-trading account math (execution itself lives in lib/exchange)
+ *
+ * An account ({ enabled, startBalance, balance, since }) is stored per user; balance moves
+ * by each fill's `cash` (realized PnL minus fees). Positions are sized like /risk:
+ * riskPct of the current balance lost at the stop.
+ */
+
+const { positionSize } = require('./levels');
+
+// "50,30,20" -> [50, 30, 20]; empty / malformed -> null
+function parseSplit(str) {
+  const parts = String(str || '').split(',').map(s => Number(s.trim())).filter(n => n > 0);
+  return parts.length ? parts : null;
+}
+
+// idea TP1-3 + split weights -> [{ price, fraction }] summing to 1; extra TPs beyond the split are dropped
+function splitTargets(idea, split = [50, 30, 20]) {
+  const tps = idea.tps && idea.tps.length ? idea.tps : [idea.tp];
+  const n = Math.min(tps.length, split.length);
+  const weights = split.slice(0, n);
+  const total = weights.reduce((a, b) => a + b, 0);
+  return tps.slice(0, n).map((price, k) => ({ price, fraction: weights[k] / total }));
+}
+
+// quantity risking riskPct of the balance between entry and SL; null when it cannot be sized
+function paperQty(idea, balance, riskPct) {
+  const size = positionSize(idea, { account: balance, riskPct });
+  return size && size.qty > 0 ? size.qty : null;
+}
+
+// open PnL of the remaining size at `price` (before the closing fee)
+function unrealizedPnl(pos, price) {
+  if (pos.status !== 'OPEN' || price == null) return 0;
+  return (price - pos.entry) * pos.remaining * (pos.dir === 'LONG' ? 1 : -1);
+}
+
+// largest peak-to-trough drop of the equity curve, as a fraction of the peak
+function maxDrawdown(points) {
+  let peak = -Infinity, dd = 0;
+  for (const p of points) {
+    peak = Math.max(peak, p.equity);
+    if (peak > 0) dd = Math.max(dd, (peak - p.equity) / peak);
+  }
+  return dd;
+}
+
+function summarizePaper(account, positions, equity = []) {
+  const closed = positions.filter(p => p.status === 'CLOSED');
+  const wins = closed.filter(p => p.realized > 0).length;
+  const open = positions.filter(p => p.status === 'OPEN');
+  return {
+    startBalance: account.startBalance,
+    balance: account.balance,
+    pnl: account.balance - account.startBalance,
+    returnPct: account.startBalance ? (account.balance / account.startBalance - 1) * 100 : 0,
+    fees: positions.reduce((sum, p) => sum + (p.fees || 0), 0),
+    closed: closed.length,
+    open: open.length,
+    unrealized: open.reduce((sum, p) => sum + unrealizedPnl(p, p.mark), 0),
+    wins,
+    losses: closed.length - wins,
+    winRate: closed.length ? wins / closed.length : 0,
+    maxDrawdown: maxDrawdown(equity),
+  };
+}
+
+// one-line equity curve: ▁▂▃▄▅▆▇█ over the last `width` points
+function sparkline(values, width = 24) {
+  const v = values.slice(-width);
+  if (v.length < 2) return '';
+  const lo = Math.min(...v), hi = Math.max(...v);
+  const bars = '▁▂▃▄▅▆▇█';
+  return v.map(x => bars[hi > lo ? Math.round((x - lo) / (hi - lo) * (bars.length - 1)) : 3]).join('');
+}
+
+module.exports = { parseSplit, splitTargets, paperQty, unrealizedPnl, maxDrawdown, summarizePaper, sparkline };
@@ -0,0 +1,96 @@
+/**
+ * lib/preferences.js — per-user delivery preferences (stored in settings scope 'prefs')
+ *
+ *   minScore    null = the bot's SCORE_THRESHOLD, otherwise signals below it are not delivered
+ *   directions  'both' | 'long' | 'short'
+ *   quietFrom / quietTo  "HHMM" in the user's timezone; no automatic signals in between (wraps midnight)
+ *   timezone    IANA name, e.g. "Asia/Ho_Chi_Minh"
+ *   lang        catalog language (lib/i18n)
+ *   digest      "HHMM" in the user's timezone for the daily digest, null = none
+ */
+
+const { LANGS, DEFAULT_LANG } = require('./i18n');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Ho_Chi_Minh';
+const DIRECTIONS = ['both', 'long', 'short'];
+
+const DEFAULT_PREFS = {
+  minScore: null,
+  directions: 'both',
+  quietFrom: null,
+  quietTo: null,
+  timezone: DEFAULT_TIMEZONE,
+  lang: DEFAULT_LANG,
+  digest: null,
+};
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isHHMM(s) {
+  return /^([01]\d|2[0-3])[0-5]\d$/.test(String(s));
+}
+
+// "800" | "0800" | "08:00" -> "0800"; null when malformed
+function parseHHMM(s) {
+  const m = /^(\d{1,2}):?(\d{2})$/.exec(String(s || '').trim());
+  const hhmm = m && m[1].padStart(2, '0') + m[2];
+  return hhmm && isHHMM(hhmm) ? hhmm : null;
+}
+
+// "2300-0630" | "23:00-06:30" -> { quietFrom, quietTo }; null when malformed
+function parseQuietRange(s) {
+  const m = /^(\d{1,2}):?(\d{2})\s*-\s*(\d{1,2}):?(\d{2})$/.exec(String(s || '').trim());
+  if (!m) return null;
+  const from = m[1].padStart(2, '0') + m[2];
+  const to = m[3].padStart(2, '0') + m[4];
+  if (!isHHMM(from) || !isHHMM(to) || from === to) return null;
+  return { quietFrom: from, quietTo: to };
+}
+
+// stored value -> full, valid preferences (unknown or broken fields fall back to defaults)
+function normalizePrefs(p = {}) {
+  const out = { ...DEFAULT_PREFS };
+  if (p.minScore != null && Number.isFinite(Number(p.minScore))) out.minScore = Number(p.minScore);
+  if (DIRECTIONS.includes(p.directions)) out.directions = p.directions;
+  if (isHHMM(p.quietFrom) && isHHMM(p.quietTo)) { out.quietFrom = p.quietFrom; out.quietTo = p.quietTo; }
+  if (p.timezone && isValidTimezone(p.timezone)) out.timezone = p.timezone;
+  if (LANGS.includes(p.lang)) out.lang = p.lang;
+  if (isHHMM(p.digest)) out.digest = p.digest;
+  return out;
+}
+
+// HHMM as a number (e.g. 630) in the given timezone
+function localHHMM(tz, now = Date.now()) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone: tz, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(new Date(now));
+  const get = type => Number((parts.find(x => x.type === type) || {}).value || 0);
+  return get('hour') * 100 + get('minute');
+}
+
+function inQuietHours(prefs, now = Date.now()) {
+  if (!prefs.quietFrom || !prefs.quietTo) return false;
+  const from = Number(prefs.quietFrom), to = Number(prefs.quietTo);
+  const t = localHHMM(prefs.timezone, now);
+  // [from, to) — wraps around midnight when from > to
+  return from < to ? t >= from && t < to : t >= from || t < to;
+}
+
+// null when the idea should be delivered, otherwise why not: 'score' | 'direction' | 'quiet'
+function rejectReason(prefs, idea, now = Date.now()) {
+  if (prefs.minScore != null && idea.score < prefs.minScore) return 'score';
+  if (prefs.directions === 'long' && idea.dir !== 'LONG') return 'direction';
+  if (prefs.directions === 'short' && idea.dir !== 'SHORT') return 'direction';
+  if (inQuietHours(prefs, now)) return 'quiet';
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PREFS, DEFAULT_TIMEZONE, DIRECTIONS,
+  normalizePrefs, parseHHMM, parseQuietRange, isValidTimezone, localHHMM, inQuietHours, rejectReason,
+};
@@ -0,0 +1,64 @@
+/**
+ * lib/roles.js — access roles and expiring grants
+ *
+ * Roles, lowest first:
+ *   subscriber  anyone who messaged the bot (no permission row): announcements only
+ *   member      granted by an admin: scans, watchlist, backtests and auto signals
+ *   admin       everything, including /grant /revoke /promote /demote
+ * A permission row is { userId, role, grantedBy, grantedAt, expiresAt }; expiresAt = null never expires.
+ * An expired row counts as subscriber until the expiry sweep removes it.
+ */
+
+const { t } = require('./i18n');
+
+const ROLES = ['subscriber', 'member', 'admin'];
+const RANK = { subscriber: 0, member: 1, admin: 2 };
+
+const UNIT_MS = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 };
+
+// "30d" | "12h" | "2w" | "90m" -> ms, null when not a duration
+function parseDuration(s) {
+  const m = /^(\d+)\s*([mhdw])$/i.exec(String(s || '').trim());
+  if (!m || !Number(m[1])) return null;
+  return Number(m[1]) * UNIT_MS[m[2].toLowerCase()];
+}
+
+function isExpired(perm, now = Date.now()) {
+  return !!(perm && perm.expiresAt && perm.expiresAt <= now);
+}
+
+function effectiveRole(perm, now = Date.now()) {
+  if (!perm || isExpired(perm, now) || !RANK[perm.role]) return 'subscriber';
+  return perm.role;
+}
+
+function hasRole(perm, role, now = Date.now()) {
+  return RANK[effectiveRole(perm, now)] >= RANK[role];
+}
+
+// reminders due for grants expiring soon. daysBefore e.g. [3, 1]; sent = { userId: { expiresAt, days: [...] } }
+// returns [{ perm, days, covered }] — one per user (days = closest window, covered = every window it satisfies),
+// never repeated for the same expiry
+function dueReminders(perms, { daysBefore = [3, 1], sent = {}, now = Date.now() } = {}) {
+  const out = [];
+  for (const perm of perms) {
+    if (!perm.expiresAt || isExpired(perm, now)) continue;
+    const prev = sent[perm.userId];
+    const already = prev && prev.expiresAt === perm.expiresAt ? prev.days : [];
+    const due = daysBefore.filter(d => perm.expiresAt - now <= d * UNIT_MS.d && !already.includes(d));
+    if (due.length) out.push({ perm, days: Math.min(...due), covered: due });
+  }
+  return out;
+}
+
+function formatExpiry(perm, lang, now = Date.now()) {
+  if (!perm || !perm.expiresAt) return t(lang, 'expiry.never');
+  const left = perm.expiresAt - now;
+  if (left <= 0) return t(lang, 'expiry.expired');
+  const when = new Date(perm.expiresAt).toISOString().slice(0, 16).replace('T', ' ');
+  const days = Math.floor(left / UNIT_MS.d);
+  const hours = Math.floor((left % UNIT_MS.d) / UNIT_MS.h);
+  return t(lang, 'expiry.at', { when, left: `${days ? `${days}d ` : ''}${hours}h` });
+}
+
+module.exports = { ROLES, RANK, parseDuration, isExpired, effectiveRole, hasRole, dueReminders, formatExpiry };
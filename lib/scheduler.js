@@ -0,0 +1,187 @@
+/**
+ * lib/scheduler.js — cron-style jobs in an explicit timezone, with persisted last runs
+ *
+ * Cron: "minute hour day-of-month month day-of-week" with *, lists (1,15), ranges (1-5)
+ * and steps (*\/10, 8-20/2); Sunday is 0 (7 accepted). As in classic cron, when both
+ * day-of-month and day-of-week are restricted a day matching either one runs.
+ * Times are wall-clock times in the job's timezone, so "0 23 * * *" stays 23:00 local across
+ * DST changes; a local minute that repeats when clocks fall back runs once.
+ *
+ * createScheduler({ timezone, state }) checks every tickMs which jobs are due. A job's last
+ * slot is written to `state` (get(name) / set(name, at)) before it runs, so after a restart
+ * a slot that already started never runs again. Slots missed while the process was down are replayed in
+ * order (catchUp, the default) or, with catchUp: false, only the latest one runs.
+ * Bad expressions throw with code 'BAD_CRON'.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 },
+];
+const MAX_LOOKAHEAD_MS = 366 * 24 * 60 * 60 * 1000 * 4; // Feb 29 jobs
+const MINUTE = 60 * 1000;
+
+function badCron(expr, why) {
+  const err = new Error(`bad cron "${expr}": ${why}`);
+  err.code = 'BAD_CRON';
+  return err;
+}
+
+function parseField(str, { name, min, max }, expr) {
+  const set = new Set();
+  for (const part of str.split(',')) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw badCron(expr, `${name} "${part}"`);
+    const step = m[4] ? Number(m[4]) : 1;
+    let lo = min, hi = max;
+    if (m[1] !== '*') {
+      lo = Number(m[2]);
+      hi = m[3] != null ? Number(m[3]) : m[4] ? max : lo;
+    }
+    if (!(step > 0) || lo < min || hi > max || lo > hi) throw badCron(expr, `${name} "${part}" out of ${min}-${max}`);
+    for (let v = lo; v <= hi; v += step) set.add(v);
+  }
+  return set;
+}
+
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw badCron(expr, 'expected 5 fields');
+  const [minute, hour, day, month, weekday] = parts.map((p, k) => parseField(p, FIELDS[k], expr));
+  if (weekday.has(7)) weekday.add(0);
+  return { expr, minute, hour, day, month, weekday, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+// "*/N" for N < 60 minutes, whole hours above that
+function everyMinutes(n) {
+  n = Math.max(1, Math.round(Number(n) || 1));
+  if (n < 60) return `*/${n} * * * *`;
+  return `0 */${Math.min(23, Math.round(n / 60))} * * *`;
+}
+
+// "2300" | "23:00" -> "0 23 * * *"
+function dailyAt(hhmm) {
+  const m = /^(\d{1,2}):?(\d{2})$/.exec(String(hhmm || '').trim());
+  if (!m) throw badCron(hhmm, 'expected HHMM');
+  return `${Number(m[2])} ${Number(m[1])} * * *`;
+}
+
+const formatters = {};
+// wall-clock fields of `ms` in `timezone`
+function zonedParts(timezone, ms) {
+  const fmt = formatters[timezone] || (formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+  }));
+  const p = {};
+  for (const { type, value } of fmt.formatToParts(new Date(ms))) p[type] = value;
+  return {
+    year: Number(p.year), month: Number(p.month), day: Number(p.day),
+    hour: Number(p.hour), minute: Number(p.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(p.weekday),
+  };
+}
+
+// sortable wall-clock key, e.g. 202603290130
+function localKey(p) { return (((p.year * 100 + p.month) * 100 + p.day) * 100 + p.hour) * 100 + p.minute; }
+
+function dayMatches(cron, p) {
+  if (!cron.month.has(p.month)) return false;
+  if (cron.anyDay || cron.anyWeekday) return cron.day.has(p.day) && cron.weekday.has(p.weekday);
+  return cron.day.has(p.day) || cron.weekday.has(p.weekday);
+}
+
+// first slot strictly after `after` (epoch ms) in `timezone`; null when none within a few years
+function nextRun(cron, timezone, after = Date.now()) {
+  if (typeof cron === 'string') cron = parseCron(cron);
+  const afterKey = localKey(zonedParts(timezone, after));
+  let t = Math.floor(after / MINUTE) * MINUTE + MINUTE;
+  const limit = after + MAX_LOOKAHEAD_MS;
+  while (t <= limit) {
+    const p = zonedParts(timezone, t);
+    // skip whole local days / hours that cannot match; DST jumps only ever land us later
+    if (!dayMatches(cron, p)) { t += ((23 - p.hour) * 60 + (60 - p.minute)) * MINUTE; continue; }
+    if (!cron.hour.has(p.hour)) { t += (60 - p.minute) * MINUTE; continue; }
+    if (cron.minute.has(p.minute) && localKey(p) > afterKey) return t;
+    t += MINUTE;
+  }
+  return null;
+}
+
+function memoryState() {
+  const runs = {};
+  return { get: name => runs[name] ?? null, set: (name, at) => { runs[name] = at; } };
+}
+
+function createScheduler({ timezone = 'UTC', state = memoryState(), tickMs = 20 * 1000, now = () => Date.now() } = {}) {
+  const jobs = new Map(); // name -> { name, cron, timezone, fn, catchUp, since, running }
+  let timer = null;
+
+  // fn({ scheduledAt, now }) — scheduledAt is the slot being run (use it, not the clock, for "which day")
+  function add(name, expr, fn, opts = {}) {
+    jobs.set(name, { name, cron: parseCron(expr), timezone: opts.timezone || timezone, fn, catchUp: opts.catchUp !== false, since: now(), running: false });
+  }
+
+  function remove(name) { return jobs.delete(name); }
+
+  // slot the job should run next: after its last run, or after it was added when it never ran
+  function pending(job, at) {
+    const last = state.get(job.name);
+    if (last == null) return nextRun(job.cron, job.timezone, job.since);
+    const slot = nextRun(job.cron, job.timezone, last);
+    if (slot == null || job.catchUp || slot > at) return slot;
+    // missed while down and not worth catching up: the latest slot that is not in the future
+    let latest = slot;
+    for (let s = slot; s != null && s <= at; s = nextRun(job.cron, job.timezone, s)) latest = s;
+    return latest;
+  }
+
+  async function runJob(job, scheduledAt) {
+    job.running = true;
+    state.set(job.name, scheduledAt);
+    try {
+      await job.fn({ scheduledAt, now: now() });
+    } catch (e) {
+      console.error(`job ${job.name} err`, e && e.stack ? e.stack : e);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  async function tick() {
+    const at = now();
+    const due = [];
+    for (const job of jobs.values()) {
+      if (job.running) continue;
+      const slot = pending(job, at);
+      if (slot != null && slot <= at) due.push(runJob(job, slot));
+    }
+    await Promise.all(due);
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => { tick(); }, tickMs);
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function list() {
+    const at = now();
+    return Array.from(jobs.values()).map(job => {
+      const slot = pending(job, at);
+      return { name: job.name, cron: job.cron.expr, timezone: job.timezone, lastRun: state.get(job.name), nextRun: slot != null && slot < at ? at : slot, running: job.running };
+    });
+  }
+
+  return { add, remove, tick, start, stop, list };
+}
+
+module.exports = { parseCron, nextRun, everyMinutes, dailyAt, zonedParts, createScheduler };
@@ -0,0 +1,99 @@
+/**
+ * lib/storage/index.js — open the bot's store and import legacy .data/*.json on first start
+ *
+ * Tables: users, permissions, signals, outcomes, watchlists, settings, audit_log, paper_positions, paper_equity.
+ * Driver: SQLite (.data/bot.db) when better-sqlite3 is installed, otherwise a single
+ * JSON file (.data/store.json) with the same API. STORAGE_DRIVER=sqlite|json forces one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./json');
+
+function sqliteAvailable() {
+  try { require.resolve('better-sqlite3'); return true; } catch (e) { return false; }
+}
+
+function readLegacy(dir, name, def) {
+  const p = path.join(dir, name);
+  if (!fs.existsSync(p)) return def;
+  try { return JSON.parse(fs.readFileSync(p, 'utf8')) || def; } catch (e) { return def; }
+}
+
+// one-time import of the files written by earlier versions (left in place as a backup)
+function importLegacyJson(store, dir, { adminId } = {}) {
+  const perms = readLegacy(dir, 'permissions.json', { admins: [], users: [] });
+  const signals = readLegacy(dir, 'signals.json', []);
+  const history = readLegacy(dir, 'history.json', []);
+  const watchlist = readLegacy(dir, 'watchlist.json', {});
+  const watchState = readLegacy(dir, 'watch_state.json', {});
+  const risk = readLegacy(dir, 'risk.json', {});
+  const counts = { permissions: 0, subscribers: 0, signals: 0, watchlists: 0, settings: 0 };
+
+  store.transaction(() => {
+    for (const id of perms.admins || []) { store.setPermission(id, 'admin', { grantedBy: 'import' }); counts.permissions++; }
+    // the old users list held every chat that ever messaged the bot, not people an admin let in:
+    // they come in as subscribers and are listed in /listusers for an admin to /grant again
+    const review = [];
+    for (const id of perms.users || []) {
+      if (store.getPermission(id)) continue;
+      store.recordUser(id);
+      review.push(String(id));
+      counts.subscribers++;
+    }
+    if (review.length) store.setSetting('meta', 'legacyUsers', review);
+    if (adminId && !store.getPermission(adminId)) store.setPermission(adminId, 'admin', { grantedBy: 'env' });
+
+    // tracked signals carry ids and outcomes; history adds the recipients and older, untracked sends
+    const sentTo = {};
+    for (const h of history) if (h.id) sentTo[h.id] = h.sentTo || (h.user ? [h.user] : []);
+    for (const s of signals) {
+      store.insertSignal({ ...s, idea: s, sentTo: sentTo[s.id] || s.users || [] });
+      if (s.status && s.status !== 'OPEN') store.closeSignal(s.id, { status: s.status, exit: s.exit, r: s.r, closedAt: s.closedAt });
+      counts.signals++;
+    }
+    for (const h of history) {
+      if (h.id || !h.idea || !h.idea.ok) continue;
+      const openedAt = h._time || Date.now();
+      const source = h.auto ? 'auto' : (h.type || 'manual');
+      const id = `${h.symbol}-${openedAt}-${source}`;
+      // never tracked: record as expired without a result so it doesn't count as open
+      store.insertSignal({ ...h.idea, id, symbol: h.symbol, source, user: h.user, sentTo: h.sentTo || [], idea: h.idea, openedAt });
+      store.closeSignal(id, { status: 'UNTRACKED', exit: null, r: 0, closedAt: openedAt });
+      counts.signals++;
+    }
+
+    for (const [uid, symbols] of Object.entries(watchlist)) {
+      for (const sym of symbols || []) { store.addWatch(uid, sym); counts.watchlists++; }
+    }
+    for (const [sym, st] of Object.entries(watchState)) { store.setSetting('watch_state', sym, st); counts.settings++; }
+    for (const [uid, p] of Object.entries(risk)) { store.setSetting('risk', uid, p); counts.settings++; }
+    store.setSetting('meta', 'legacyImported', { at: Date.now(), counts });
+  });
+  return counts;
+}
+
+function openStorage({ dir, driver = process.env.STORAGE_DRIVER, adminId } = {}) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const useSqlite = driver ? driver === 'sqlite' : sqliteAvailable();
+  let store;
+  if (useSqlite) {
+    const { createSqliteStore } = require('./sqlite');
+    store = createSqliteStore(path.join(dir, 'bot.db'));
+  } else {
+    store = createJsonStore(path.join(dir, 'store.json'));
+  }
+  if (!store.getSetting('meta', 'legacyImported')) {
+    const counts = importLegacyJson(store, dir, { adminId });
+    console.log(`storage: imported legacy JSON files into ${store.driver}`, counts);
+  }
+  // ADMIN_ID is always an admin, whatever the stored rows say
+  const owner = adminId && store.getPermission(adminId);
+  if (adminId && (!owner || owner.role !== 'admin')) {
+    store.setPermission(adminId, 'admin', { grantedBy: 'env' });
+    store.addAudit({ actor: 'env', target: adminId, action: 'promote', role: 'admin' });
+  }
+  return store;
+}
+
+module.exports = { openStorage, importLegacyJson };
@@ -0,0 +1,203 @@
+/**
+ * lib/storage/json.js — JSON-file storage driver (fallback when better-sqlite3 is not installed)
+ *
+ * Same API as lib/storage/sqlite.js. The whole store lives in memory and every
+ * mutation is applied synchronously, then flushed with write-to-temp + rename, so
+ * a write can neither interleave with another handler's nor leave a torn file.
+ */
+
+const fs = require('fs');
+const { summarizeOutcomes } = require('../outcomes');
+
+const VERSION = 4;
+
+function emptyState() {
+  return { version: VERSION, users: {}, permissions: {}, signals: [], outcomes: {}, watchlists: {}, settings: {}, audit: [], paperPositions: {}, paperEquity: [] };
+}
+
+// schema changes: add a step here and bump VERSION (mirrors MIGRATIONS in sqlite.js)
+function migrate(state) {
+  const from = state.version || 0;
+  if (from < 2) {
+    for (const p of Object.values(state.permissions)) if (p.role === 'user') p.role = 'member';
+    // chats that merely messaged the bot were auto-granted before roles existed; they are subscribers
+    for (const [id, p] of Object.entries(state.permissions)) if (p.grantedBy === 'auto') delete state.permissions[id];
+  }
+  // 3: paper trading (paperPositions, paperEquity) — new empty collections come from emptyState()
+  // 4: signals carry the strategy that produced them; older ones have none
+  state.version = VERSION;
+  return { from, to: VERSION };
+}
+
+function createJsonStore(file) {
+  let state = emptyState();
+  if (fs.existsSync(file)) {
+    try { state = { ...emptyState(), ...JSON.parse(fs.readFileSync(file, 'utf8')) }; } catch (e) {
+      console.error('storage: cannot parse', file, e.message);
+      throw e;
+    }
+  }
+  const migration = migrate(state);
+
+  function flush() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, file);
+  }
+  if (migration.from !== migration.to) flush();
+
+  // same shape as the SQLite driver: idea fields first, stored columns on top
+  function withOutcome(sig) {
+    const { idea, ...row } = sig;
+    const o = state.outcomes[sig.id];
+    return { ...(idea || {}), ...row, rr: (idea && idea.rr) ?? row.rr, ...(o || { status: 'OPEN' }) };
+  }
+
+  function matches(s, f) {
+    if (f.symbol && s.symbol !== f.symbol) return false;
+    if (f.source && s.source !== f.source) return false;
+    if (f.strategy && s.strategy !== f.strategy) return false;
+    if (f.status === 'OPEN' && s.status !== 'OPEN') return false;
+    if (f.status === 'CLOSED' && s.status === 'OPEN') return false;
+    if (f.status && !['OPEN', 'CLOSED'].includes(f.status) && s.status !== f.status) return false;
+    if (f.from != null && s.openedAt < f.from) return false;
+    if (f.to != null && s.openedAt >= f.to) return false;
+    if (f.closedFrom != null && !(s.closedAt >= f.closedFrom)) return false;
+    if (f.closedTo != null && !(s.closedAt < f.closedTo)) return false;
+    return true;
+  }
+
+  // state.signals is kept newest first
+  function filtered(f) { return state.signals.map(withOutcome).filter(s => matches(s, f)); }
+
+  return {
+    driver: 'json',
+    migration,
+
+    recordUser(id, username = null) {
+      id = String(id);
+      const now = Date.now();
+      const u = state.users[id];
+      state.users[id] = u ? { ...u, last_seen: now, username: username || u.username } : { id, username, first_seen: now, last_seen: now };
+      // last_seen alone rides along with the next flush instead of rewriting the file on every message
+      if (!u || (username && username !== u.username)) flush();
+    },
+    getUser(id) { return state.users[String(id)] || null; },
+    listUsers() { return Object.values(state.users).sort((a, b) => a.first_seen - b.first_seen); },
+
+    setPermission(userId, role, { grantedBy = null, expiresAt = null } = {}) {
+      userId = String(userId);
+      state.permissions[userId] = { userId, role, grantedBy, grantedAt: Date.now(), expiresAt };
+      flush();
+    },
+    removePermission(userId) {
+      const had = !!state.permissions[String(userId)];
+      delete state.permissions[String(userId)];
+      flush();
+      return had;
+    },
+    getPermission(userId) { return state.permissions[String(userId)] || null; },
+    listPermissions() { return Object.values(state.permissions).sort((a, b) => a.grantedAt - b.grantedAt); },
+
+    insertSignal(sig) {
+      if (state.signals.some(s => s.id === sig.id)) return;
+      const row = {
+        id: sig.id, symbol: sig.symbol, dir: sig.dir, entry: sig.entry, sl: sig.sl, tp: sig.tp,
+        rr: sig.rr != null ? Number(sig.rr) : null, score: sig.score ?? null, source: sig.source,
+        strategy: sig.strategy || undefined, user: sig.user || undefined, sentTo: sig.sentTo || [], idea: sig.idea || {}, openedAt: sig.openedAt,
+      };
+      // keep newest first even when importing older records
+      const i = state.signals.findIndex(s => s.openedAt < sig.openedAt);
+      if (i === -1) state.signals.push(row); else state.signals.splice(i, 0, row);
+      flush();
+    },
+    getSignal(id) { const s = state.signals.find(x => x.id === id); return s ? withOutcome(s) : null; },
+    listOpenSignals() { return filtered({ status: 'OPEN' }).reverse(); },
+    closeSignal(id, { status, exit, r, closedAt }) {
+      if (state.outcomes[id]) return;
+      state.outcomes[id] = { status, exit, r, closedAt };
+      flush();
+    },
+    listSignals(f = {}) {
+      const all = filtered(f);
+      if (f.orderBy === 'closedAt') all.sort((a, b) => (b.closedAt || 0) - (a.closedAt || 0));
+      return f.limit ? all.slice(f.offset || 0, (f.offset || 0) + f.limit) : all;
+    },
+    countSignals(f = {}) { return filtered(f).length; },
+    summarizeSignals(f = {}) { return summarizeOutcomes(filtered(f)); },
+    latestSignalsBySymbol(source) {
+      const out = {};
+      for (const s of state.signals) if (s.source === source && !out[s.symbol]) out[s.symbol] = withOutcome(s);
+      return out;
+    },
+
+    addWatch(userId, symbol) {
+      userId = String(userId);
+      const list = state.watchlists[userId] || (state.watchlists[userId] = []);
+      if (!list.includes(symbol)) { list.push(symbol); flush(); }
+    },
+    removeWatch(userId, symbol) {
+      userId = String(userId);
+      state.watchlists[userId] = (state.watchlists[userId] || []).filter(s => s !== symbol);
+      if (!state.watchlists[userId].length) delete state.watchlists[userId];
+      flush();
+    },
+    listWatches() { return JSON.parse(JSON.stringify(state.watchlists)); },
+
+    getSetting(scope, key, def = null) {
+      const v = state.settings[scope] && state.settings[scope][key];
+      return v === undefined ? def : v;
+    },
+    setSetting(scope, key, value) {
+      (state.settings[scope] = state.settings[scope] || {})[key] = value;
+      flush();
+    },
+    deleteSetting(scope, key) {
+      if (state.settings[scope]) delete state.settings[scope][key];
+      flush();
+    },
+    listSettings(scope) { return { ...(state.settings[scope] || {}) }; },
+
+    addAudit({ actor = null, target, action, role = null, expiresAt = null, note = null }) {
+      const id = state.audit.length ? state.audit[state.audit.length - 1].id + 1 : 1;
+      state.audit.push({ id, at: Date.now(), actor: actor == null ? null : String(actor), target: String(target), action, role, expiresAt, note });
+      flush();
+    },
+    // newest first; f.target narrows to one user
+    listAudit(f = {}) {
+      const rows = f.target ? state.audit.filter(a => a.target === String(f.target)) : state.audit;
+      return rows.slice(-(f.limit || 50)).reverse();
+    },
+
+    savePaperPosition(pos) {
+      state.paperPositions[pos.id] = { ...pos, userId: String(pos.userId) };
+      flush();
+    },
+    // newest first; f.userId / f.status ('OPEN' | 'CLOSED') narrow it down
+    listPaperPositions(f = {}) {
+      const rows = Object.values(state.paperPositions)
+        .filter(p => (f.userId == null || p.userId === String(f.userId)) && (!f.status || p.status === f.status))
+        .sort((a, b) => b.openedAt - a.openedAt);
+      return f.limit ? rows.slice(0, f.limit) : rows;
+    },
+    addEquityPoint(userId, equity, { at = Date.now(), note = null } = {}) {
+      state.paperEquity.push({ userId: String(userId), at, equity, note });
+      flush();
+    },
+    // oldest first; the last `limit` points
+    listEquity(userId, { limit = 500 } = {}) {
+      return state.paperEquity.filter(e => e.userId === String(userId)).slice(-limit).map(({ at, equity, note }) => ({ at, equity, note }));
+    },
+    resetPaper(userId) {
+      for (const [id, p] of Object.entries(state.paperPositions)) if (p.userId === String(userId)) delete state.paperPositions[id];
+      state.paperEquity = state.paperEquity.filter(e => e.userId !== String(userId));
+      flush();
+    },
+
+    // mutations are synchronous already; a transaction is just the callback
+    transaction(fn) { return fn(); },
+    close() {},
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,333 @@
+/**
+ * lib/storage/sqlite.js — SQLite storage driver (better-sqlite3, synchronous)
+ *
+ * Schema changes go in MIGRATIONS; PRAGMA user_version records how many ran.
+ * Every mutation is a single statement or runs in a transaction, so concurrent
+ * Telegram handlers can no longer overwrite each other's writes.
+ */
+
+const MIGRATIONS = [
+  // 1: initial schema
+  `
+  CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    username TEXT,
+    first_seen INTEGER NOT NULL,
+    last_seen INTEGER NOT NULL
+  );
+  CREATE TABLE permissions (
+    user_id TEXT PRIMARY KEY,
+    role TEXT NOT NULL,
+    granted_by TEXT,
+    granted_at INTEGER NOT NULL,
+    expires_at INTEGER
+  );
+  CREATE INDEX permissions_role ON permissions(role);
+  CREATE TABLE signals (
+    id TEXT PRIMARY KEY,
+    symbol TEXT NOT NULL,
+    dir TEXT NOT NULL,
+    entry REAL NOT NULL,
+    sl REAL NOT NULL,
+    tp REAL NOT NULL,
+    rr REAL,
+    score REAL,
+    source TEXT NOT NULL,
+    user_id TEXT,
+    sent_to TEXT,
+    idea TEXT,
+    opened_at INTEGER NOT NULL
+  );
+  CREATE INDEX signals_opened ON signals(opened_at);
+  CREATE INDEX signals_symbol ON signals(symbol, opened_at);
+  CREATE INDEX signals_source ON signals(source, opened_at);
+  CREATE TABLE outcomes (
+    signal_id TEXT PRIMARY KEY REFERENCES signals(id) ON DELETE CASCADE,
+    status TEXT NOT NULL,
+    exit REAL,
+    r REAL,
+    closed_at INTEGER NOT NULL
+  );
+  CREATE INDEX outcomes_closed ON outcomes(closed_at);
+  CREATE TABLE watchlists (
+    user_id TEXT NOT NULL,
+    symbol TEXT NOT NULL,
+    added_at INTEGER NOT NULL,
+    PRIMARY KEY (user_id, symbol)
+  );
+  CREATE INDEX watchlists_symbol ON watchlists(symbol);
+  CREATE TABLE settings (
+    scope TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (scope, key)
+  );
+  `,
+  // 2: roles (user -> member; auto-granted chats become plain subscribers) and the audit log of permission changes
+  `
+  UPDATE permissions SET role = 'member' WHERE role = 'user';
+  DELETE FROM permissions WHERE granted_by = 'auto';
+  CREATE TABLE audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at INTEGER NOT NULL,
+    actor TEXT,
+    target TEXT NOT NULL,
+    action TEXT NOT NULL,
+    role TEXT,
+    expires_at INTEGER,
+    note TEXT
+  );
+  CREATE INDEX audit_log_target ON audit_log(target, at);
+  `,
+  // 3: paper trading — simulated positions (fills kept in data) and each user's equity curve
+  `
+  CREATE TABLE paper_positions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    symbol TEXT NOT NULL,
+    status TEXT NOT NULL,
+    opened_at INTEGER NOT NULL,
+    closed_at INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX paper_positions_user ON paper_positions(user_id, status, opened_at);
+  CREATE TABLE paper_equity (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    at INTEGER NOT NULL,
+    equity REAL NOT NULL,
+    note TEXT
+  );
+  CREATE INDEX paper_equity_user ON paper_equity(user_id, at);
+  `,
+  // 4: strategy that produced a signal (lib/strategies); older signals came from the built-in rules
+  `
+  ALTER TABLE signals ADD COLUMN strategy TEXT;
+  CREATE INDEX signals_strategy ON signals(strategy, opened_at);
+  `,
+];
+
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  for (let v = current; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[v]);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+  return { from: current, to: MIGRATIONS.length };
+}
+
+function parse(json, def) {
+  if (json == null) return def;
+  try { return JSON.parse(json); } catch (e) { return def; }
+}
+
+function rowToSignal(row) {
+  if (!row) return null;
+  const idea = parse(row.idea, {});
+  return {
+    ...idea,
+    id: row.id, symbol: row.symbol, dir: row.dir, entry: row.entry, sl: row.sl, tp: row.tp,
+    rr: idea.rr ?? row.rr, score: row.score, source: row.source, strategy: row.strategy || undefined, user: row.user_id || undefined,
+    sentTo: parse(row.sent_to, []), openedAt: row.opened_at,
+    status: row.status || 'OPEN', closedAt: row.closed_at ?? undefined, exit: row.exit ?? undefined, r: row.r ?? undefined,
+  };
+}
+
+const SIGNAL_SELECT = `SELECT s.*, o.status, o.exit, o.r, o.closed_at FROM signals s LEFT JOIN outcomes o ON o.signal_id = s.id`;
+
+function createSqliteStore(file) {
+  const Database = require('better-sqlite3');
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  const migration = migrate(db);
+
+  const q = {
+    upsertUser: db.prepare(`INSERT INTO users (id, username, first_seen, last_seen) VALUES (@id, @username, @now, @now)
+      ON CONFLICT(id) DO UPDATE SET last_seen = @now, username = COALESCE(@username, username)`),
+    getUser: db.prepare('SELECT * FROM users WHERE id = ?'),
+    listUsers: db.prepare('SELECT * FROM users ORDER BY first_seen'),
+    setPermission: db.prepare(`INSERT INTO permissions (user_id, role, granted_by, granted_at, expires_at) VALUES (@userId, @role, @grantedBy, @now, @expiresAt)
+      ON CONFLICT(user_id) DO UPDATE SET role = @role, granted_by = @grantedBy, granted_at = @now, expires_at = @expiresAt`),
+    removePermission: db.prepare('DELETE FROM permissions WHERE user_id = ?'),
+    getPermission: db.prepare('SELECT * FROM permissions WHERE user_id = ?'),
+    listPermissions: db.prepare('SELECT * FROM permissions ORDER BY granted_at'),
+    insertSignal: db.prepare(`INSERT OR IGNORE INTO signals (id, symbol, dir, entry, sl, tp, rr, score, source, strategy, user_id, sent_to, idea, opened_at)
+      VALUES (@id, @symbol, @dir, @entry, @sl, @tp, @rr, @score, @source, @strategy, @user, @sentTo, @idea, @openedAt)`),
+    getSignal: db.prepare(`${SIGNAL_SELECT} WHERE s.id = ?`),
+    openSignals: db.prepare(`${SIGNAL_SELECT} WHERE o.signal_id IS NULL ORDER BY s.opened_at`),
+    closeSignal: db.prepare(`INSERT OR IGNORE INTO outcomes (signal_id, status, exit, r, closed_at) VALUES (@id, @status, @exit, @r, @closedAt)`),
+    latestBySymbol: db.prepare(`${SIGNAL_SELECT} WHERE s.source = ? AND s.opened_at = (SELECT MAX(opened_at) FROM signals s2 WHERE s2.symbol = s.symbol AND s2.source = s.source)`),
+    addWatch: db.prepare('INSERT OR IGNORE INTO watchlists (user_id, symbol, added_at) VALUES (?, ?, ?)'),
+    removeWatch: db.prepare('DELETE FROM watchlists WHERE user_id = ? AND symbol = ?'),
+    listWatches: db.prepare('SELECT user_id, symbol FROM watchlists ORDER BY added_at'),
+    getSetting: db.prepare('SELECT value FROM settings WHERE scope = ? AND key = ?'),
+    setSetting: db.prepare(`INSERT INTO settings (scope, key, value, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(scope, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+    deleteSetting: db.prepare('DELETE FROM settings WHERE scope = ? AND key = ?'),
+    listSettings: db.prepare('SELECT key, value FROM settings WHERE scope = ?'),
+    addAudit: db.prepare(`INSERT INTO audit_log (at, actor, target, action, role, expires_at, note)
+      VALUES (@at, @actor, @target, @action, @role, @expiresAt, @note)`),
+    savePaperPosition: db.prepare(`INSERT INTO paper_positions (id, user_id, symbol, status, opened_at, closed_at, data)
+      VALUES (@id, @userId, @symbol, @status, @openedAt, @closedAt, @data)
+      ON CONFLICT(id) DO UPDATE SET status = @status, closed_at = @closedAt, data = @data`),
+    addEquityPoint: db.prepare('INSERT INTO paper_equity (user_id, at, equity, note) VALUES (?, ?, ?, ?)'),
+    listEquity: db.prepare('SELECT at, equity, note FROM (SELECT * FROM paper_equity WHERE user_id = ? ORDER BY id DESC LIMIT ?) ORDER BY id'),
+    resetPaperPositions: db.prepare('DELETE FROM paper_positions WHERE user_id = ?'),
+    resetPaperEquity: db.prepare('DELETE FROM paper_equity WHERE user_id = ?'),
+  };
+
+  function permRow(r) {
+    return r && { userId: r.user_id, role: r.role, grantedBy: r.granted_by, grantedAt: r.granted_at, expiresAt: r.expires_at };
+  }
+
+  // filters: symbol, source, strategy, status ('OPEN' | 'CLOSED' | TP/SL/EXPIRED), from/to (opened_at), closedFrom/closedTo
+  function signalWhere(f) {
+    const where = [], args = {};
+    if (f.symbol) { where.push('s.symbol = @symbol'); args.symbol = f.symbol; }
+    if (f.source) { where.push('s.source = @source'); args.source = f.source; }
+    if (f.strategy) { where.push('s.strategy = @strategy'); args.strategy = f.strategy; }
+    if (f.status === 'OPEN') where.push('o.signal_id IS NULL');
+    else if (f.status === 'CLOSED') where.push('o.signal_id IS NOT NULL');
+    else if (f.status) { where.push('o.status = @status'); args.status = f.status; }
+    if (f.from != null) { where.push('s.opened_at >= @from'); args.from = f.from; }
+    if (f.to != null) { where.push('s.opened_at < @to'); args.to = f.to; }
+    if (f.closedFrom != null) { where.push('o.closed_at >= @closedFrom'); args.closedFrom = f.closedFrom; }
+    if (f.closedTo != null) { where.push('o.closed_at < @closedTo'); args.closedTo = f.closedTo; }
+    return { sql: where.length ? ' WHERE ' + where.join(' AND ') : '', args };
+  }
+
+  // newest first (by close time with f.orderBy = 'closedAt'); f.limit / f.offset page through the result
+  function listSignals(f = {}) {
+    const { sql: where, args } = signalWhere(f);
+    const order = f.orderBy === 'closedAt' ? 'o.closed_at DESC, s.opened_at DESC' : 's.opened_at DESC';
+    let sql = `${SIGNAL_SELECT}${where} ORDER BY ${order}`;
+    if (f.limit) { sql += ' LIMIT @limit OFFSET @offset'; args.limit = f.limit; args.offset = f.offset || 0; }
+    return db.prepare(sql).all(args).map(rowToSignal);
+  }
+
+  function auditRow(r) {
+    return { id: r.id, at: r.at, actor: r.actor, target: r.target, action: r.action, role: r.role, expiresAt: r.expires_at, note: r.note };
+  }
+
+  // newest first; f.target narrows to one user
+  function listAudit(f = {}) {
+    const where = f.target ? ' WHERE target = @target' : '';
+    return db.prepare(`SELECT * FROM audit_log${where} ORDER BY id DESC LIMIT @limit`)
+      .all({ target: f.target != null ? String(f.target) : undefined, limit: f.limit || 50 }).map(auditRow);
+  }
+
+  // newest first; f.userId / f.status ('OPEN' | 'CLOSED') narrow it down
+  function listPaperPositions(f = {}) {
+    const where = [], args = { limit: f.limit || -1 };
+    if (f.userId != null) { where.push('user_id = @userId'); args.userId = String(f.userId); }
+    if (f.status) { where.push('status = @status'); args.status = f.status; }
+    const sql = `SELECT data FROM paper_positions${where.length ? ' WHERE ' + where.join(' AND ') : ''} ORDER BY opened_at DESC LIMIT @limit`;
+    return db.prepare(sql).all(args).map(r => parse(r.data, null)).filter(Boolean);
+  }
+
+  function countSignals(f = {}) {
+    const { sql: where, args } = signalWhere(f);
+    return db.prepare(`SELECT COUNT(*) n FROM signals s LEFT JOIN outcomes o ON o.signal_id = s.id${where}`).get(args).n;
+  }
+
+  // summarizeOutcomes() of the matching signals, aggregated in SQL instead of loading every row
+  function summarizeSignals(f = {}) {
+    const { sql: where, args } = signalWhere(f);
+    const closed = `o.status IS NOT NULL AND o.status != 'UNTRACKED'`;
+    const row = db.prepare(`SELECT
+        COALESCE(SUM(${closed}), 0) closed,
+        COALESCE(SUM(o.signal_id IS NULL), 0) open,
+        COALESCE(SUM(o.status = 'TP'), 0) tp,
+        COALESCE(SUM(o.status = 'SL'), 0) sl,
+        COALESCE(SUM(o.status = 'EXPIRED'), 0) expired,
+        COALESCE(SUM(${closed} AND o.r > 0), 0) wins,
+        COALESCE(SUM(${closed} AND o.r < 0), 0) losses,
+        COALESCE(SUM(CASE WHEN ${closed} THEN o.r END), 0) totalR
+      FROM signals s LEFT JOIN outcomes o ON o.signal_id = s.id${where}`).get(args);
+    return { ...row, winRate: row.closed ? row.wins / row.closed : 0 };
+  }
+
+  return {
+    driver: 'sqlite',
+    migration,
+
+    recordUser(id, username = null) { q.upsertUser.run({ id: String(id), username, now: Date.now() }); },
+    getUser(id) { return q.getUser.get(String(id)) || null; },
+    listUsers() { return q.listUsers.all(); },
+
+    setPermission(userId, role, { grantedBy = null, expiresAt = null } = {}) {
+      q.setPermission.run({ userId: String(userId), role, grantedBy, expiresAt, now: Date.now() });
+    },
+    removePermission(userId) { return q.removePermission.run(String(userId)).changes > 0; },
+    getPermission(userId) { return permRow(q.getPermission.get(String(userId))); },
+    listPermissions() { return q.listPermissions.all().map(permRow); },
+
+    insertSignal(sig) {
+      q.insertSignal.run({
+        id: sig.id, symbol: sig.symbol, dir: sig.dir, entry: sig.entry, sl: sig.sl, tp: sig.tp,
+        rr: sig.rr != null ? Number(sig.rr) : null, score: sig.score ?? null, source: sig.source,
+        strategy: sig.strategy || null, user: sig.user || null, sentTo: JSON.stringify(sig.sentTo || []), idea: JSON.stringify(sig.idea || {}),
+        openedAt: sig.openedAt,
+      });
+    },
+    getSignal(id) { return rowToSignal(q.getSignal.get(id)); },
+    listOpenSignals() { return q.openSignals.all().map(rowToSignal); },
+    closeSignal(id, { status, exit, r, closedAt }) { q.closeSignal.run({ id, status, exit, r, closedAt }); },
+    listSignals,
+    countSignals,
+    summarizeSignals,
+    latestSignalsBySymbol(source) {
+      const out = {};
+      for (const s of q.latestBySymbol.all(source).map(rowToSignal)) out[s.symbol] = s;
+      return out;
+    },
+
+    addWatch(userId, symbol) { q.addWatch.run(String(userId), symbol, Date.now()); },
+    removeWatch(userId, symbol) { q.removeWatch.run(String(userId), symbol); },
+    listWatches() {
+      const out = {};
+      for (const r of q.listWatches.all()) (out[r.user_id] = out[r.user_id] || []).push(r.symbol);
+      return out;
+    },
+
+    getSetting(scope, key, def = null) { const r = q.getSetting.get(scope, key); return r ? parse(r.value, def) : def; },
+    setSetting(scope, key, value) { q.setSetting.run(scope, key, JSON.stringify(value), Date.now()); },
+    deleteSetting(scope, key) { q.deleteSetting.run(scope, key); },
+    listSettings(scope) {
+      const out = {};
+      for (const r of q.listSettings.all(scope)) out[r.key] = parse(r.value, null);
+      return out;
+    },
+
+    addAudit({ actor = null, target, action, role = null, expiresAt = null, note = null }) {
+      q.addAudit.run({ at: Date.now(), actor: actor == null ? null : String(actor), target: String(target), action, role, expiresAt, note });
+    },
+    listAudit,
+
+    savePaperPosition(pos) {
+      q.savePaperPosition.run({
+        id: pos.id, userId: String(pos.userId), symbol: pos.symbol, status: pos.status,
+        openedAt: pos.openedAt, closedAt: pos.closedAt ?? null, data: JSON.stringify(pos),
+      });
+    },
+    listPaperPositions,
+    addEquityPoint(userId, equity, { at = Date.now(), note = null } = {}) { q.addEquityPoint.run(String(userId), at, equity, note); },
+    // oldest first; the last `limit` points
+    listEquity(userId, { limit = 500 } = {}) { return q.listEquity.all(String(userId), limit); },
+    resetPaper(userId) {
+      db.transaction(() => {
+        q.resetPaperPositions.run(String(userId));
+        q.resetPaperEquity.run(String(userId));
+      })();
+    },
+
+    transaction(fn) { return db.transaction(fn)(); },
+    close() { db.close(); },
+  };
+}
+
+module.exports = { createSqliteStore, MIGRATIONS };
@@ -0,0 +1,351 @@
+/**
+ * lib/strategies.js — declarative strategies: which confluences make a signal, how much each one weighs
+ * and where the stop and targets go
+ *
+ * A strategy is a JSON or YAML file in STRATEGIES_DIR (default ./strategies):
+ *   name         unique id; every idea / signal it produces carries it as `strategy`
+ *   description  shown by /strategy list
+ *   enabled      initial state (default true); /strategy enable|disable overrides it
+ *   minScore     score needed for a signal, omitted = SCORE_THRESHOLD
+ *   directions   both | long | short
+ *   conditions   [{ type, timeframe, weight, required, not, kind, names }]
+ *                primary timeframe (no `timeframe`): break (fresh BOS/CHoCH, `kind` BOS|CHOCH narrows it),
+ *                zone (price at an open FVG/OB), fvg, orderBlock, sweep, volume, liquidity (sweep or volume spike),
+ *                pattern (`names` narrows it), premiumDiscount (entry on the right side of the dealing range)
+ *                higher timeframes (`timeframe: 4h`): trend, aligned, against, premiumDiscount,
+ *                poi (inside demand for LONG / supply for SHORT), break (last HTF BOS in the trade's direction)
+ *                `weight` (may be negative) is added when the condition holds; `required` ones must hold;
+ *                `not: true` inverts the condition
+ *   htf          { mode: strict|score|off, penalty, timeframes } for the HTF bias filter (lib/htf.js);
+ *                omitted fields = HTF_FILTER / HTF_PENALTY on 4h + 1h
+ *   stops        planTrade rules (lib/levels.js): sl structure|atr|percent (atrBuffer, slAtr, slPct),
+ *                tp liquidity|rr|percent (targets, rr, tpPct)
+ *
+ * The trade direction comes from the primary timeframe's structure (the fresh break, else the trend).
+ * Invalid definitions throw with code 'BAD_STRATEGY'; YAML files need the optional `yaml` package.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { analyzeCandles, DEFAULT_SCORE_THRESHOLD } = require('./detectors');
+const { htfBias, alignment, applyHtfFilter } = require('./htf');
+const { planTrade } = require('./levels');
+const { intervalToMs } = require('./kline-file');
+
+const DIRECTIONS = ['both', 'long', 'short'];
+const HTF_MODES = ['strict', 'score', 'off'];
+const SL_RULES = ['structure', 'atr', 'percent'];
+const TP_RULES = ['liquidity', 'rr', 'percent'];
+const KEYS = ['name', 'description', 'enabled', 'minScore', 'directions', 'conditions', 'htf', 'stops'];
+const STOP_KEYS = ['sl', 'atrBuffer', 'slAtr', 'slPct', 'tp', 'targets', 'rr', 'tpPct'];
+
+function badStrategy(source, why) {
+  const err = new Error(`${source}: ${why}`);
+  err.code = 'BAD_STRATEGY';
+  return err;
+}
+
+// ------------- CONDITIONS -------------
+const good = dir => (dir === 'LONG' ? 'DISCOUNT' : 'PREMIUM');
+
+// primary timeframe: (facts from analyzeCandles, dir, condition) -> note tag when it holds, else null
+const PRIMARY = {
+  break: (f, dir, c) => {
+    const b = f.bos;
+    if (!b || (b.type === 'BOS_UP' ? 'LONG' : 'SHORT') !== dir || (c.kind && b.kind !== c.kind)) return null;
+    return b.kind === 'CHOCH' ? b.type.replace('BOS', 'CHOCH') : b.type;
+  },
+  zone: f => (f.zone ? f.zone.pd || f.zone.kind : null),
+  fvg: (f, dir) => {
+    const g = f.fvg;
+    if (!g || g.type !== (dir === 'LONG' ? 'FVG_UP' : 'FVG_DOWN')) return null;
+    return g.state === 'PARTIAL' ? `${g.type}(${Math.round(g.fill * 100)}%)` : g.type;
+  },
+  orderBlock: (f, dir) => (dir === 'LONG' ? f.ob.bullish && 'OB_BULL' : f.ob.bearish && 'OB_BEAR') || null,
+  sweep: f => (f.sweep ? f.sweep.type : null),
+  volume: f => (f.volume ? f.volume.type : null),
+  liquidity: f => (f.liq ? f.liq.type : null),
+  pattern: (f, dir, c) => (f.pattern && (!c.names || c.names.includes(f.pattern)) ? f.pattern : null),
+  premiumDiscount: (f, dir) => {
+    const pd = f.zone ? f.zone.pd : f.structure.range && f.structure.range.zone;
+    return pd === good(dir) ? pd : null;
+  },
+};
+
+// higher timeframes: (analyzeTimeframe result, dir, condition, tf) -> tag | null
+const HIGHER = {
+  trend: (a, dir, c, tf) => (a.trend === (dir === 'LONG' ? 'UP' : 'DOWN') ? `${tf}:${a.trend}` : null),
+  aligned: (a, dir, c, tf) => (alignment(dir, a) === 'AGREE' ? `${tf}:AGREE` : null),
+  against: (a, dir, c, tf) => (alignment(dir, a) === 'AGAINST' ? `${tf}:AGAINST` : null),
+  premiumDiscount: (a, dir, c, tf) => (a.zone === good(dir) ? `${tf}:${a.zone}` : null),
+  poi: (a, dir, c, tf) => (dir === 'LONG' ? a.inDemand && `${tf}:DEMAND` : a.inSupply && `${tf}:SUPPLY`) || null,
+  break: (a, dir, c, tf) => (a.lastBOS && a.lastBOS.type === (dir === 'LONG' ? 'BOS_UP' : 'BOS_DOWN') ? `${tf}:${a.lastBOS.type}` : null),
+};
+
+const LABELS = {
+  break: 'fresh BOS/CHoCH', zone: 'price at an open FVG/OB', fvg: 'open FVG', orderBlock: 'open order block',
+  sweep: 'liquidity sweep', volume: 'volume spike', liquidity: 'sweep or volume spike', pattern: 'candle pattern',
+  premiumDiscount: 'discount (LONG) / premium (SHORT)', trend: 'trend', aligned: 'bias agreeing', against: 'bias against',
+  poi: 'demand (LONG) / supply (SHORT)',
+};
+
+function describeCondition(c) {
+  return `${c.timeframe ? `${c.timeframe} ` : ''}${c.not ? 'no ' : ''}${LABELS[c.type]}${c.kind ? ` (${c.kind})` : ''}`;
+}
+
+// tag or null; a higher timeframe without data never holds
+function checkCondition(c, facts, dir, bias, interval) {
+  if (!c.timeframe || (c.timeframe === interval && PRIMARY[c.type])) return PRIMARY[c.type](facts, dir, c);
+  const a = bias[c.timeframe];
+  return a && HIGHER[c.type] ? HIGHER[c.type](a, dir, c, c.timeframe) : null;
+}
+
+// ------------- DEFINITIONS -------------
+function isTimeframe(tf) { return typeof tf === 'string' && !!intervalToMs(tf); }
+function positiveList(v) { return Array.isArray(v) && v.length > 0 && v.every(x => typeof x === 'number' && x > 0); }
+
+function parseCondition(raw, k, source) {
+  const at = `conditions[${k}]`;
+  if (!raw || typeof raw !== 'object') throw badStrategy(source, `${at} must be an object`);
+  const c = { type: raw.type, weight: raw.weight ?? 0, required: !!raw.required, not: !!raw.not };
+  if (raw.timeframe != null) {
+    if (!isTimeframe(raw.timeframe)) throw badStrategy(source, `${at}.timeframe "${raw.timeframe}" is not a timeframe`);
+    c.timeframe = raw.timeframe;
+  }
+  const known = c.timeframe ? { ...PRIMARY, ...HIGHER } : PRIMARY;
+  if (!known[c.type]) throw badStrategy(source, `${at}.type "${c.type}" unknown${c.timeframe ? '' : ' on the primary timeframe'}`);
+  if (typeof c.weight !== 'number' || !Number.isFinite(c.weight)) throw badStrategy(source, `${at}.weight must be a number`);
+  if (raw.kind != null) {
+    if (!['BOS', 'CHOCH'].includes(raw.kind)) throw badStrategy(source, `${at}.kind must be BOS or CHOCH`);
+    c.kind = raw.kind;
+  }
+  if (raw.names != null) {
+    if (!Array.isArray(raw.names) || !raw.names.every(x => typeof x === 'string')) throw badStrategy(source, `${at}.names must be a list of pattern names`);
+    c.names = raw.names;
+  }
+  return c;
+}
+
+function parseStops(raw = {}, source) {
+  const s = { ...raw };
+  const unknown = Object.keys(s).filter(k => !STOP_KEYS.includes(k));
+  if (unknown.length) throw badStrategy(source, `unknown stops field(s) ${unknown.join(', ')}`);
+  if (s.sl != null && !SL_RULES.includes(s.sl)) throw badStrategy(source, `stops.sl must be one of ${SL_RULES.join('|')}`);
+  if (s.tp != null && !TP_RULES.includes(s.tp)) throw badStrategy(source, `stops.tp must be one of ${TP_RULES.join('|')}`);
+  for (const key of ['slPct', 'slAtr']) if (s[key] != null && !(s[key] > 0)) throw badStrategy(source, `stops.${key} must be > 0`);
+  if (s.atrBuffer != null && !(s.atrBuffer >= 0)) throw badStrategy(source, 'stops.atrBuffer must be >= 0');
+  if (s.targets != null && !(Number.isInteger(s.targets) && s.targets >= 1 && s.targets <= 5)) throw badStrategy(source, 'stops.targets must be 1-5');
+  for (const key of ['rr', 'tpPct']) {
+    if (s[key] == null) continue;
+    if (!positiveList(s[key])) throw badStrategy(source, `stops.${key} must be a list of positive numbers`);
+    s[key] = [...s[key]].sort((x, y) => x - y);
+  }
+  return s;
+}
+
+// raw object (parsed file) -> normalized strategy; throws BAD_STRATEGY naming the first problem
+function parseStrategy(raw, source = 'strategy') {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw badStrategy(source, 'expected an object');
+  const unknown = Object.keys(raw).filter(k => !KEYS.includes(k));
+  if (unknown.length) throw badStrategy(source, `unknown field(s) ${unknown.join(', ')}`);
+  if (typeof raw.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(raw.name)) throw badStrategy(source, 'name must be letters, digits, - or _');
+  if (!Array.isArray(raw.conditions) || !raw.conditions.length) throw badStrategy(source, 'conditions must be a non-empty list');
+  if (raw.minScore != null && !Number.isFinite(raw.minScore)) throw badStrategy(source, 'minScore must be a number');
+  const directions = raw.directions || 'both';
+  if (!DIRECTIONS.includes(directions)) throw badStrategy(source, `directions must be one of ${DIRECTIONS.join('|')}`);
+
+  const htf = { ...(raw.htf || {}) };
+  if (htf.mode != null && !HTF_MODES.includes(htf.mode)) throw badStrategy(source, `htf.mode must be one of ${HTF_MODES.join('|')}`);
+  if (htf.penalty != null && !Number.isFinite(htf.penalty)) throw badStrategy(source, 'htf.penalty must be a number');
+  if (htf.timeframes != null && !(Array.isArray(htf.timeframes) && htf.timeframes.every(isTimeframe))) throw badStrategy(source, 'htf.timeframes must be a list of timeframes');
+
+  return {
+    name: raw.name,
+    description: raw.description ? String(raw.description) : '',
+    enabled: raw.enabled !== false,
+    minScore: raw.minScore ?? null,
+    directions,
+    conditions: raw.conditions.map((c, k) => parseCondition(c, k, source)),
+    htf,
+    stops: parseStops(raw.stops, source),
+  };
+}
+
+function parseYaml(text, source) {
+  let yaml;
+  try { yaml = require('yaml'); } catch (e) {
+    throw badStrategy(source, 'YAML strategies need the optional "yaml" package (npm install yaml), or use JSON');
+  }
+  return yaml.parse(text);
+}
+
+function loadStrategyFile(file) {
+  const source = path.basename(file);
+  let raw;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    raw = /\.ya?ml$/i.test(file) ? parseYaml(text, source) : JSON.parse(text);
+  } catch (e) {
+    throw e.code === 'BAD_STRATEGY' ? e : badStrategy(source, e.message);
+  }
+  return { ...parseStrategy(raw, source), file: source };
+}
+
+// higher timeframes a strategy reads: its conditions' and, unless its filter is off, the HTF filter's
+// (htfMode = the default for strategies without htf.mode, as in evaluateStrategy)
+function strategyTimeframes(strategy, interval = '15m', { htfMode } = {}) {
+  const out = new Set(strategy.conditions.map(c => c.timeframe).filter(tf => tf && tf !== interval));
+  if ((strategy.htf.mode || htfMode) !== 'off') for (const tf of strategy.htf.timeframes || ['4h', '1h']) if (tf !== interval) out.add(tf);
+  return Array.from(out);
+}
+
+// shipped with the bot; used when STRATEGIES_DIR holds no valid file
+const DEFAULT_STRATEGY = { ...parseStrategy(require('../strategies/smc-structure.json'), 'smc-structure.json'), file: 'built-in' };
+
+// ------------- EVALUATION -------------
+// planTrade's { ob, fvg } with the entry zone in the slot of its kind
+function zoneStops(zone, dir, { ob, fvg }) {
+  if (zone.kind === 'FVG') return { ob, fvg: { type: dir === 'LONG' ? 'FVG_UP' : 'FVG_DOWN', low: zone.low, high: zone.high } };
+  const block = { low: zone.low, high: zone.high };
+  return { fvg, ob: dir === 'LONG' ? { ...ob, bullish: block } : { ...ob, bearish: block } };
+}
+
+// facts: analyzeCandles() of the primary timeframe; opts: { bias (htfBias of the higher timeframes), interval,
+// scoreThreshold, htfMode, htfPenalty } — the last three are defaults the strategy's own fields override
+function evaluateStrategy(strategy, facts, opts = {}) {
+  const threshold = strategy.minScore ?? opts.scoreThreshold ?? DEFAULT_SCORE_THRESHOLD;
+  const bias = opts.bias || {};
+  const fail = (reason, score = 0) => ({ ok: false, reason, score, strategy: strategy.name });
+  const dir = facts.dir;
+  if (!dir) return fail('No market structure yet');
+  if (strategy.directions !== 'both' && dir !== strategy.directions.toUpperCase()) return fail(`${dir} ideas are off`);
+
+  let score = 0, missing = null;
+  const tags = [];
+  for (const c of strategy.conditions) {
+    const tag = checkCondition(c, facts, dir, bias, opts.interval || '15m');
+    if (c.not ? !tag : tag) {
+      score += c.weight;
+      if (!c.not && !tags.includes(tag)) tags.push(tag);
+    } else if (c.required && !missing) missing = c;
+  }
+  if (missing) return fail(`Missing ${describeCondition(missing)}`, score);
+  if (score < threshold) return fail('Not enough confluence', score);
+
+  const { zone, price: entry } = facts;
+  const plan = planTrade(dir, entry, facts.candles, zone ? zoneStops(zone, dir, facts) : { ob: facts.ob, fvg: facts.fvg }, strategy.stops);
+  const extra = zone ? { zone: { kind: zone.kind, low: zone.low, high: zone.high, state: zone.state, fill: +zone.fill.toFixed(2), t: zone.t }, pd: zone.pd } : {};
+  if (facts.bos) extra.structure = facts.bos.kind;
+  // tp / rr refer to TP1, which is what outcome tracking resolves against
+  const idea = {
+    ok: true, symbol: facts.symbol, dir, entry, sl: plan.sl, tp: plan.tps[0], tps: plan.tps, rr: plan.rrs[0], rrs: plan.rrs,
+    slSource: plan.slSource, tpSources: plan.tpSources, note: tags.join(' '), score, strategy: strategy.name, ...extra,
+  };
+
+  const frames = {};
+  for (const tf of strategy.htf.timeframes || ['4h', '1h']) if (bias[tf]) frames[tf] = bias[tf];
+  const filtered = applyHtfFilter(idea, frames, {
+    mode: strategy.htf.mode || opts.htfMode || 'strict',
+    penalty: strategy.htf.penalty ?? opts.htfPenalty ?? 3,
+    scoreThreshold: threshold,
+  });
+  return { ...filtered, strategy: strategy.name };
+}
+
+// passing ideas first (highest score, then strategy order), else the failure that came closest
+function bestIdea(ideas) {
+  if (!ideas.length) return { ok: false, reason: 'No strategy enabled', score: 0 };
+  const ok = ideas.filter(i => i.ok);
+  const pool = ok.length ? ok : ideas;
+  return pool.reduce((best, i) => (i.score > best.score ? i : best), pool[0]);
+}
+
+// frames: { [interval]: candles, '1h': candles, '4h': candles, ... } -> { facts, bias, ideas (one per strategy), idea (best) }
+// opts.bias: precomputed HTF bias (the backtester slices HTF bars itself)
+function runStrategies(strategies, symbol, frames, opts = {}) {
+  const interval = opts.interval || '15m';
+  const facts = analyzeCandles(symbol, frames[interval]);
+  let bias = opts.bias;
+  if (!bias) {
+    const higher = {};
+    for (const [tf, candles] of Object.entries(frames)) if (tf !== interval) higher[tf] = candles;
+    bias = htfBias(higher);
+  }
+  const ideas = strategies.map(s => evaluateStrategy(s, facts, { ...opts, interval, bias }));
+  return { facts, bias, ideas, idea: bestIdea(ideas) };
+}
+
+// ------------- REGISTRY (files on disk + enabled flags kept in `state`) -------------
+function memoryState() {
+  const flags = {};
+  return { get: name => flags[name] ?? null, set: (name, value) => { flags[name] = value; } };
+}
+
+// state: { get(name) -> { enabled } | null, set(name, { enabled }) }, e.g. a settings scope
+function createStrategyRegistry({ dir, state = memoryState(), fallback = [DEFAULT_STRATEGY] } = {}) {
+  let loaded = new Map(); // file -> strategy
+
+  // (re)read every .json / .yaml / .yml in dir; a file that no longer parses keeps its last good version
+  function load() {
+    const errors = [];
+    const next = new Map();
+    const names = new Set();
+    let files = [];
+    try {
+      files = fs.readdirSync(dir).filter(f => /\.(json|ya?ml)$/i.test(f)).sort();
+    } catch (e) {
+      errors.push(`${dir}: ${e.message}`);
+    }
+    for (const f of files) {
+      const file = path.join(dir, f);
+      let s;
+      try {
+        s = loadStrategyFile(file);
+      } catch (e) {
+        s = loaded.get(file);
+        errors.push(s ? `${e.message} (kept the previous version)` : e.message);
+        if (!s) continue;
+      }
+      if (names.has(s.name)) { errors.push(`${f}: duplicate name "${s.name}"`); continue; }
+      names.add(s.name);
+      next.set(file, s);
+    }
+    loaded = next;
+    return { loaded: Array.from(next.values()).map(s => s.name), errors };
+  }
+
+  function all() { return loaded.size ? Array.from(loaded.values()) : fallback; }
+  function isEnabled(s) {
+    const flag = state.get(s.name);
+    return flag && flag.enabled != null ? !!flag.enabled : s.enabled;
+  }
+
+  function get(name) { return all().find(s => s.name === name) || null; }
+  function list() { return all().map(s => ({ ...s, enabled: isEnabled(s) })); }
+  function active() { return all().filter(isEnabled); }
+
+  function setEnabled(name, enabled) {
+    const s = get(name);
+    if (!s) {
+      const err = new Error(`unknown strategy "${name}"`);
+      err.code = 'UNKNOWN_STRATEGY';
+      throw err;
+    }
+    state.set(s.name, { enabled: !!enabled, at: Date.now() });
+    return s;
+  }
+
+  return { dir, load, reload: load, get, list, active, setEnabled };
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  parseStrategy,
+  loadStrategyFile,
+  strategyTimeframes,
+  describeCondition,
+  evaluateStrategy,
+  bestIdea,
+  runStrategies,
+  createStrategyRegistry,
+};
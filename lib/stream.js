@@ -0,0 +1,189 @@
+/**
+ * lib/stream.js — candle-close driven scanning over Binance kline WebSocket streams
+ *
+ * One combined-stream connection per exchange endpoint (<url>?streams=btcusdt@kline_15m/...).
+ * For every symbol a rolling buffer of closed + forming candles is kept in memory:
+ *  - seeded over REST on start (opts.seed)
+ *  - updated from each kline event; when the exchange flags the bar as closed (k.x)
+ *    opts.onCandleClose(symbol, candles) is called with the buffer
+ *  - after a reconnect the gap since the last buffered bar is backfilled over REST,
+ *    and onCandleClose fires for the newest bar that closed while we were away
+ * The connection is dropped and re-opened (exponential backoff) when it errors,
+ * closes or stays silent longer than opts.staleMs.
+ *
+ * opts.WebSocket / opts.url can point at a local stand-in server for testing.
+ */
+
+const DefaultWebSocket = require('ws');
+const { intervalToMs } = require('./kline-file');
+
+const DEFAULTS = {
+  interval: '15m',
+  bufferSize: 300,
+  staleMs: 90 * 1000,     // no message for this long -> reconnect
+  maxBackoffMs: 60 * 1000,
+};
+
+function createKlineStream(options) {
+  const opts = { ...DEFAULTS, ...options };
+  const WebSocket = opts.WebSocket || DefaultWebSocket;
+  const stepMs = intervalToMs(opts.interval);
+  const symbols = opts.symbols.map(s => s.toUpperCase());
+  const buffers = {}; // symbol -> candles (oldest first)
+  const lastClosed = {}; // symbol -> open time of the last bar handed to onCandleClose (or seen closed at seed)
+
+  let ws = null;
+  let stopped = false;
+  let attempts = 0;
+  let lastMessageAt = 0;
+  let connectedAt = 0;
+  let everConnected = false;
+  let reconnectTimer = null;
+  let staleTimer = null;
+
+  function log(...args) { (opts.logger || console).log('[stream]', ...args); }
+
+  function streamUrl() {
+    const names = symbols.map(s => `${s.toLowerCase()}@kline_${opts.interval}`).join('/');
+    return `${opts.url}?streams=${names}`;
+  }
+
+  // insert or replace by open time, keep the buffer sorted and bounded
+  function upsert(symbol, candle) {
+    const buf = buffers[symbol] || (buffers[symbol] = []);
+    const last = buf[buf.length - 1];
+    if (!last || candle.t > last.t) buf.push(candle);
+    else if (candle.t === last.t) buf[buf.length - 1] = candle;
+    else {
+      const i = buf.findIndex(c => c.t >= candle.t);
+      if (buf[i].t === candle.t) buf[i] = candle;
+      else buf.splice(i, 0, candle);
+    }
+    if (buf.length > opts.bufferSize) buf.splice(0, buf.length - opts.bufferSize);
+  }
+
+  // hand the buffer as of the bar that just closed (without any newer forming bar)
+  async function emitClose(symbol, closedT) {
+    lastClosed[symbol] = closedT;
+    try {
+      await opts.onCandleClose(symbol, buffers[symbol].filter(c => c.t <= closedT));
+    } catch (e) {
+      console.error('stream onCandleClose err', symbol, e && e.stack ? e.stack : e);
+    }
+  }
+
+  function onMessage(raw) {
+    lastMessageAt = Date.now();
+    let msg;
+    try { msg = JSON.parse(raw); } catch (e) { return; }
+    const data = msg.data || msg;
+    if (!data || data.e !== 'kline' || !data.k) return;
+    const k = data.k;
+    const symbol = String(data.s || k.s).toUpperCase();
+    if (!buffers[symbol] && !symbols.includes(symbol)) return;
+    upsert(symbol, { t: k.t, open: +k.o, high: +k.h, low: +k.l, close: +k.c, vol: +k.v });
+    // a bar the reconnect backfill already handed over is not closed twice
+    if (k.x && k.t > (lastClosed[symbol] || 0)) emitClose(symbol, k.t);
+  }
+
+  function newestClosed(symbol) {
+    const closed = (buffers[symbol] || []).filter(c => c.t + stepMs <= Date.now());
+    return closed[closed.length - 1];
+  }
+
+  // REST backfill of the bars missed while disconnected
+  async function backfill() {
+    if (!opts.backfill) return;
+    for (const symbol of symbols) {
+      const buf = buffers[symbol] || [];
+      const since = buf.length ? buf[buf.length - 1].t : Date.now() - opts.bufferSize * stepMs;
+      let fresh = [];
+      try {
+        fresh = await opts.backfill(symbol, opts.interval, since);
+      } catch (e) {
+        console.warn('stream backfill', symbol, e && e.message ? e.message : e);
+        continue;
+      }
+      for (const c of fresh) upsert(symbol, c);
+      const newest = newestClosed(symbol);
+      if (newest && newest.t > (lastClosed[symbol] || 0)) await emitClose(symbol, newest.t);
+    }
+  }
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+    const delay = Math.min(opts.maxBackoffMs, 1000 * 2 ** Math.min(attempts, 6));
+    attempts++;
+    log(`reconnecting in ${delay}ms (attempt ${attempts})`);
+    reconnectTimer = setTimeout(() => { reconnectTimer = null; connect(); }, delay);
+  }
+
+  function watchStale() {
+    clearInterval(staleTimer);
+    staleTimer = setInterval(() => {
+      if (ws && Date.now() - lastMessageAt > opts.staleMs) {
+        log('stream silent, dropping connection');
+        ws.terminate();
+      }
+    }, Math.min(opts.staleMs, 30 * 1000));
+  }
+
+  function connect() {
+    if (stopped) return;
+    const socket = new WebSocket(streamUrl());
+    ws = socket;
+    socket.on('open', async () => {
+      const reconnect = everConnected;
+      attempts = 0;
+      connectedAt = lastMessageAt = Date.now();
+      log(`connected (${symbols.length} symbols, ${opts.interval})`);
+      if (reconnect) await backfill();
+      everConnected = true;
+    });
+    socket.on('message', onMessage);
+    socket.on('ping', () => { lastMessageAt = Date.now(); });
+    socket.on('error', (e) => console.warn('stream error', e && e.message ? e.message : e));
+    socket.on('close', () => {
+      if (ws === socket) ws = null;
+      connectedAt = 0;
+      scheduleReconnect();
+    });
+  }
+
+  async function start() {
+    stopped = false;
+    if (opts.seed) {
+      for (const symbol of symbols) {
+        try {
+          for (const c of await opts.seed(symbol, opts.interval, opts.bufferSize)) upsert(symbol, c);
+          const newest = newestClosed(symbol);
+          if (newest) lastClosed[symbol] = newest.t;
+        } catch (e) {
+          console.warn('stream seed', symbol, e && e.message ? e.message : e);
+        }
+      }
+    }
+    connect();
+    watchStale();
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    clearInterval(staleTimer);
+    if (ws) ws.terminate();
+    ws = null;
+  }
+
+  // healthy = connected and receiving data recently
+  function isHealthy() {
+    return !!(ws && connectedAt && Date.now() - lastMessageAt <= opts.staleMs);
+  }
+
+  function getCandles(symbol) { return (buffers[symbol.toUpperCase()] || []).slice(); }
+
+  return { start, stop, isHealthy, getCandles, symbols };
+}
+
+module.exports = { createKlineStream };
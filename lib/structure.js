@@ -0,0 +1,189 @@
+/**
+ * lib/structure.js — swing-based market structure (pure functions over candles, oldest first)
+ *
+ * analyzeStructure(candles) walks the bars once and returns:
+ *  - swings:      fractal highs / lows labelled HH, LH, HL, LL (a swing is only known `wing` bars later)
+ *  - events:      closes beyond the last unbroken swing — BOS when it continues the trend, CHOCH
+ *                 when it flips it; each with the order block the breaking leg started from
+ *  - trend:       UP / DOWN after the last event, RANGE before the first one
+ *  - equalHighs / equalLows: swing extremes within eqTolerance ATR of each other (resting liquidity),
+ *                 state INTACT, SWEPT (wicked through, closed back) or BROKEN (closed through)
+ *  - sweeps:      wicks beyond an equal high/low pool or a single unbroken swing that closed back inside
+ *  - fvgs / orderBlocks: every gap / block with its mitigation — UNMITIGATED (not revisited),
+ *                 PARTIAL (price traded into it, `fill` = share covered) or MITIGATED (traded through)
+ *  - range:       dealing range between the last swing high and low, equilibrium and the current
+ *                 zone (PREMIUM above 50%, DISCOUNT below)
+ *  - zones:       not fully mitigated FVGs / OBs as entry areas, nearest first:
+ *                 { kind: 'FVG' | 'OB', dir: 'LONG' | 'SHORT', low, high, state, fill, t, distance, pd }
+ */
+
+const { atr, swingPoints } = require('./levels');
+
+const DEFAULTS = {
+  wing: 2,            // bars each side of a fractal swing
+  eqTolerance: 0.1,   // ATR multiples between two extremes still counted as "equal"
+  minGap: 0.05,       // FVGs smaller than this many ATRs are noise
+  obSearch: 5,        // bars searched back from a leg's origin for the opposite-colour candle
+};
+
+// share of a zone price has traded into since it formed (0 = untouched, 1 = traded through)
+function mitigation(zone, bars) {
+  let fill = 0, mitigatedAt = null;
+  const size = zone.high - zone.low;
+  for (const b of bars) {
+    const depth = zone.dir === 'LONG' ? zone.high - b.low : b.high - zone.low;
+    if (depth <= 0) continue;
+    fill = Math.max(fill, size > 0 ? Math.min(1, depth / size) : 1);
+    if (fill >= 1) { mitigatedAt = b.t; break; }
+  }
+  return { fill, state: fill >= 1 ? 'MITIGATED' : fill > 0 ? 'PARTIAL' : 'UNMITIGATED', mitigatedAt };
+}
+
+function findFvgs(candles, minSize) {
+  const out = [];
+  for (let i = 2; i < candles.length; i++) {
+    const a = candles[i], b = candles[i - 2];
+    // t / i = the displacement (middle) bar, as detectFVG
+    if (a.low > b.high && a.low - b.high >= minSize) out.push({ type: 'FVG_UP', dir: 'LONG', low: b.high, high: a.low, t: candles[i - 1].t, i: i - 1 });
+    if (a.high < b.low && b.low - a.high >= minSize) out.push({ type: 'FVG_DOWN', dir: 'SHORT', low: a.high, high: b.low, t: candles[i - 1].t, i: i - 1 });
+  }
+  for (const g of out) Object.assign(g, mitigation(g, candles.slice(g.i + 2)));
+  return out;
+}
+
+// last opposite-colour candle at or before the leg's origin (the extreme the break started from)
+function legOrderBlock(candles, from, to, dir, search) {
+  let origin = from;
+  for (let k = from; k < to; k++) {
+    if (dir === 'LONG' ? candles[k].low < candles[origin].low : candles[k].high > candles[origin].high) origin = k;
+  }
+  for (let k = origin; k >= Math.max(0, origin - search); k--) {
+    const c = candles[k];
+    if (dir === 'LONG' ? c.close < c.open : c.close > c.open) return k;
+  }
+  return origin;
+}
+
+// group swing extremes within `tol` of each other; level = the outermost one
+function equalLevels(points, tol, side) {
+  const groups = [];
+  for (const p of points) {
+    const g = groups.find(x => Math.abs(x.level - p.price) <= tol);
+    if (g) {
+      g.points.push(p);
+      g.level = side === 'HIGH' ? Math.max(g.level, p.price) : Math.min(g.level, p.price);
+    } else groups.push({ side, level: p.price, points: [p] });
+  }
+  return groups.filter(g => g.points.length >= 2);
+}
+
+// what price did to a liquidity level after `fromIndex`: INTACT, SWEPT (wick + close back) or BROKEN
+function liquidityState(candles, level, side, fromIndex) {
+  let sweep = null;
+  for (let j = fromIndex; j < candles.length; j++) {
+    const c = candles[j];
+    const pierced = side === 'HIGH' ? c.high > level : c.low < level;
+    if (!pierced) continue;
+    const closedBeyond = side === 'HIGH' ? c.close > level : c.close < level;
+    if (closedBeyond) return { state: 'BROKEN', sweep, brokenAt: c.t };
+    if (!sweep) sweep = { t: c.t, i: j, extreme: side === 'HIGH' ? c.high : c.low };
+  }
+  return { state: sweep ? 'SWEPT' : 'INTACT', sweep, brokenAt: null };
+}
+
+function analyzeStructure(candles, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const empty = { swings: [], events: [], trend: 'RANGE', lastEvent: null, equalHighs: [], equalLows: [], sweeps: [], fvgs: [], orderBlocks: [], range: null, zones: [], atr: 0 };
+  if (!candles || candles.length < opts.wing * 2 + 3) return empty;
+  const a = atr(candles);
+  const { highs, lows } = swingPoints(candles, candles.length, opts.wing);
+
+  // swing labels relative to the previous swing of the same side
+  const swings = [
+    ...highs.map((h, k) => ({ type: 'HIGH', price: h.price, t: h.t, i: h.i, label: k && h.price <= highs[k - 1].price ? 'LH' : 'HH' })),
+    ...lows.map((l, k) => ({ type: 'LOW', price: l.price, t: l.t, i: l.i, label: k && l.price >= lows[k - 1].price ? 'HL' : 'LL' })),
+  ].sort((x, y) => x.i - y.i);
+
+  // structure walk: swings become usable once confirmed (wing bars later)
+  const events = [];
+  const orderBlocks = [];
+  let trend = 'RANGE', lastHigh = null, lastLow = null, next = 0;
+  for (let j = 0; j < candles.length; j++) {
+    while (next < swings.length && swings[next].i + opts.wing <= j) {
+      const s = swings[next++];
+      if (s.type === 'HIGH') lastHigh = s; else lastLow = s;
+    }
+    const c = candles[j];
+    for (const [swing, dir] of [[lastHigh, 'UP'], [lastLow, 'DOWN']]) {
+      if (!swing || !(dir === 'UP' ? c.close > swing.price : c.close < swing.price)) continue;
+      const kind = trend !== 'RANGE' && trend !== dir ? 'CHOCH' : 'BOS';
+      const side = dir === 'UP' ? 'LONG' : 'SHORT';
+      const k = legOrderBlock(candles, swing.i, j, side, opts.obSearch);
+      const ob = { type: side === 'LONG' ? 'OB_BULL' : 'OB_BEAR', dir: side, low: candles[k].low, high: candles[k].high, t: candles[k].t, i: k, candle: candles[k], eventT: c.t };
+      Object.assign(ob, mitigation(ob, candles.slice(j + 1)));
+      orderBlocks.push(ob);
+      events.push({ type: kind, dir, level: swing.price, swingT: swing.t, t: c.t, i: j, ob });
+      trend = dir;
+      if (dir === 'UP') lastHigh = null; else lastLow = null;
+    }
+  }
+
+  // resting liquidity and its sweeps
+  const tol = a * opts.eqTolerance;
+  const pools = [...equalLevels(highs, tol, 'HIGH'), ...equalLevels(lows, tol, 'LOW')].map(g => {
+    const formed = Math.max(...g.points.map(p => p.i)) + opts.wing;
+    return { ...g, t: g.points[g.points.length - 1].t, ...liquidityState(candles, g.level, g.side, formed + 1) };
+  });
+  const sweeps = [];
+  // a level closed through after the wick was a failed sweep, not a liquidity grab
+  for (const g of pools) if (g.state === 'SWEPT') sweeps.push({ type: g.side === 'HIGH' ? 'SWEEP_HIGH' : 'SWEEP_LOW', source: g.side === 'HIGH' ? 'EQH' : 'EQL', level: g.level, t: g.sweep.t, i: g.sweep.i });
+  for (const s of swings) {
+    const st = liquidityState(candles, s.price, s.type, s.i + opts.wing + 1);
+    if (st.state === 'SWEPT') sweeps.push({ type: s.type === 'HIGH' ? 'SWEEP_HIGH' : 'SWEEP_LOW', source: 'SWING', level: s.price, t: st.sweep.t, i: st.sweep.i });
+  }
+  sweeps.sort((x, y) => x.i - y.i);
+
+  // dealing range: last confirmed swing high / low, stretched by price beyond them since
+  const price = candles[candles.length - 1].close;
+  let range = null;
+  const hi = highs[highs.length - 1], lo = lows[lows.length - 1];
+  if (hi && lo) {
+    const since = candles.slice(Math.min(hi.i, lo.i));
+    const high = Math.max(hi.price, ...since.map(c => c.high));
+    const low = Math.min(lo.price, ...since.map(c => c.low));
+    const position = high > low ? (price - low) / (high - low) : 0.5;
+    range = { high, low, eq: (high + low) / 2, position, zone: position >= 0.5 ? 'PREMIUM' : 'DISCOUNT' };
+  }
+  const pdOf = z => (!range ? null : (z.low + z.high) / 2 >= range.eq ? 'PREMIUM' : 'DISCOUNT');
+
+  const fvgs = findFvgs(candles, a * opts.minGap);
+  const zones = [
+    ...fvgs.map(g => ({ kind: 'FVG', ...g })),
+    ...orderBlocks.map(({ candle, ...ob }) => ({ kind: 'OB', ...ob })),
+  ]
+    .filter(z => z.state !== 'MITIGATED')
+    .map(z => ({
+      kind: z.kind, type: z.type, dir: z.dir, low: z.low, high: z.high, state: z.state, fill: z.fill, t: z.t,
+      // 0 when price is inside, otherwise how far the zone's near edge is
+      distance: price < z.low ? z.low - price : price > z.high ? price - z.high : 0,
+      pd: pdOf(z),
+    }))
+    .sort((x, y) => x.distance - y.distance || y.t - x.t);
+
+  return {
+    swings, events, trend, lastEvent: events[events.length - 1] || null,
+    equalHighs: pools.filter(g => g.side === 'HIGH'), equalLows: pools.filter(g => g.side === 'LOW'),
+    sweeps, fvgs, orderBlocks, range, zones, atr: a,
+  };
+}
+
+// best entry area for `dir`: price inside it or within `tolerance` ATR of its near edge;
+// zones on the right side of the range (discount for LONG, premium for SHORT) first
+function pickEntryZone(structure, dir, { tolerance = 0.25 } = {}) {
+  const maxDist = structure.atr * tolerance;
+  const good = dir === 'LONG' ? 'DISCOUNT' : 'PREMIUM';
+  const near = structure.zones.filter(z => z.dir === dir && z.distance <= maxDist);
+  return near.find(z => z.pd === good) || near[0] || null;
+}
+
+module.exports = { analyzeStructure, pickEntryZone, mitigation, DEFAULTS };
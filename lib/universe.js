@@ -0,0 +1,155 @@
+/**
+ * lib/universe.js — dynamic coin universe: rank an exchange's USDT pairs and keep the top N for the scans
+ *
+ *  1. candidates: USDT pairs with a price and at least minQuoteVolume of 24h quote volume; stablecoin
+ *     pairs and banned symbols are left out
+ *  2. shortlist: the `shortlist` most traded candidates plus the pinned symbols (klines are only fetched for these)
+ *  3. per pair, from `bars` klines of `timeframe`: ATR% and relative strength = its return over rsBars
+ *     minus the benchmark's (BTCUSDT); futures tickers add funding rate and open interest (USDT)
+ *  4. score 0-100 = weighted mean of percentile ranks within the shortlist — volume, volatility (ATR%;
+ *     pairs above maxAtrPct are dropped), momentum (|RS|, either direction is tradable), open interest
+ *     and calm funding (crowded positioning is squeeze-prone); factors a pair has no data for are left
+ *     out of its mean instead of counting as zero
+ *  5. set = pinned symbols that are listed + the best scores up to `size`
+ * All data comes in through the arguments, so a tickers fixture (lib/market/file.js) replays a selection offline.
+ */
+
+const { atr } = require('./levels');
+
+const DEFAULTS = {
+  size: 12,
+  shortlist: 40,
+  minQuoteVolume: 20e6,
+  quote: 'USDT',
+  benchmark: 'BTCUSDT',
+  timeframe: '1h',
+  bars: 100,
+  rsBars: 24,
+  maxAtrPct: 5,
+  weights: { volume: 3, volatility: 2, momentum: 2, openInterest: 1.5, funding: 1 },
+};
+const FACTORS = ['volume', 'volatility', 'momentum', 'openInterest', 'funding'];
+const STABLECOINS = new Set(['USDC', 'FDUSD', 'TUSD', 'BUSD', 'DAI', 'USDP', 'USDE', 'PYUSD', 'USD1', 'EUR', 'AEUR', 'EURI']);
+const STRONG_RANK = 0.75; // factors at or above this percentile are listed as the reasons a pair made it
+
+// ------------- METRICS -------------
+// why a ticker is not a candidate, null when it is
+function exclusion(t, { quote, minQuoteVolume, banned }) {
+  if (!t.symbol.endsWith(quote) || t.symbol === quote) return 'quote';
+  if (banned.has(t.symbol)) return 'banned';
+  if (STABLECOINS.has(t.symbol.slice(0, -quote.length))) return 'stablecoin';
+  if (!(t.price > 0)) return 'price';
+  if (!(t.quoteVolume >= minQuoteVolume)) return 'volume';
+  return null;
+}
+
+// ATR% and % return over the last rsBars bars (candles oldest first), null when there are too few bars
+function klineMetrics(candles, rsBars) {
+  if (!candles || candles.length < rsBars + 1) return null;
+  const last = candles[candles.length - 1].close;
+  const past = candles[candles.length - 1 - rsBars].close;
+  if (!(last > 0) || !(past > 0)) return null;
+  return { atrPct: (atr(candles) / last) * 100, ret: (last / past - 1) * 100 };
+}
+
+function factorValue(row, factor) {
+  const v = {
+    volume: row.quoteVolume,
+    volatility: row.atrPct,
+    momentum: row.rs == null ? null : Math.abs(row.rs),
+    openInterest: row.openInterest,
+    funding: row.fundingRate == null ? null : -Math.abs(row.fundingRate),
+  }[factor];
+  return v == null || !Number.isFinite(v) ? null : v;
+}
+
+// share of the other values below v (0 = lowest, 1 = highest; ties share the mean position)
+function percentile(sorted, v) {
+  if (sorted.length < 2) return 1;
+  const below = sorted.filter(x => x < v).length;
+  const equal = sorted.filter(x => x === v).length;
+  return (below + (equal - 1) / 2) / (sorted.length - 1);
+}
+
+// ------------- RANKING -------------
+// rows: [{ symbol, quoteVolume, atrPct, rs, fundingRate, openInterest, ... }] -> same rows with
+// { ranks: { factor: 0..1 }, strong: [factor], score } added, best first
+function rankUniverse(rows, { weights = DEFAULTS.weights } = {}) {
+  const sorted = {};
+  for (const f of FACTORS) sorted[f] = rows.map(r => factorValue(r, f)).filter(v => v != null).sort((a, b) => a - b);
+  return rows
+    .map(r => {
+      const ranks = {};
+      let sum = 0, wsum = 0;
+      for (const f of FACTORS) {
+        const v = factorValue(r, f);
+        if (v == null || !weights[f]) continue;
+        ranks[f] = percentile(sorted[f], v);
+        sum += ranks[f] * weights[f];
+        wsum += weights[f];
+      }
+      const strong = FACTORS.filter(f => ranks[f] >= STRONG_RANK);
+      return { ...r, ranks, strong, score: wsum ? Math.round((sum / wsum) * 100) : 0 };
+    })
+    .sort((a, b) => b.score - a.score || b.quoteVolume - a.quoteVolume);
+}
+
+// tickers: [{ symbol, price, quoteVolume, changePct, fundingRate, openInterest }] (lib/market fetchTickers)
+// getKlines(symbol, timeframe, limit) -> candles; getOpenInterest(symbol) -> base units or null (optional)
+// -> { at, symbols, ranked: [row + { rank, selected, pinned }], excluded: [{ symbol, reason }], listed, candidates }
+async function selectUniverse({ tickers, getKlines, getOpenInterest, pinned = [], banned = [], options = {}, now = Date.now() }) {
+  const o = { ...DEFAULTS, ...options, weights: { ...DEFAULTS.weights, ...(options.weights || {}) } };
+  const bannedSet = new Set(banned);
+  const pinnedSet = new Set(pinned.filter(s => !bannedSet.has(s)));
+  const bySymbol = new Map(tickers.map(t => [t.symbol, t]));
+  const excluded = [];
+
+  const candidates = [];
+  for (const t of tickers) {
+    const why = exclusion(t, { ...o, banned: bannedSet });
+    if (!why) candidates.push(t);
+    else if (why === 'banned') excluded.push({ symbol: t.symbol, reason: why });
+  }
+  const shortlist = [...candidates].sort((a, b) => b.quoteVolume - a.quoteVolume).slice(0, o.shortlist);
+  // pinned pairs are measured even below the volume floor so /universe can show their numbers
+  for (const s of pinnedSet) {
+    const t = bySymbol.get(s);
+    if (!t) excluded.push({ symbol: s, reason: 'unlisted' });
+    else if (!shortlist.includes(t)) shortlist.push(t);
+  }
+
+  const safeKlines = async symbol => {
+    try { return await getKlines(symbol, o.timeframe, o.bars); } catch (e) { return null; }
+  };
+  const bench = await safeKlines(o.benchmark);
+  const benchMetrics = klineMetrics(bench, o.rsBars);
+
+  const rows = [];
+  for (const t of shortlist) {
+    const isPinned = pinnedSet.has(t.symbol);
+    const m = t.symbol === o.benchmark ? benchMetrics : klineMetrics(await safeKlines(t.symbol), o.rsBars);
+    if (!m) { excluded.push({ symbol: t.symbol, reason: 'klines' }); continue; }
+    if (m.atrPct > o.maxAtrPct && !isPinned) { excluded.push({ symbol: t.symbol, reason: 'volatility' }); continue; }
+    let openInterest = t.openInterest;
+    if (openInterest == null && getOpenInterest) {
+      try {
+        const qty = await getOpenInterest(t.symbol);
+        openInterest = qty == null ? null : qty * t.price;
+      } catch (e) { openInterest = null; }
+    }
+    rows.push({
+      symbol: t.symbol, price: t.price, quoteVolume: t.quoteVolume, changePct: t.changePct,
+      atrPct: m.atrPct, ret: m.ret, rs: benchMetrics ? m.ret - benchMetrics.ret : null,
+      fundingRate: t.fundingRate ?? null, openInterest: openInterest ?? null, pinned: isPinned,
+    });
+  }
+
+  const ranked = rankUniverse(rows, o);
+  const pins = ranked.filter(r => r.pinned);
+  const picked = new Set([...pins, ...ranked.filter(r => !r.pinned).slice(0, Math.max(0, o.size - pins.length))].map(r => r.symbol));
+  ranked.forEach((r, k) => { r.rank = k + 1; r.selected = picked.has(r.symbol); });
+  const symbols = ranked.filter(r => r.selected).map(r => r.symbol);
+  return { at: now, symbols, ranked, excluded, listed: tickers.length, candidates: candidates.length, benchmark: o.benchmark, timeframe: o.timeframe };
+}
+
+module.exports = { DEFAULTS, FACTORS, klineMetrics, rankUniverse, selectUniverse };
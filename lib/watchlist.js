@@ -0,0 +1,29 @@
+/**
+ * lib/watchlist.js — who hears about a watched symbol (pure functions; bot.js runs the scan)
+ *
+ * Watchlists are { userId: [symbols] } as store.listWatches() returns them. Every watched symbol is
+ * analyzed once per cycle and a signal goes privately to its watchers that still have member access.
+ * While the last alert sent for a symbol is open in the same direction, a new idea is not sent again.
+ */
+
+// { userId: [symbols] } -> { symbol: [userIds] }
+function watchersBySymbol(watchlist) {
+  const map = {};
+  for (const [uid, symbols] of Object.entries(watchlist || {})) {
+    for (const sym of symbols || []) (map[sym] = map[sym] || []).push(uid);
+  }
+  return map;
+}
+
+// watchers allowed to receive it: members (ids compared as strings)
+function watchAudience(uids, members) {
+  const allowed = new Set(members.map(String));
+  return uids.filter(uid => allowed.has(String(uid)));
+}
+
+// last: the signal stored for the previous alert on this symbol (or null)
+function isRepeatAlert(last, idea) {
+  return !!last && last.status === 'OPEN' && last.dir === idea.dir;
+}
+
+module.exports = { watchersBySymbol, watchAudience, isRepeatAlert };
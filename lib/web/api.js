@@ -0,0 +1,178 @@
+/**
+ * lib/web/api.js — authenticated JSON API over the store (mounted on the bot's Express app)
+ *
+ * Auth: `Authorization: Bearer <token>` or HTTP Basic with the token as password
+ * (so a browser can open the dashboard). Tokens come from API_TOKENS; with none set
+ * every /api and /dashboard request is refused.
+ *
+ *   GET  /api/status                  bot status (deps.status())
+ *   GET  /api/signals/latest          latest signal per symbol (?source=auto)
+ *   GET  /api/signals                 history, newest first: ?symbol ?source ?strategy ?status (OPEN|CLOSED|TP|SL|EXPIRED)
+ *                                     ?from ?to (ISO date or epoch ms) ?page ?limit (max 200)
+ *   GET  /api/signals/:id
+ *   GET  /api/stats/daily             per-day sent/closed/win rate/R (?days, max 90) + all-time totals
+ *   GET  /api/watchlist               { byUser, bySymbol }
+ *   GET  /api/permissions             permissions with effective role, plus subscribers
+ *   GET  /api/audit                   permission changes (?target ?limit)
+ *   POST /api/scan/:symbol            run the full analysis now (deps.analyze)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { effectiveRole } = require('../roles');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseTokens(s) {
+  return String(s || '').split(',').map(x => x.trim()).filter(Boolean);
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function tokenFrom(req) {
+  const h = req.get('authorization') || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(h);
+  if (bearer) return bearer[1].trim();
+  const basic = /^Basic\s+(.+)$/i.exec(h);
+  if (basic) {
+    const decoded = Buffer.from(basic[1], 'base64').toString('utf8');
+    return decoded.slice(decoded.indexOf(':') + 1);
+  }
+  return null;
+}
+
+function requireToken(tokens) {
+  return (req, res, next) => {
+    const token = tokenFrom(req);
+    if (token && tokens.some(t => safeEqual(t, token))) return next();
+    res.set('WWW-Authenticate', 'Basic realm="dashboard"');
+    res.status(tokens.length ? 401 : 503).json({ error: tokens.length ? 'unauthorized' : 'API disabled: set API_TOKENS' });
+  };
+}
+
+// "2024-05-01" | "2024-05-01T10:00:00Z" | epoch ms -> ms, undefined when absent, NaN when invalid
+function parseTime(v) {
+  if (v == null || v === '') return undefined;
+  if (/^\d+$/.test(String(v))) return Number(v);
+  return Date.parse(v);
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.code = 'BAD_REQUEST';
+  return err;
+}
+
+// express 4 doesn't forward rejected promises; route them to the error handler
+function wrap(fn) {
+  return (req, res, next) => Promise.resolve().then(() => fn(req, res, next)).catch(next);
+}
+
+function signalFilters(q) {
+  const f = {};
+  if (q.symbol) f.symbol = String(q.symbol).toUpperCase();
+  if (q.source) f.source = String(q.source);
+  if (q.strategy) f.strategy = String(q.strategy);
+  if (q.status) f.status = String(q.status).toUpperCase();
+  f.from = parseTime(q.from);
+  f.to = parseTime(q.to);
+  if (Number.isNaN(f.from) || Number.isNaN(f.to)) throw badRequest('from/to must be an ISO date or epoch ms');
+  return f;
+}
+
+// per-day (UTC) sent + closed summaries, oldest first
+function dailyStats(store, days, now = Date.now()) {
+  const today = Math.floor(now / DAY_MS) * DAY_MS;
+  const out = [];
+  for (let d = days - 1; d >= 0; d--) {
+    const from = today - d * DAY_MS;
+    const to = from + DAY_MS;
+    const { open, ...closed } = store.summarizeSignals({ status: 'CLOSED', closedFrom: from, closedTo: to });
+    out.push({ date: new Date(from).toISOString().slice(0, 10), sent: store.countSignals({ from, to }), ...closed });
+  }
+  return out;
+}
+
+// the candle arrays in a fullAnalysis result are large and not useful over the wire
+function analysisForApi(a) {
+  const { kl15, kl1h, kl4h, ...rest } = a;
+  return rest;
+}
+
+// deps: { store, tokens, status() -> object, analyze(symbol) -> Promise<fullAnalysis result> }
+function createApiRouter(deps) {
+  const { store } = deps;
+  const router = express.Router();
+  router.use(express.json());
+  router.use(requireToken(deps.tokens || []));
+
+  router.get('/status', wrap(async (req, res) => {
+    res.json(await deps.status());
+  }));
+
+  router.get('/signals/latest', (req, res) => {
+    res.json(store.latestSignalsBySymbol(String(req.query.source || 'auto')));
+  });
+
+  router.get('/signals', (req, res) => {
+    const f = signalFilters(req.query);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const total = store.countSignals(f);
+    const items = store.listSignals({ ...f, limit, offset: (page - 1) * limit });
+    res.json({ items, page, limit, total, pages: Math.ceil(total / limit) });
+  });
+
+  router.get('/signals/:id', (req, res) => {
+    const sig = store.getSignal(req.params.id);
+    if (!sig) return res.status(404).json({ error: 'signal not found' });
+    res.json(sig);
+  });
+
+  router.get('/stats/daily', (req, res) => {
+    const days = Math.min(Math.max(Number(req.query.days) || 7, 1), 90);
+    res.json({ days: dailyStats(store, days), allTime: store.summarizeSignals() });
+  });
+
+  router.get('/watchlist', (req, res) => {
+    const byUser = store.listWatches();
+    const bySymbol = {};
+    for (const [uid, symbols] of Object.entries(byUser)) {
+      for (const sym of symbols) (bySymbol[sym] = bySymbol[sym] || []).push(uid);
+    }
+    res.json({ byUser, bySymbol });
+  });
+
+  router.get('/permissions', (req, res) => {
+    const permissions = store.listPermissions().map(p => ({ ...p, effectiveRole: effectiveRole(p) }));
+    const granted = new Set(permissions.map(p => p.userId));
+    const subscribers = store.listUsers().filter(u => !granted.has(u.id));
+    res.json({ permissions, subscribers });
+  });
+
+  router.get('/audit', (req, res) => {
+    res.json(store.listAudit({ target: req.query.target, limit: Math.min(Number(req.query.limit) || 50, 500) }));
+  });
+
+  router.post('/scan/:symbol', wrap(async (req, res) => {
+    const symbol = String(req.params.symbol).toUpperCase();
+    const result = await deps.analyze(symbol);
+    if (result.unknown) return res.status(404).json({ error: `unknown symbol ${symbol}` });
+    res.json(analysisForApi(result));
+  }));
+
+  router.use((req, res) => res.status(404).json({ error: 'not found' }));
+  router.use((err, req, res, next) => {
+    if (err.code === 'BAD_REQUEST') return res.status(400).json({ error: err.message });
+    console.error('api err', req.method, req.originalUrl, err && err.stack ? err.stack : err);
+    res.status(500).json({ error: 'internal error' });
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter, requireToken, parseTokens, dailyStats };
@@ -0,0 +1,104 @@
+/**
+ * lib/web/dashboard.js — small server-rendered dashboard (no client-side JS, no templates)
+ *
+ * GET /dashboard shows bot status, open signals, recent outcomes and the last
+ * 14 days of results. Same token auth as the API (the browser asks for it via HTTP Basic;
+ * any user name, the token as password).
+ */
+
+const express = require('express');
+const { requireToken, dailyStats } = require('./api');
+
+function esc(v) {
+  return String(v == null ? '' : v).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function fmtTime(ms) {
+  return ms ? new Date(ms).toISOString().slice(0, 16).replace('T', ' ') : '';
+}
+
+function fmtR(r) {
+  if (r == null) return '';
+  const cls = r > 0 ? 'win' : r < 0 ? 'loss' : '';
+  return `<span class="${cls}">${r >= 0 ? '+' : ''}${Number(r).toFixed(2)}R</span>`;
+}
+
+function table(headers, rows, empty) {
+  if (!rows.length) return `<p class="muted">${esc(empty)}</p>`;
+  const head = headers.map(h => `<th>${esc(h)}</th>`).join('');
+  const body = rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+// data: { status, open, closed, days, allTime } — every cell is escaped here except the fmtR markup
+function renderDashboard(data) {
+  const { status, open, closed, days, allTime } = data;
+  const statusRows = Object.entries(status).map(([k, v]) => [esc(k), esc(typeof v === 'object' ? JSON.stringify(v) : v)]);
+  const openRows = open.map(s => [
+    esc(fmtTime(s.openedAt)), esc(s.symbol), esc(s.dir), esc(s.entry), esc(s.sl), esc(s.tp), esc(s.score), esc(s.source), esc(s.strategy || '-'),
+  ]);
+  const closedRows = closed.map(s => [
+    esc(fmtTime(s.closedAt)), esc(s.symbol), esc(s.dir), esc(s.entry), esc(s.exit), esc(s.status), fmtR(s.r), esc(s.source), esc(s.strategy || '-'),
+  ]);
+  const maxAbsR = Math.max(1, ...days.map(d => Math.abs(d.totalR)));
+  const dayRows = days.map(d => [
+    esc(d.date), esc(d.sent), esc(d.closed), esc(`${d.tp}/${d.sl}/${d.expired}`),
+    esc(d.closed ? `${(d.winRate * 100).toFixed(0)}%` : '-'), fmtR(d.totalR),
+    `<span class="bar ${d.totalR >= 0 ? 'win' : 'loss'}" style="width:${Math.round(Math.abs(d.totalR) / maxAbsR * 120)}px"></span>`,
+  ]);
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="refresh" content="60">
+<title>${esc(status.bot || 'Bot')} dashboard</title>
+<style>
+body{font:14px/1.4 system-ui,sans-serif;margin:24px;color:#222}
+h1{font-size:20px}h2{font-size:16px;margin-top:28px}
+table{border-collapse:collapse;min-width:480px}th,td{padding:4px 10px;border-bottom:1px solid #eee;text-align:left}
+th{background:#fafafa}.muted{color:#888}.win{color:#128a3e}.loss{color:#c62828}
+.bar{display:inline-block;height:10px}.bar.win{background:#128a3e}.bar.loss{background:#c62828}
+.cards span{display:inline-block;margin-right:24px}
+</style></head><body>
+<h1>${esc(status.bot || 'Bot')} — dashboard</h1>
+<div class="cards">
+<span>All-time: <b>${esc(allTime.closed)}</b> closed, <b>${esc(allTime.open)}</b> open</span>
+<span>Win rate: <b>${esc((allTime.winRate * 100).toFixed(1))}%</b></span>
+<span>Cumulative: <b>${fmtR(allTime.totalR)}</b></span>
+</div>
+<h2>Status</h2>
+${table(['', ''], statusRows, 'No status')}
+<h2>Open signals (${open.length})</h2>
+${table(['Opened (UTC)', 'Symbol', 'Dir', 'Entry', 'SL', 'TP', 'Score', 'Source', 'Strategy'], openRows, 'No open signals.')}
+<h2>Recent outcomes</h2>
+${table(['Closed (UTC)', 'Symbol', 'Dir', 'Entry', 'Exit', 'Status', 'R', 'Source', 'Strategy'], closedRows, 'No closed signals yet.')}
+<h2>Last ${days.length} days</h2>
+${table(['Date (UTC)', 'Sent', 'Closed', 'TP/SL/Exp', 'Win rate', 'R', ''], dayRows.reverse(), 'No data.')}
+<p class="muted">Generated ${esc(fmtTime(Date.now()))} UTC · JSON API under /api</p>
+</body></html>`;
+}
+
+// deps: { store, tokens, status() }
+function createDashboardRouter(deps) {
+  const { store } = deps;
+  const router = express.Router();
+  router.use(requireToken(deps.tokens || []));
+  router.get('/', async (req, res) => {
+    try {
+      const closed = store.listSignals({ status: 'CLOSED', orderBy: 'closedAt', limit: 200 }).filter(s => s.status !== 'UNTRACKED').slice(0, 30);
+      const html = renderDashboard({
+        status: await deps.status(),
+        open: store.listOpenSignals().reverse(),
+        closed,
+        days: dailyStats(store, 14),
+        allTime: store.summarizeSignals(),
+      });
+      res.type('html').send(html);
+    } catch (e) {
+      console.error('dashboard err', e && e.stack ? e.stack : e);
+      res.status(500).type('text').send('dashboard error');
+    }
+  });
+  return router;
+}
+
+module.exports = { createDashboardRouter, renderDashboard };
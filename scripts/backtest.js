@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * scripts/backtest.js — offline backtest CLI
+ *
+ * Usage:
+ *   node scripts/backtest.js data/BTCUSDT_15m.csv [data/ETHUSDT_15m.json ...] [options]
+ *
+ * Options:
+ *   --symbol SYMBOL      override the symbol inferred from the file name
+ *   --interval 15m       primary timeframe (default 15m); 1h/4h files of the same symbol
+ *                        are used as higher-timeframe context, e.g.
+ *                        BTCUSDT_15m.csv BTCUSDT_1h.csv BTCUSDT_4h.csv
+ *   --threshold N        score threshold for strategies without their own minScore
+ *                        (default: env SCORE_THRESHOLD or 2)
+ *   --strategy FILE      strategy definition (JSON/YAML, see lib/strategies.js) to test; repeat it to
+ *                        run several side by side (default: strategies/smc-structure.json)
+ *   --max-bars N         bars before an open trade expires (default 96)
+ *   --htf MODE           HTF filter mode: strict (default) | score | off
+ *   --json               print raw results as JSON instead of text reports
+ */
+
+const { loadKlinesFile, parseKlinesFileName } = require('../lib/kline-file');
+const { runBacktest, formatReport } = require('../lib/backtest');
+const { loadStrategyFile } = require('../lib/strategies');
+
+const HTF_FRAMES = ['1h', '4h'];
+
+function parseArgs(argv) {
+  const args = { files: [], strategies: [], json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--json') args.json = true;
+    else if (a === '--symbol') args.symbol = argv[++i];
+    else if (a === '--interval') args.interval = argv[++i];
+    else if (a === '--threshold') args.scoreThreshold = Number(argv[++i]);
+    else if (a === '--max-bars') args.maxBars = Number(argv[++i]);
+    else if (a === '--strategy') args.strategies.push(argv[++i]);
+    else if (a === '--htf') args.htfMode = argv[++i];
+    else if (a === '-h' || a === '--help') args.help = true;
+    else args.files.push(a);
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.files.length) {
+    console.log('Usage: node scripts/backtest.js <klines.csv|json> [...] [--symbol S] [--interval 15m] [--threshold N] [--strategy FILE] [--max-bars N] [--htf strict|score|off] [--json]');
+    process.exit(args.help ? 0 : 1);
+  }
+  const primary = args.interval || '15m';
+
+  let strategies = null;
+  if (args.strategies.length) {
+    try {
+      strategies = args.strategies.map(loadStrategyFile);
+    } catch (e) {
+      console.error(`Cannot load strategy: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
+  const series = [];
+  for (const file of args.files) {
+    const meta = parseKlinesFileName(file);
+    try {
+      series.push({
+        symbol: (args.symbol || meta.symbol).toUpperCase(),
+        interval: meta.interval || primary,
+        candles: loadKlinesFile(file),
+      });
+    } catch (e) {
+      console.error(`Cannot read ${file}: ${e.message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  // 1h/4h files of a symbol that also has a primary-timeframe file are used as HTF context for it
+  const hasPrimary = new Set(series.filter(s => s.interval === primary).map(s => s.symbol));
+  const isContext = s => HTF_FRAMES.includes(s.interval) && s.interval !== primary && hasPrimary.has(s.symbol);
+
+  const results = [];
+  for (const s of series) {
+    if (isContext(s)) continue;
+    const opts = { interval: s.interval };
+    if (args.scoreThreshold != null && !Number.isNaN(args.scoreThreshold)) opts.scoreThreshold = args.scoreThreshold;
+    if (args.maxBars) opts.maxBars = args.maxBars;
+    if (strategies) opts.strategies = strategies;
+    if (args.htfMode) opts.htfMode = args.htfMode;
+    const context = series.filter(c => c.symbol === s.symbol && isContext(c));
+    if (s.interval === primary && context.length) {
+      opts.htf = {};
+      for (const c of context) opts.htf[c.interval] = c.candles;
+    }
+    results.push(runBacktest(s.symbol, s.candles, opts));
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(results.map(({ openTrade, ...r }) => r), null, 2));
+    return;
+  }
+  console.log(results.map(r => formatReport(r, 'en')).join('\n\n'));
+}
+
+main();
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAlert, createAlert, checkAlert } = require('../lib/alerts');
+
+const MIN = 60 * 1000;
+const M15 = 15 * MIN;
+const T0 = Date.UTC(2026, 0, 1);
+
+// 1m bars from T0, each given as [low, high, close]
+function minutes(...ranges) {
+  return ranges.map(([low, high, c], i) => ({ t: T0 + i * MIN, open: c, high, low, close: c, vol: 1 }));
+}
+
+// 15m bars from T0 given as [open, high, low, close]
+function bars(...rows) {
+  return rows.map(([open, high, low, close], i) => ({ t: T0 + i * M15, open, high, low, close, vol: 1 }));
+}
+
+function priceRule(text, price) {
+  return createAlert(parseAlert(text), { chatId: 1, createdBy: 1, price, now: T0 });
+}
+
+test('parseAlert: price rules in every spelling, once by default', () => {
+  const above = { symbol: 'BTCUSDT', kind: 'price', op: '>', level: 70000, timeframe: null, dir: null, repeat: false };
+  assert.deepEqual(parseAlert('btcusdt > 70000'), above);
+  assert.deepEqual(parseAlert('BTCUSDT >70000'), above);
+  assert.deepEqual(parseAlert('BTCUSDT above 70000 repeat'), { ...above, repeat: true });
+  assert.deepEqual(parseAlert('BTCUSDT repeat <= 65000.5 once'), { ...above, op: '<', level: 65000.5 });
+  assert.deepEqual(parseAlert('BTCUSDT below 65000'), { ...above, op: '<', level: 65000 });
+});
+
+test('parseAlert: zone and BOS rules with timeframe and side', () => {
+  assert.deepEqual(parseAlert('ETHUSDT fvg 1h long repeat'), { symbol: 'ETHUSDT', kind: 'fvg', op: null, level: null, timeframe: '1h', dir: 'LONG', repeat: true });
+  assert.deepEqual(parseAlert('SOLUSDT bos'), { symbol: 'SOLUSDT', kind: 'bos', op: null, level: null, timeframe: '15m', dir: null, repeat: false });
+  assert.equal(parseAlert('SOLUSDT OB 4h bearish').dir, 'SHORT');
+});
+
+test('parseAlert: malformed rules throw BAD_ALERT', () => {
+  for (const text of ['', '> 70000', 'BTCUSDT > abc', 'BTCUSDT > -5', 'BTCUSDT > 1 2', 'BTCUSDT', 'BTCUSDT price', 'BTCUSDT vwap', 'BTCUSDT fvg sideways']) {
+    assert.throws(() => parseAlert(text), err => err.code === 'BAD_ALERT', text);
+  }
+});
+
+test('createAlert: a price rule set beyond its level starts disarmed', () => {
+  assert.deepEqual(priceRule('BTCUSDT > 100', 99).state, { armed: true });
+  assert.deepEqual(priceRule('BTCUSDT > 100', 100).state, { armed: false });
+  assert.deepEqual(priceRule('BTCUSDT < 100', 101).state, { armed: true });
+  assert.deepEqual(createAlert(parseAlert('BTCUSDT bos'), { chatId: 1, createdBy: 2, price: 100 }).state, {});
+});
+
+test('checkAlert price: a disarmed rule waits for price to come back, then fires on the next cross', () => {
+  const rule = priceRule('BTCUSDT > 100', 101);
+  let step = checkAlert(rule, minutes([100.5, 102, 101]), rule.state);
+  assert.equal(step.hit, false, 'still beyond the level it was set at');
+  step = checkAlert(rule, minutes([100.5, 102, 101], [98, 101, 99]), step.state);
+  assert.equal(step.hit, false);
+  assert.equal(step.state.armed, true, 'back below the level');
+  step = checkAlert(rule, minutes([100.5, 102, 101], [98, 101, 99], [98.5, 100.2, 99.5]), step.state);
+  assert.equal(step.hit, true, 'wicked through the level');
+  assert.deepEqual(step.info, { price: 99.5, level: 100 });
+  assert.deepEqual(step.state, { armed: false, lastBarT: T0 + 2 * MIN, lastExtreme: 100.2 });
+});
+
+test('checkAlert price: after a hit a repeating rule fires again only after re-arming', () => {
+  const rule = priceRule('BTCUSDT < 50', 55);
+  const seen = [];
+  let state = rule.state;
+  const path = [[49, 52, 51], [49.5, 51, 50.5], [50.5, 53, 52], [48, 51, 49]];
+  for (let k = 1; k <= path.length; k++) {
+    const step = checkAlert(rule, minutes(...path.slice(0, k)), state);
+    seen.push(step.hit);
+    state = step.state;
+  }
+  // the second bar dips again while still disarmed and closes back above: re-armed, but its old wick
+  // does not fire when it is read again on the next check
+  assert.deepEqual(seen, [true, false, false, true]);
+});
+
+test('checkAlert price: the forming bar read again fires once it makes a new extreme past the level', () => {
+  const rule = priceRule('BTCUSDT > 100', 99);
+  let step = checkAlert(rule, minutes([98, 100.5, 99.5]), rule.state);
+  assert.equal(step.hit, true);
+  step = checkAlert(rule, minutes([98, 100.5, 99.8]), step.state);
+  assert.deepEqual([step.hit, step.state.armed], [false, true]);
+  assert.equal(checkAlert(rule, minutes([98, 100.5, 99.9]), step.state).hit, false, 'same wick');
+  assert.equal(checkAlert(rule, minutes([98, 100.7, 100.6]), step.state).hit, true, 'a new high');
+});
+
+test('checkAlert price: bars from before the rule was set do not count', () => {
+  const rule = { ...priceRule('BTCUSDT > 100', 95), createdAt: T0 + 10 * MIN };
+  assert.equal(checkAlert(rule, minutes([95, 101, 96], [95, 97, 96]), rule.state).hit, false);
+});
+
+test('checkAlert bos: every closed bar is judged once, and only in the rule direction', () => {
+  const rows = Array.from({ length: 20 }, () => [100, 101, 99, 100]);
+  const candles = bars(...rows, [100, 103, 100, 102.5]);
+  const rule = createAlert(parseAlert('BTCUSDT bos'), { chatId: 1, createdBy: 1, now: T0 });
+  const first = checkAlert(rule, candles, rule.state);
+  assert.equal(first.hit, true);
+  assert.deepEqual(first.info, { price: 102.5, level: 101, dir: 'LONG' });
+  assert.equal(checkAlert(rule, candles, first.state).hit, false, 'same bar again');
+  assert.equal(checkAlert({ ...rule, dir: 'SHORT' }, candles, {}).hit, false);
+  assert.equal(checkAlert({ ...rule, createdAt: T0 + 30 * M15 }, candles, {}).hit, false, 'closed before the rule existed');
+});
+
+test('checkAlert fvg: fires when a closed bar enters an unfilled gap, not while it stays inside', () => {
+  // displacement 103.8 -> 107 leaves FVG_UP 104-106 (bar 2 high to bar 4 low), then price comes back into it
+  const candles = bars([102, 103, 101.5, 102.5], [102.5, 103.2, 102, 103], [103, 104, 102.8, 103.8], [103.8, 107.5, 103, 107],
+    [107, 108.5, 106, 108], [108, 109, 107.5, 108.5], [108.5, 109.5, 108, 109], [109, 109.2, 105, 105.5], [105.5, 106, 104.5, 105]);
+  const rule = createAlert(parseAlert('BTCUSDT fvg'), { chatId: 1, createdBy: 1, now: T0 });
+  const hit = checkAlert(rule, candles.slice(0, 8), {});
+  assert.equal(hit.hit, true);
+  assert.deepEqual(hit.info, { price: 105.5, low: 104, high: 106, dir: 'LONG' });
+  assert.equal(checkAlert(rule, candles, {}).hit, false, 'the bar before was already inside');
+  assert.equal(checkAlert({ ...rule, dir: 'SHORT' }, candles.slice(0, 8), {}).hit, false);
+});
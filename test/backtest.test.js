@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runBacktest, runBacktestAsync, computeStats, formatReport } = require('../lib/backtest');
+const { parseStrategy } = require('../lib/strategies');
+
+const M15 = 15 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+// fires LONG on a fresh BOS up, 1% stop and 2% target, no HTF filter
+const BREAKOUT = parseStrategy({
+  name: 'breakout', minScore: 1, directions: 'long', conditions: [{ type: 'break', weight: 1, required: true }],
+  htf: { mode: 'off' }, stops: { sl: 'percent', slPct: 1, tp: 'percent', tpPct: [2] },
+});
+
+// 15m bars from T0, each given as [low, high, close]
+function bars(...ranges) {
+  return ranges.map(([low, high, c], i) => ({ t: T0 + i * M15, open: c, high, low, close: c, vol: 1 }));
+}
+
+// zigzag uptrend whose last bar (index 17, close 106) breaks the previous swing high
+function uptrend() {
+  const closes = [];
+  let p = 100;
+  for (let k = 0; k < 3; k++) {
+    for (let j = 0; j < 4; j++) closes.push(p += 1);
+    for (let j = 0; j < 3; j++) closes.push(p -= 1);
+  }
+  return closes.slice(0, 18).map(c => [c - 0.5, c + 0.3, c]);
+}
+
+// entry at 106 whose next bar touches both levels, re-entry at 105 hitting TP, re-entry at 107 going nowhere
+const CANDLES = bars(...uptrend(), [104, 109, 105.5], [104.5, 105.5, 105], [104.5, 107.5, 107],
+  [106.8, 107.2, 107], [106.8, 107.2, 107], [106.8, 107.2, 107], [106.8, 107.2, 107]);
+const OPTIONS = { strategies: [BREAKOUT], interval: '15m', warmup: 17, maxBars: 3 };
+
+test('backtest: SL first on a bar touching both, one position at a time, expiry after maxBars', () => {
+  const result = runBacktest('XUSDT', CANDLES, OPTIONS);
+  assert.deepEqual(result.trades.map(tr => [tr.entry, tr.sl, tr.tp, tr.outcome, tr.exit, tr.r, tr.bars]), [
+    [106, 104.94, 108.12, 'SL', 104.94, -1, 1],
+    [105, 103.95, 107.1, 'TP', 107.1, 2, 1],
+    [107, 105.93, 109.14, 'EXPIRED', 107, 0, 3],
+  ]);
+  // no trade opens on the bar that closed the previous one
+  assert.deepEqual(result.trades.map(tr => [(tr.entryTime - T0) / M15, (tr.exitTime - T0) / M15]), [[17, 18], [19, 20], [21, 24]]);
+  assert.ok(result.trades.every(tr => tr.strategy === 'breakout' && tr.dir === 'LONG'));
+  assert.equal(result.openTrade, null);
+  assert.deepEqual(result.strategies, ['breakout']);
+  assert.equal(result.bars, CANDLES.length);
+});
+
+test('backtest: no evaluation before warmup, a trade still open at the end is reported apart', () => {
+  assert.deepEqual(runBacktest('XUSDT', CANDLES.slice(0, 17), OPTIONS).trades, []);
+  const result = runBacktest('XUSDT', CANDLES.slice(0, 19), { ...OPTIONS, warmup: 18 });
+  assert.deepEqual(result.trades, []);
+  assert.equal(result.openTrade.entry, 105.5);
+});
+
+test('runBacktestAsync: same result as the synchronous replay', async () => {
+  assert.deepEqual(await runBacktestAsync('XUSDT', CANDLES, OPTIONS, { sliceMs: 0 }), runBacktest('XUSDT', CANDLES, OPTIONS));
+});
+
+test('computeStats: win rate, expectancy and peak-to-trough drawdown in R', () => {
+  const s = computeStats([{ r: 2, rr: 2 }, { r: -1, rr: 2 }, { r: -1, rr: 1 }, { r: 0, rr: 1, outcome: 'EXPIRED' }, { r: 3, rr: 3 }]);
+  assert.deepEqual(s, { trades: 5, wins: 2, losses: 2, expired: 1, winRate: 0.4, avgRR: 1.8, totalR: 3, expectancy: 0.6, maxDrawdown: 2 });
+  assert.deepEqual(computeStats([]), { trades: 0, wins: 0, losses: 0, expired: 0, winRate: 0, avgRR: 0, totalR: 0, expectancy: 0, maxDrawdown: 0 });
+});
+
+test('formatReport: localized lines, per-strategy breakdown only with several strategies', () => {
+  const result = runBacktest('XUSDT', CANDLES, OPTIONS);
+  const en = formatReport(result, 'en');
+  assert.match(en, /^🧪 Backtest XUSDT 15m\n/);
+  assert.match(en, /Range: 2024-01-01 → 2024-01-01 \(25 bars\)/);
+  assert.match(en, /HTF filter: off/);
+  assert.match(en, /Trades: 3 \(W:1 L:1 Exp:1\)/);
+  assert.match(en, /Win rate: 33\.3%/);
+  assert.match(en, /Total R: 1\.00/);
+  assert.doesNotMatch(en, /·/);
+  const vi = formatReport({ ...result, strategies: ['breakout', 'other'] }, 'vi');
+  assert.match(vi, /Lọc HTF: tắt/);
+  assert.match(vi, /Số lệnh: 3 \(Thắng:1 Thua:1 Hết hạn:1\)/);
+  assert.match(vi, /· breakout: 3 lệnh, tỷ lệ thắng 33\.3%, 1\.00 R/);
+  assert.match(vi, /· other: 0 lệnh, tỷ lệ thắng 0\.0%, 0\.00 R/);
+});
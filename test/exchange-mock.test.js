@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockExchange } = require('../lib/exchange/mock');
+
+const M15 = 15 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+// 15m bars after the open, each given as [low, high, close]
+function bars(...ranges) {
+  return ranges.map(([low, high, c], i) => ({ t: (i + 1) * M15, open: c, high, low, close: c, vol: 1 }));
+}
+
+function open(ex, extra = {}) {
+  return ex.openPosition({
+    id: 'p1', userId: 1, signalId: 's1', symbol: 'BTCUSDT', dir: 'LONG', qty: 2, entry: 100, sl: 95,
+    targets: [{ price: 105, fraction: 0.5 }, { price: 110, fraction: 0.5 }], at: 0, ...extra,
+  });
+}
+
+test('mock exchange: entry slips against the trader and pays the fee', async () => {
+  const { position, fills } = await open(createMockExchange({ feeRate: 0.001, slippage: 0.01 }));
+  assert.ok(close(position.entry, 101));
+  assert.ok(close(fills[0].fee, 101 * 2 * 0.001));
+  assert.ok(close(position.realized, -fills[0].fee));
+  const short = (await open(createMockExchange({ feeRate: 0, slippage: 0.01 }), { dir: 'SHORT', sl: 105, targets: [{ price: 90, fraction: 1 }] })).position;
+  assert.ok(close(short.entry, 99));
+});
+
+test('mock exchange: take-profits fill their fraction at the limit price, the last one closes the rest', async () => {
+  const ex = createMockExchange({ feeRate: 0, slippage: 0 });
+  const { position } = await open(ex);
+  const first = await ex.syncPosition(position, { candles: bars([99, 106, 105]), now: M15 * 2 });
+  assert.deepEqual(first.fills.map(f => [f.kind, f.price, f.qty]), [['TP1', 105, 1]]);
+  assert.equal(first.position.remaining, 1);
+  assert.equal(first.position.status, 'OPEN');
+  const second = await ex.syncPosition(first.position, { candles: bars([99, 106, 105], [104, 111, 110]), now: M15 * 3 });
+  assert.deepEqual(second.fills.map(f => [f.kind, f.qty]), [['TP2', 1]], 'bars up to syncedTo are not replayed');
+  assert.equal(second.position.status, 'CLOSED');
+  assert.equal(second.position.exitReason, 'TP');
+  assert.equal(second.position.realized, 5 + 10);
+});
+
+test('mock exchange: SL wins a bar that touches both, filled with slippage', async () => {
+  const ex = createMockExchange({ feeRate: 0, slippage: 0.01 });
+  const { position } = await open(ex);
+  const { position: pos, fills } = await ex.syncPosition(position, { candles: bars([94, 111, 100]), now: M15 * 2 });
+  assert.deepEqual(fills.map(f => f.kind), ['SL']);
+  assert.ok(close(fills[0].price, 95 * 0.99));
+  assert.equal(pos.exitReason, 'SL');
+});
+
+test('mock exchange: expiry closes the remainder at the last close inside the window', async () => {
+  const ex = createMockExchange({ feeRate: 0, slippage: 0 });
+  const { position } = await open(ex);
+  const candles = bars([99, 102, 101], [99, 103, 102], [99, 103, 103], [99, 103, 104], [99, 103, 104]);
+  const { position: pos, fills } = await ex.syncPosition(position, { candles, now: 2 * HOUR, expiresAt: HOUR });
+  assert.deepEqual(fills.map(f => [f.kind, f.price, f.at]), [['EXPIRED', 103, HOUR]]);
+  assert.equal(pos.exitReason, 'EXPIRED');
+});
+
+test('mock exchange: no expiry without bars reaching it, the missing ones may hold a fill', async () => {
+  const ex = createMockExchange({ feeRate: 0, slippage: 0 });
+  const { position } = await open(ex);
+  const none = await ex.syncPosition(position, { candles: [], now: 5 * HOUR, expiresAt: HOUR });
+  assert.deepEqual(none.fills, []);
+  assert.equal(none.position.status, 'OPEN');
+  const short = await ex.syncPosition(position, { candles: bars([99, 102, 101]), now: 5 * HOUR, expiresAt: HOUR });
+  assert.equal(short.position.status, 'OPEN');
+  assert.equal(short.position.syncedTo, M15);
+});
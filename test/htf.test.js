@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeTimeframe, alignment, applyHtfFilter, ema } = require('../lib/htf');
+
+const H4 = 4 * 60 * 60 * 1000;
+
+// hand-made timeframe analysis, the fields alignment() and the filter read
+function frame(trend, zone = 'PREMIUM', extra = {}) {
+  return { trend, zone, inSupply: false, inDemand: false, ...extra };
+}
+
+const LONG = { ok: true, symbol: 'BTCUSDT', dir: 'LONG', entry: 100, sl: 95, tp: 110, score: 5 };
+const UP = frame('UP');
+const DOWN = frame('DOWN');
+
+test('alignment: trend first, supply / demand and the range zone for the rest', () => {
+  assert.equal(alignment('LONG', UP), 'AGREE');
+  assert.equal(alignment('LONG', DOWN), 'AGAINST');
+  assert.equal(alignment('LONG', frame('UP', 'PREMIUM', { inSupply: true })), 'AGAINST');
+  assert.equal(alignment('LONG', frame('RANGE', 'DISCOUNT')), 'AGREE');
+  assert.equal(alignment('LONG', frame('RANGE', 'PREMIUM')), 'NEUTRAL');
+  assert.equal(alignment('SHORT', frame('RANGE', 'PREMIUM')), 'AGREE');
+  assert.equal(alignment('SHORT', frame('RANGE', 'DISCOUNT', { inDemand: true })), 'AGAINST');
+});
+
+test('applyHtfFilter strict: the 4h against drops the idea, a lower HTF against only costs the penalty', () => {
+  const dropped = applyHtfFilter(LONG, { '4h': DOWN, '1h': UP }, { mode: 'strict', penalty: 3, scoreThreshold: 2 });
+  assert.equal(dropped.ok, false);
+  assert.match(dropped.reason, /^Against 4h bias \(4h❌ DOWN\/PREMIUM \| 1h✅ UP\/PREMIUM\)$/);
+  const scored = applyHtfFilter(LONG, { '4h': UP, '1h': DOWN }, { mode: 'strict', penalty: 3, scoreThreshold: 2 });
+  assert.equal(scored.ok, true);
+  assert.equal(scored.score, 2);
+  assert.deepEqual([scored.htfAgreed, scored.htfAgainst], [['4h'], ['1h']]);
+  const below = applyHtfFilter(LONG, { '4h': UP, '1h': DOWN }, { mode: 'strict', penalty: 3, scoreThreshold: 3 });
+  assert.equal(below.ok, false);
+  assert.match(below.reason, /^HTF conflict 1h/);
+});
+
+test('applyHtfFilter score: never drops on the 4h alone, penalty per conflicting timeframe', () => {
+  const one = applyHtfFilter(LONG, { '4h': DOWN, '1h': UP }, { mode: 'score', penalty: 2, scoreThreshold: 2 });
+  assert.equal(one.ok, true);
+  assert.equal(one.score, 3);
+  const both = applyHtfFilter(LONG, { '4h': DOWN, '1h': DOWN }, { mode: 'score', penalty: 2, scoreThreshold: 2 });
+  assert.equal(both.ok, false);
+  assert.equal(both.score, 1);
+  assert.match(both.reason, /^HTF conflict 4h,1h/);
+});
+
+test('applyHtfFilter off: annotates without touching the score; no frames or failed ideas pass through', () => {
+  const off = applyHtfFilter(LONG, { '4h': DOWN, '1h': DOWN }, { mode: 'off' });
+  assert.equal(off.ok, true);
+  assert.equal(off.score, 5);
+  assert.deepEqual(off.htfAgainst, ['4h', '1h']);
+  assert.equal(applyHtfFilter(LONG, {}).htf, 'n/a');
+  const failed = { ok: false, reason: 'Not enough confluence', score: 1 };
+  assert.equal(applyHtfFilter(failed, { '4h': DOWN }), failed);
+  assert.equal(applyHtfFilter(LONG, { '4h': UP }, {}).score, 5, 'strict with nothing against keeps the score');
+});
+
+test('analyzeTimeframe: a steady climb is an UP trend above its EMA50 in premium', () => {
+  const candles = Array.from({ length: 80 }, (_, i) => ({ t: i * H4, open: 100 + i, high: 101 + i, low: 99.5 + i, close: 100.8 + i, vol: 1 }));
+  const a = analyzeTimeframe(candles);
+  assert.equal(a.trend, 'UP');
+  assert.equal(a.lastBOS.type, 'BOS_UP');
+  assert.ok(a.price > a.ema50);
+  assert.equal(a.zone, 'PREMIUM');
+  assert.equal(analyzeTimeframe(candles.slice(0, 20)), null, 'too few bars');
+  assert.equal(ema([1, 2, 3], 5), null);
+  assert.equal(ema([2, 2, 2, 2], 2), 2);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { atr, swingPoints, structureStop, structureTargets, planTrade, positionSize } = require('../lib/levels');
+
+const M15 = 15 * 60 * 1000;
+
+// 45 flat bars around 100 (range 1, so ATR 1) with the given bars' high / low pushed out
+function market({ highs = {}, lows = {} } = {}) {
+  return Array.from({ length: 45 }, (_, i) => ({
+    t: i * M15, open: 100, close: 100, vol: 1, high: highs[i] ?? 100.5, low: lows[i] ?? 99.5,
+  }));
+}
+
+// swing highs at 103, 104 and 107 above, a swing low at 98.5 below
+const CANDLES = market({ highs: { 10: 104, 16: 103, 22: 107 }, lows: { 28: 98.5 } });
+
+test('swingPoints / atr: fractal extremes only, ATR over the last 14 bars', () => {
+  const { highs, lows } = swingPoints(CANDLES);
+  assert.deepEqual(highs.map(h => [h.i, h.price]), [[10, 104], [16, 103], [22, 107]]);
+  assert.deepEqual(lows.map(l => [l.i, l.price]), [[28, 98.5]]);
+  assert.equal(atr(CANDLES), 1);
+});
+
+test('structureStop: nearest protective level beyond the ATR buffer, too-close ones skipped', () => {
+  const ob = { bullish: { low: 99, high: 100 } };
+  assert.deepEqual(structureStop('LONG', 100, CANDLES, { ob }), { sl: 98.75, src: 'OB', atr: 1 });
+  assert.deepEqual(structureStop('LONG', 100, CANDLES, {}), { sl: 98.25, src: 'Swing', atr: 1 });
+  // an order block 0.45 ATR away is noise, the swing below it is used
+  assert.equal(structureStop('LONG', 100, CANDLES, { ob: { bullish: { low: 99.8, high: 100 } } }).src, 'Swing');
+  // no swing high above a SHORT entry: 1.5 ATR
+  assert.deepEqual(structureStop('SHORT', 108, CANDLES, {}), { sl: 109.5, src: 'ATR', atr: 1 });
+});
+
+test('structureTargets: liquidity above at least 1R away, nearest first', () => {
+  assert.deepEqual(structureTargets('LONG', 100, 98, CANDLES).map(tp => [tp.price, tp.src]), [[103, 'Liquidity'], [104, 'Liquidity'], [107, 'Liquidity']]);
+  // risk 3.5: 103 is under 1R, the ladder continues at the next whole R after the last level (107 = 2R)
+  assert.deepEqual(structureTargets('LONG', 100, 96.5, CANDLES).map(tp => [tp.price, tp.src]), [[104, 'Liquidity'], [107, 'Liquidity'], [110.5, 'R']]);
+  // no liquidity at all: 2R, 3R, 4R
+  assert.deepEqual(structureTargets('LONG', 100, 99, market()).map(tp => [tp.price, tp.src]), [[102, 'R'], [103, 'R'], [104, 'R']]);
+});
+
+test('structureTargets: levels within a quarter R are one pool', () => {
+  const candles = market({ highs: { 10: 104, 16: 103.3, 22: 103 } });
+  assert.deepEqual(structureTargets('LONG', 100, 98, candles).map(tp => tp.price), [103, 104, 106]);
+});
+
+test('planTrade: fixed % / R rules, sorted ladder and RR per target', () => {
+  const pct = planTrade('SHORT', 200, CANDLES, {}, { sl: 'percent', slPct: 2, tp: 'percent', tpPct: [1, 3] });
+  assert.deepEqual([pct.sl, pct.slSource, pct.tps, pct.tpSources, pct.rrs], [204, 'Pct', [198, 194], ['Pct', 'Pct'], ['0.50', '1.50']]);
+  const rr = planTrade('LONG', 100, CANDLES, {}, { sl: 'atr', slAtr: 2, tp: 'rr', rr: [1, 2.5] });
+  assert.deepEqual([rr.sl, rr.slSource, rr.tps, rr.rrs], [98, 'ATR', [102, 105], ['1.00', '2.50']]);
+  const structure = planTrade('LONG', 100, CANDLES);
+  assert.deepEqual([structure.sl, structure.slSource, structure.tps], [98.25, 'Swing', [103, 104, 107]]);
+});
+
+test('positionSize: risk amount over the stop distance, null without a usable profile', () => {
+  const size = positionSize({ entry: 100, sl: 98 }, { account: 1000, riskPct: 1 });
+  assert.deepEqual(size, { qty: 5, notional: 500, riskAmount: 10, leverage: 0.5 });
+  assert.equal(positionSize({ entry: 100, sl: 104 }, { account: 2000, riskPct: 2 }).qty, 10);
+  assert.equal(positionSize({ entry: 100, sl: 100 }, { account: 1000, riskPct: 1 }), null);
+  assert.equal(positionSize({ entry: 100, sl: 98 }, { account: 0, riskPct: 1 }), null);
+  assert.equal(positionSize({ entry: 100, sl: 98 }, null), null);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileProvider, toTicker } = require('../lib/market/file');
+
+test('toTicker: Binance 24hr, Bybit v5 and plain rows', () => {
+  assert.deepEqual(
+    toTicker({ symbol: 'btcusdt', lastPrice: '60000.0', quoteVolume: '1000', priceChangePercent: '-1.5', lastFundingRate: '0.0001' }),
+    { symbol: 'BTCUSDT', price: 60000, quoteVolume: 1000, changePct: -1.5, fundingRate: 0.0001, openInterest: null },
+  );
+  assert.deepEqual(
+    toTicker({ symbol: 'ETHUSDT', lastPrice: '3000', turnover24h: '2000', price24hPcnt: '0.025', fundingRate: '', openInterestValue: '5000' }),
+    { symbol: 'ETHUSDT', price: 3000, quoteVolume: 2000, changePct: 2.5, fundingRate: null, openInterest: 5000 },
+  );
+  assert.deepEqual(
+    toTicker({ symbol: 'SOLUSDT', price: 150, quoteVolume: 3000, changePct: 4, fundingRate: 0.0003, openInterest: 7000 }),
+    { symbol: 'SOLUSDT', price: 150, quoteVolume: 3000, changePct: 4, fundingRate: 0.0003, openInterest: 7000 },
+  );
+});
+
+test('toTicker: a row without a symbol gets an empty one and the fixture drops it', async () => {
+  assert.equal(toTicker({ lastPrice: '1', quoteVolume: '5' }).symbol, '');
+  const raw = require('./fixtures/tickers.json');
+  const tickers = await createFileProvider({ dir: path.join(__dirname, 'fixtures') }).fetchTickers();
+  assert.equal(tickers.length, raw.length - 1);
+  assert.ok(tickers.every(t => t.symbol && t.symbol !== 'UNDEFINED'));
+});
+
+test('file provider: tickers.json as a whole Bybit response, and it is not listed as a symbol', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'klines-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'BTCUSDT_1h.json'), JSON.stringify([{ t: 0, open: 1, high: 2, low: 0.5, close: 1.5, vol: 10 }]));
+    fs.writeFileSync(path.join(dir, 'tickers.json'), JSON.stringify({
+      retCode: 0, result: { list: [{ symbol: 'BTCUSDT', lastPrice: '60000', turnover24h: '9000', price24hPcnt: '0.01' }] },
+    }));
+    const p = createFileProvider({ dir });
+    assert.deepEqual([...(await p.listSymbols())], ['BTCUSDT']);
+    const [btc] = await p.fetchTickers();
+    assert.equal(btc.quoteVolume, 9000);
+    assert.equal(btc.changePct, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('file provider: no tickers.json is an error', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'klines-'));
+  try {
+    await assert.rejects(createFileProvider({ dir }).fetchTickers(), /no tickers\.json/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
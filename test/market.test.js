@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMarket } = require('../lib/market');
+
+// provider listing `symbols` whose klines carry its name, so a test sees which market answered
+function fakeProvider(name, symbols) {
+  return {
+    name,
+    maxLimit: 1000,
+    calls: 0,
+    async listSymbols() { return new Set(symbols); },
+    async fetchKlines(symbol, interval, { limit }) {
+      this.calls++;
+      return Array.from({ length: limit }, (_, i) => ({ t: i, open: 1, high: 1, low: 1, close: 1, vol: 1, from: name, symbol }));
+    },
+  };
+}
+
+test('getProviderKlines: reads the named market even when routing would pick another one', async () => {
+  const providers = { spot: fakeProvider('spot', ['BTCUSDT']), futures: fakeProvider('futures', ['BTCUSDT']) };
+  const market = createMarket({ providers, autoOrder: ['spot', 'futures'] });
+  assert.equal((await market.getKlines('BTCUSDT', '1h', 5))[0].from, 'spot');
+  const bars = await market.getProviderKlines('futures', 'btcusdt', '1h', 5);
+  assert.equal(bars[0].from, 'futures');
+  assert.equal(bars[0].symbol, 'BTCUSDT');
+  await market.getProviderKlines('futures', 'BTCUSDT', '1h', 5);
+  assert.equal(providers.futures.calls, 1, 'served from the cache within the bar');
+  await assert.rejects(market.getProviderKlines('nope', 'BTCUSDT', '1h', 5), /no provider "nope"/);
+});
+
+test('resolve: a fixed provider answers only for the symbols it lists', async () => {
+  const providers = { spot: fakeProvider('spot', ['BTCUSDT']), futures: fakeProvider('futures', ['BTCUSDT', 'PEPEUSDT']) };
+  const market = createMarket({ providers, autoOrder: ['spot', 'futures'], defaultProvider: 'spot', routes: { PEPEUSDT: { provider: 'futures', remote: 'PEPEUSDT' } } });
+  assert.equal((await market.resolve('btcusdt')).provider, 'spot');
+  assert.equal(await market.resolve('NOPEUSDT'), null);
+  await assert.rejects(market.getKlines('NOPEUSDT', '15m', 5), err => err.code === 'UNKNOWN_SYMBOL');
+  assert.equal((await market.resolve('PEPEUSDT')).provider, 'futures', 'explicit routes still win');
+});
+
+test('resolve: when the listing cannot be read the fixed provider is used unverified', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const down = { ...fakeProvider('spot', []), async listSymbols() { throw new Error('offline'); } };
+  const market = createMarket({ providers: { spot: down }, autoOrder: ['spot'], defaultProvider: 'spot' });
+  assert.deepEqual(await market.resolve('BTCUSDT'), { provider: 'spot', remote: 'BTCUSDT' });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSendQueue } = require('../lib/notify/queue');
+
+const T0 = Date.UTC(2026, 0, 1);
+
+// a queue on a fake clock from T0: `advance` moves both the injected now() and the mocked timers, `sent` logs
+// "<target>:<message>@<ms since T0>" per send call; `fail(target, message, attempt)` may return an error to throw
+function setup(t, opts = {}, fail = () => null) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  t.mock.method(console, 'warn', () => {});
+  let clock = T0;
+  const sent = [];
+  const queue = createSendQueue({
+    name: 'test', now: () => clock, ...opts,
+    async send(target, message, state) {
+      state.attempt = (state.attempt || 0) + 1;
+      sent.push(`${target}:${message}@${clock - T0}`);
+      const err = fail(target, message, state.attempt);
+      if (err) throw err;
+    },
+  });
+  const flush = async () => { for (let k = 0; k < 5; k++) await new Promise(resolve => setImmediate(resolve)); };
+  const advance = async (ms) => { clock += ms; t.mock.timers.tick(ms); await flush(); };
+  t.after(() => queue.stop());
+  return { queue, sent, flush, advance };
+}
+
+function error(message, extra = {}) {
+  return Object.assign(new Error(message), extra);
+}
+
+test('send queue: one message per target within its gap, other targets go meanwhile', async (t) => {
+  const { queue, sent, flush, advance } = setup(t, { perTargetMs: target => (target === 'slow' ? 1000 : 0) });
+  const done = [queue.push('slow', 1), queue.push('slow', 2), queue.push('fast', 1), queue.push('fast', 2)];
+  await flush();
+  assert.deepEqual(sent, ['slow:1@0', 'fast:1@0', 'fast:2@0']);
+  await advance(999);
+  assert.equal(sent.length, 3);
+  await advance(1);
+  assert.deepEqual(sent.slice(3), ['slow:2@1000']);
+  assert.deepEqual((await Promise.all(done)).map(r => r.ok), [true, true, true, true]);
+  assert.deepEqual(queue.stats(), { sent: 4, failed: 0, retried: 0, pending: 0, inFlight: 0 });
+});
+
+test('send queue: the per-second budget spaces out sends across targets', async (t) => {
+  const { queue, sent, flush, advance } = setup(t, { perSecond: 2 });
+  for (const target of ['a', 'b', 'c', 'd']) queue.push(target, 'x');
+  await flush();
+  assert.deepEqual(sent, ['a:x@0', 'b:x@0']);
+  await advance(500);
+  assert.deepEqual(sent.slice(2), ['c:x@500']);
+  await advance(500);
+  assert.deepEqual(sent.slice(3), ['d:x@1000']);
+});
+
+test('send queue: failures retried with exponential backoff, the job state kept between attempts', async (t) => {
+  const { queue, sent, flush, advance } = setup(t, { baseDelayMs: 2000 }, (target, message, attempt) => (attempt < 3 ? error('503') : null));
+  const result = queue.push('a', 'hi');
+  await flush();
+  await advance(1999);
+  assert.deepEqual(sent, ['a:hi@0']);
+  await advance(1);
+  await advance(4000);
+  assert.deepEqual(sent, ['a:hi@0', 'a:hi@2000', 'a:hi@6000']);
+  assert.deepEqual(await result, { ok: true, attempts: 3 });
+  assert.equal(queue.stats().retried, 2);
+});
+
+test('send queue: gives up after maxAttempts, a per-push maxAttempts of 1 never retries', async (t) => {
+  const { queue, flush, advance } = setup(t, { maxAttempts: 2, baseDelayMs: 100 }, () => error('down'));
+  const twice = queue.push('a', 1);
+  const once = queue.push('b', 1, { maxAttempts: 1 });
+  await flush();
+  await advance(100);
+  const [a, b] = await Promise.all([twice, once]);
+  assert.deepEqual([a.ok, a.attempts, a.error.message], [false, 2, 'down']);
+  assert.deepEqual([b.ok, b.attempts], [false, 1]);
+  assert.deepEqual(queue.stats(), { sent: 0, failed: 2, retried: 1, pending: 0, inFlight: 0 });
+});
+
+test('send queue: permanent errors fail at once', async (t) => {
+  const { queue } = setup(t, {}, () => error('blocked', { permanent: true }));
+  const result = await queue.push('a', 1);
+  assert.deepEqual([result.ok, result.attempts], [false, 1]);
+});
+
+test('send queue: a 429 waits its retryAfter; a global one pauses every target', async (t) => {
+  const { queue, sent, flush, advance } = setup(t, { baseDelayMs: 10 }, (target, message, attempt) => (target === 'a' && attempt === 1 ? error('429', { retryAfter: 3000, global: true }) : null));
+  const first = queue.push('a', 1);
+  await flush();
+  queue.push('b', 1);
+  await flush();
+  assert.deepEqual(sent, ['a:1@0']);
+  await advance(2999);
+  assert.equal(sent.length, 1);
+  await advance(1);
+  assert.deepEqual(sent, ['a:1@0', 'a:1@3000', 'b:1@3000']);
+  assert.equal((await first).attempts, 2);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const { normalizeTarget, signPayload, verifySignature } = require('../lib/notify');
+const { isPrivateAddress, assertPublicUrl, createWebhookChannel } = require('../lib/notify/webhook');
+
+test('isPrivateAddress: loopback, private, CGNAT, link-local, multicast and mapped forms', () => {
+  for (const ip of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '100.64.0.1', '169.254.169.254',
+    '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', 'nonsense']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '172.32.0.1', '93.184.216.34', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('normalizeTarget: per-channel checks, local hosts and private IP literals refused', () => {
+  assert.equal(normalizeTarget('telegram', ' -100123 '), '-100123');
+  assert.equal(normalizeTarget('telegram', '@chan'), null);
+  assert.equal(normalizeTarget('email', 'Ops@Example.com'), 'ops@example.com');
+  assert.equal(normalizeTarget('email', 'not-an-address'), null);
+  assert.equal(normalizeTarget('webhook', 'https://hooks.example.com/x?a=1'), 'https://hooks.example.com/x?a=1');
+  for (const url of ['ftp://example.com/x', 'not a url', 'http://localhost:8080/', 'http://metadata.google.internal/', 'http://printer.local/',
+    'http://127.0.0.1/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[::ffff:10.0.0.1]/']) {
+    assert.equal(normalizeTarget('webhook', url), null, url);
+  }
+});
+
+test('signPayload / verifySignature: HMAC over "<timestamp>.<body>", stale or altered requests fail', () => {
+  const body = JSON.stringify({ event: 'signal' });
+  const sig = signPayload('s3cret', '1700000000000', body);
+  assert.match(sig, /^sha256=[0-9a-f]{64}$/);
+  assert.equal(verifySignature('s3cret', '1700000000000', body, sig, { now: 1700000060000 }), true);
+  assert.equal(verifySignature('s3cret', '1700000000000', body + ' ', sig, { now: 1700000060000 }), false);
+  assert.equal(verifySignature('other', '1700000000000', body, sig, { now: 1700000060000 }), false);
+  assert.equal(verifySignature('s3cret', '1700000000000', body, sig, { now: 1700000000000 + 10 * 60 * 1000 }), false);
+  assert.equal(verifySignature('s3cret', '1700000000000', body, 'sha256=short', { now: 1700000000000 }), false);
+});
+
+test('webhook channel: a host that resolves public at the check and private at connect (DNS rebinding) is refused', async (t) => {
+  let hits = 0;
+  const server = http.createServer((req, res) => { hits++; res.end('ok'); });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  // first lookup public, every later one 127.0.0.1
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+  t.mock.method(dns, 'lookup', (host, options, cb) => (options.all ? cb(null, [{ address: '127.0.0.1', family: 4 }]) : cb(null, '127.0.0.1', 4)));
+  try {
+    const url = `http://rebind.example.com:${port}/hook`;
+    await assertPublicUrl(url);
+    const ch = createWebhookChannel();
+    await assert.rejects(ch.send(url, ch.format({ kind: 'message', text: 'hi' }, {})), err => err.code === 'BLOCKED_TARGET' && err.permanent === true);
+    assert.equal(hits, 0);
+  } finally {
+    server.close();
+  }
+});
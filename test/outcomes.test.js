@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateSignal, realizedR, summarizeOutcomes } = require('../lib/outcomes');
+
+const M15 = 15 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+const LONG = { id: 'l', symbol: 'BTCUSDT', dir: 'LONG', entry: 100, sl: 95, tp: 110, openedAt: 0 };
+const SHORT = { ...LONG, id: 's', dir: 'SHORT', sl: 105, tp: 90 };
+
+// 15m bars from the signal on, each given as [low, high, close]
+function bars(...ranges) {
+  return ranges.map(([low, high, close], i) => ({ t: (i + 1) * M15, open: close, high, low, close, vol: 1 }));
+}
+
+test('evaluateSignal: first bar touching TP or SL closes the signal', () => {
+  const tp = evaluateSignal(LONG, bars([99, 102, 101], [100, 111, 109]), { expiryMs: HOUR, now: HOUR });
+  assert.deepEqual([tp.status, tp.exit, tp.r, tp.closedAt], ['TP', 110, 2, 2 * M15]);
+  const sl = evaluateSignal(SHORT, bars([99, 106, 104]), { expiryMs: HOUR, now: HOUR });
+  assert.deepEqual([sl.status, sl.exit, sl.r], ['SL', 105, -1]);
+});
+
+test('evaluateSignal: SL wins when one bar touches both levels', () => {
+  const c = evaluateSignal(LONG, bars([94, 111, 100]), { expiryMs: HOUR, now: HOUR });
+  assert.equal(c.status, 'SL');
+  assert.equal(c.r, -1);
+});
+
+test('evaluateSignal: expires at the last close inside the window once a bar past expiry is in hand', () => {
+  const candles = bars([99, 102, 101], [99, 103, 102], [99, 103, 102.5], [99, 103, 103], [99, 103, 103]);
+  const c = evaluateSignal(LONG, candles, { expiryMs: HOUR, now: 2 * HOUR });
+  assert.deepEqual([c.status, c.exit, c.r, c.closedAt], ['EXPIRED', 102.5, 0.5, HOUR]);
+  assert.equal(evaluateSignal(LONG, candles, { expiryMs: HOUR, now: HOUR - 1 }), null, 'not before the expiry');
+});
+
+test('evaluateSignal: a failed or short fetch past expiry leaves the signal open instead of expiring it at entry', () => {
+  assert.equal(evaluateSignal(LONG, [], { expiryMs: HOUR, now: 5 * HOUR }), null);
+  // bars stop before the expiry: the TP hit could be in the missing ones
+  assert.equal(evaluateSignal(LONG, bars([99, 102, 101], [99, 103, 102]), { expiryMs: HOUR, now: 5 * HOUR }), null);
+  // the retry with the full history finds it
+  const full = evaluateSignal(LONG, bars([99, 102, 101], [99, 103, 102], [100, 111, 110], [99, 103, 103], [99, 103, 103]), { expiryMs: HOUR, now: 5 * HOUR });
+  assert.equal(full.status, 'TP');
+});
+
+test('realizedR and summarizeOutcomes: UNTRACKED counts neither as open nor closed', () => {
+  assert.equal(realizedR(SHORT, 95), 1);
+  assert.equal(realizedR({ ...LONG, sl: 100 }, 120), 0);
+  const sum = summarizeOutcomes([
+    { status: 'TP', r: 2 }, { status: 'SL', r: -1 }, { status: 'EXPIRED', r: 0 }, { status: 'OPEN' }, { status: 'UNTRACKED', r: 0 },
+  ]);
+  assert.deepEqual(sum, { closed: 3, open: 1, tp: 1, sl: 1, expired: 1, wins: 1, losses: 1, winRate: 1 / 3, totalR: 1 });
+});
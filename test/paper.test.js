@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSplit, splitTargets, paperQty, unrealizedPnl, maxDrawdown, summarizePaper, sparkline } = require('../lib/paper');
+const { createMockExchange } = require('../lib/exchange/mock');
+
+const M15 = 15 * 60 * 1000;
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+const IDEA = { symbol: 'BTCUSDT', dir: 'LONG', entry: 100, sl: 95, tp: 105, tps: [105, 110, 115] };
+
+// 15m bars after the open, each given as [low, high, close]
+function bars(...ranges) {
+  return ranges.map(([low, high, c], i) => ({ t: (i + 1) * M15, open: c, high, low, close: c, vol: 1 }));
+}
+
+// what the bot does on a delivered idea: size it on the balance, split the targets, open on the exchange
+function follow(ex, balance, { split, riskPct = 1 } = {}) {
+  return ex.openPosition({
+    id: 'p1', userId: 1, signalId: 's1', symbol: IDEA.symbol, dir: IDEA.dir, qty: paperQty(IDEA, balance, riskPct),
+    entry: IDEA.entry, sl: IDEA.sl, targets: splitTargets(IDEA, split), at: 0,
+  });
+}
+
+test('parseSplit / splitTargets: weights normalized to fractions, extra targets dropped', () => {
+  assert.deepEqual(parseSplit('50, 30,20'), [50, 30, 20]);
+  assert.equal(parseSplit('abc'), null);
+  assert.equal(parseSplit(''), null);
+  assert.deepEqual(splitTargets(IDEA), [{ price: 105, fraction: 0.5 }, { price: 110, fraction: 0.3 }, { price: 115, fraction: 0.2 }]);
+  assert.deepEqual(splitTargets(IDEA, [1, 1]), [{ price: 105, fraction: 0.5 }, { price: 110, fraction: 0.5 }]);
+  assert.deepEqual(splitTargets({ ...IDEA, tps: undefined }, [60, 40]), [{ price: 105, fraction: 1 }]);
+});
+
+test('paperQty: risk share of the balance over the stop distance', () => {
+  assert.equal(paperQty(IDEA, 1000, 1), 2);
+  assert.equal(paperQty(IDEA, 0, 1), null);
+  assert.equal(paperQty({ ...IDEA, sl: 100 }, 1000, 1), null);
+});
+
+test('paper trade: partial take-profits by the split, the last target closes the rest', async () => {
+  const ex = createMockExchange({ feeRate: 0, slippage: 0 });
+  const { position } = await follow(ex, 1000);
+  const { position: pos, fills } = await ex.syncPosition(position, { candles: bars([99, 106, 105], [104, 111, 110], [109, 116, 115]), now: 4 * M15 });
+  assert.deepEqual(fills.map(f => f.kind), ['TP1', 'TP2', 'TP3']);
+  assert.ok(close(fills[0].qty, 1) && close(fills[1].qty, 0.6) && close(fills[2].qty, 0.4));
+  assert.equal(pos.remaining, 0);
+  assert.equal(pos.exitReason, 'TP');
+  assert.ok(close(pos.realized, 5 * 1 + 10 * 0.6 + 15 * 0.4));
+});
+
+test('paper trade: fees and slippage come out of every fill, the balance moves by their cash', async () => {
+  const ex = createMockExchange({ feeRate: 0.001, slippage: 0.01 });
+  const account = { enabled: true, startBalance: 1000, balance: 1000, since: 0 };
+  const opened = await follow(ex, account.balance);
+  const { position, fills } = await ex.syncPosition(opened.position, { candles: bars([99, 106, 105], [94, 100, 95]), now: 3 * M15 });
+  const all = [...opened.fills, ...fills];
+  assert.deepEqual(all.map(f => [f.kind, +f.price.toFixed(4), +f.qty.toFixed(4)]), [['ENTRY', 101, 2], ['TP1', 105, 1], ['SL', 94.05, 1]]);
+  const fees = 101 * 2 * 0.001 + 105 * 0.001 + 94.05 * 0.001;
+  assert.ok(close(position.fees, fees));
+  assert.ok(close(position.realized, (105 - 101) + (94.05 - 101) - fees));
+  account.balance += all.reduce((sum, f) => sum + f.cash, 0);
+  assert.ok(close(account.balance, 1000 + position.realized));
+
+  const s = summarizePaper(account, [position], [{ equity: 1000 }, { equity: 1003.6 }, { equity: account.balance }]);
+  assert.deepEqual([s.closed, s.open, s.wins, s.losses, s.winRate], [1, 0, 0, 1, 0]);
+  assert.ok(close(s.pnl, position.realized));
+  assert.ok(close(s.fees, fees));
+  assert.ok(close(s.maxDrawdown, (1003.6 - account.balance) / 1003.6));
+});
+
+test('paper trade: expiry closes the remainder at the last mark, slipped, and counts as closed', async () => {
+  const ex = createMockExchange({ feeRate: 0, slippage: 0.01 });
+  const { position } = await follow(ex, 1000, { split: [100] });
+  const { position: pos, fills } = await ex.syncPosition(position, { candles: bars([99, 103, 102], [100, 103, 103]), now: 3 * M15, expiresAt: 2 * M15 });
+  assert.deepEqual(fills.map(f => [f.kind, +f.price.toFixed(4), f.at]), [['EXPIRED', 100.98, 2 * M15]]);
+  assert.equal(pos.status, 'CLOSED');
+  assert.ok(close(pos.realized, (100.98 - 101) * 2));
+});
+
+test('unrealizedPnl / summarizePaper: open positions marked to market, closed ones counted by their sign', () => {
+  const open = { status: 'OPEN', dir: 'SHORT', entry: 100, remaining: 2, mark: 97, fees: 0.1 };
+  assert.equal(unrealizedPnl(open, 97), 6);
+  assert.equal(unrealizedPnl({ ...open, status: 'CLOSED' }, 97), 0);
+  assert.equal(unrealizedPnl(open, null), 0);
+  const won = { status: 'CLOSED', realized: 12, fees: 0.3 };
+  const s = summarizePaper({ startBalance: 1000, balance: 1012 }, [won, open]);
+  assert.deepEqual(s, {
+    startBalance: 1000, balance: 1012, pnl: 12, returnPct: s.returnPct, fees: s.fees,
+    closed: 1, open: 1, unrealized: 6, wins: 1, losses: 0, winRate: 1, maxDrawdown: 0,
+  });
+  assert.ok(close(s.returnPct, 1.2));
+  assert.ok(close(s.fees, 0.4));
+});
+
+test('maxDrawdown / sparkline: fraction of the peak, one block per point', () => {
+  assert.equal(maxDrawdown([{ equity: 100 }, { equity: 120 }, { equity: 90 }, { equity: 130 }, { equity: 117 }]), 0.25);
+  assert.equal(maxDrawdown([]), 0);
+  assert.equal(sparkline([1, 2, 3, 4, 5, 6, 7, 8]), '▁▂▃▄▅▆▇█');
+  assert.equal(sparkline([5, 5, 5]), '▄▄▄');
+  assert.equal(sparkline([1]), '');
+  assert.equal(sparkline([8, 1, 2, 3], 3), '▁▅█');
+});
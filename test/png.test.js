@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { encodePNG, crc32 } = require('../lib/chart/png');
+const { renderSignalChart, fmtPrice, niceTicks } = require('../lib/chart');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PNG -> [{ type, data, crc }] after checking the signature and every chunk's CRC over type + data
+function readChunks(png) {
+  assert.deepEqual(png.subarray(0, 8), SIGNATURE);
+  const chunks = [];
+  for (let at = 8; at < png.length;) {
+    const len = png.readUInt32BE(at);
+    const body = png.subarray(at + 4, at + 8 + len);
+    const crc = png.readUInt32BE(at + 8 + len);
+    const type = body.subarray(0, 4).toString('ascii');
+    assert.equal(crc, crc32(body), `${type} CRC`);
+    chunks.push({ type, data: body.subarray(4), crc });
+    at += 12 + len;
+  }
+  return chunks;
+}
+
+test('crc32: the standard check value and the empty input', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+  assert.equal(crc32(Buffer.from('IEND')), 0xae426082);
+});
+
+test('encodePNG: signature, IHDR / IDAT / IEND with valid CRCs, unfiltered rows holding the pixels', () => {
+  // 3 x 2: red, green, blue / white, black, transparent
+  const rgba = Uint8Array.from([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 255, 255, 255, 255, 0, 0, 0, 255, 0, 0, 0, 0]);
+  const chunks = readChunks(encodePNG(3, 2, rgba));
+  assert.deepEqual(chunks.map(c => c.type), ['IHDR', 'IDAT', 'IEND']);
+  const ihdr = chunks[0].data;
+  assert.deepEqual([ihdr.readUInt32BE(0), ihdr.readUInt32BE(4), ...ihdr.subarray(8)], [3, 2, 8, 6, 0, 0, 0]);
+  const raw = zlib.inflateSync(chunks[1].data);
+  assert.equal(raw.length, (3 * 4 + 1) * 2);
+  assert.deepEqual([raw[0], raw[13]], [0, 0], 'filter byte per row');
+  assert.deepEqual(Buffer.concat([raw.subarray(1, 13), raw.subarray(14)]), Buffer.from(rgba));
+  assert.equal(chunks[2].data.length, 0);
+  assert.equal(chunks[2].crc, 0xae426082);
+});
+
+test('encodePNG: pixels read from a view into a larger buffer', () => {
+  const backing = new Uint8Array(12).fill(7);
+  const view = backing.subarray(4, 8).fill(200);
+  const raw = zlib.inflateSync(readChunks(encodePNG(1, 1, view))[1].data);
+  assert.deepEqual([...raw], [0, 200, 200, 200, 200]);
+});
+
+test('renderSignalChart: a PNG of the requested size with the trade levels drawn', () => {
+  const candles = Array.from({ length: 40 }, (_, i) => ({ t: i * 15 * 60 * 1000, open: 100 + i * 0.1, high: 101 + i * 0.1, low: 99 + i * 0.1, close: 100.5 + i * 0.1, vol: 1 }));
+  const idea = { ok: true, dir: 'LONG', entry: 104, sl: 102, tp: 106, tps: [106, 108, 110] };
+  const png = renderSignalChart({ symbol: 'BTCUSDT', interval: '15m', candles, idea }, { width: 320, height: 200 });
+  const chunks = readChunks(png);
+  assert.deepEqual([chunks[0].data.readUInt32BE(0), chunks[0].data.readUInt32BE(4)], [320, 200]);
+  assert.equal(zlib.inflateSync(chunks.find(c => c.type === 'IDAT').data).length, (320 * 4 + 1) * 200);
+  assert.ok(!png.equals(renderSignalChart({ symbol: 'BTCUSDT', interval: '15m', candles }, { width: 320, height: 200 })));
+});
+
+test('fmtPrice / niceTicks: digits by magnitude, round steps covering the range', () => {
+  assert.equal(fmtPrice(65432.123), '65432.12');
+  assert.equal(fmtPrice(1.234567), '1.2346');
+  assert.equal(fmtPrice(0.000012345678), '0.00001235');
+  assert.equal(fmtPrice(null), '');
+  assert.deepEqual(niceTicks(99, 111, 6), [100, 102, 104, 106, 108, 110]);
+  assert.deepEqual(niceTicks(5, 5), [5]);
+});
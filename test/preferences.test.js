@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PREFS, normalizePrefs, parseHHMM, parseQuietRange, localHHMM, inQuietHours, rejectReason } = require('../lib/preferences');
+
+// 2026-01-10 16:30 UTC = 23:30 in Ho Chi Minh City (UTC+7)
+const EVENING = Date.UTC(2026, 0, 10, 16, 30);
+const SAIGON = 'Asia/Ho_Chi_Minh';
+
+function prefs(extra = {}) {
+  return normalizePrefs({ timezone: SAIGON, ...extra });
+}
+
+test('parseHHMM / parseQuietRange: short and colon forms, out-of-range or empty ranges refused', () => {
+  assert.equal(parseHHMM('800'), '0800');
+  assert.equal(parseHHMM('08:00'), '0800');
+  assert.equal(parseHHMM('2359'), '2359');
+  for (const s of ['2400', '1260', '8', 'noon', null]) assert.equal(parseHHMM(s), null, String(s));
+  assert.deepEqual(parseQuietRange('23:00-6:30'), { quietFrom: '2300', quietTo: '0630' });
+  assert.deepEqual(parseQuietRange('2300 - 0630'), { quietFrom: '2300', quietTo: '0630' });
+  for (const s of ['2300-2300', '2500-0100', '2300', '']) assert.equal(parseQuietRange(s), null, s);
+});
+
+test('normalizePrefs: valid fields kept, broken ones back to the defaults', () => {
+  assert.deepEqual(normalizePrefs(), DEFAULT_PREFS);
+  assert.deepEqual(normalizePrefs({ minScore: '4', directions: 'long', quietFrom: '2300', quietTo: '0630', timezone: 'Europe/Berlin', lang: 'en', digest: '0800' }),
+    { minScore: 4, directions: 'long', quietFrom: '2300', quietTo: '0630', timezone: 'Europe/Berlin', lang: 'en', digest: '0800' });
+  const broken = normalizePrefs({ minScore: 'high', directions: 'up', quietFrom: '2300', quietTo: null, timezone: 'Mars/Olympus', lang: 'fr', digest: '8am' });
+  assert.deepEqual(broken, DEFAULT_PREFS);
+});
+
+test('inQuietHours: the window is in the user timezone, [from, to) and wrapping midnight', () => {
+  assert.equal(localHHMM(SAIGON, EVENING), 2330);
+  assert.equal(inQuietHours(prefs({ quietFrom: '2300', quietTo: '0630' }), EVENING), true);
+  assert.equal(inQuietHours(prefs({ quietFrom: '2300', quietTo: '0630' }), EVENING + 7 * 60 * 60 * 1000), false, '06:30 is awake again');
+  assert.equal(inQuietHours(prefs({ quietFrom: '2300', quietTo: '0630' }), EVENING - 31 * 60 * 1000), false, '22:59');
+  assert.equal(inQuietHours(prefs({ quietFrom: '1200', quietTo: '1400' }), EVENING), false);
+  assert.equal(inQuietHours(prefs({ quietFrom: '1200', quietTo: '1400', timezone: 'UTC' }), EVENING), false);
+  assert.equal(inQuietHours(prefs({ quietFrom: '1600', quietTo: '1700', timezone: 'UTC' }), EVENING), true);
+  assert.equal(inQuietHours(prefs(), EVENING), false, 'no window set');
+});
+
+test('rejectReason: score, then direction, then quiet hours', () => {
+  const idea = { dir: 'LONG', score: 3 };
+  assert.equal(rejectReason(prefs(), idea, EVENING), null);
+  assert.equal(rejectReason(prefs({ minScore: 4, directions: 'short', quietFrom: '2300', quietTo: '0630' }), idea, EVENING), 'score');
+  assert.equal(rejectReason(prefs({ minScore: 3, directions: 'short', quietFrom: '2300', quietTo: '0630' }), idea, EVENING), 'direction');
+  assert.equal(rejectReason(prefs({ directions: 'long', quietFrom: '2300', quietTo: '0630' }), idea, EVENING), 'quiet');
+  assert.equal(rejectReason(prefs({ directions: 'long' }), { dir: 'SHORT', score: 9 }, EVENING), 'direction');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration, isExpired, effectiveRole, hasRole, dueReminders, formatExpiry } = require('../lib/roles');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 0, 10, 12);
+
+function grant(userId, role, expiresAt = null) {
+  return { userId, role, grantedBy: '1', grantedAt: NOW - 30 * DAY, expiresAt };
+}
+
+test('parseDuration: minutes, hours, days and weeks; zero and junk are null', () => {
+  assert.equal(parseDuration('90m'), 90 * 60 * 1000);
+  assert.equal(parseDuration('12h'), 12 * HOUR);
+  assert.equal(parseDuration(' 30D '), 30 * DAY);
+  assert.equal(parseDuration('2w'), 14 * DAY);
+  for (const s of ['0d', '1y', 'd', '-3d', '1.5d', '', null]) assert.equal(parseDuration(s), null, String(s));
+});
+
+test('effectiveRole / hasRole: an expired grant counts as subscriber from its expiry on', () => {
+  const member = grant('7', 'member', NOW + HOUR);
+  assert.equal(isExpired(member, NOW), false);
+  assert.equal(effectiveRole(member, NOW), 'member');
+  assert.equal(hasRole(member, 'member', NOW), true);
+  assert.equal(hasRole(member, 'admin', NOW), false);
+  assert.equal(isExpired(member, NOW + HOUR), true, 'expiresAt itself is expired');
+  assert.equal(effectiveRole(member, NOW + HOUR), 'subscriber');
+  assert.equal(hasRole(member, 'member', NOW + HOUR), false);
+  assert.equal(hasRole(grant('1', 'admin'), 'member', NOW), true, 'no expiry, higher role');
+  assert.equal(effectiveRole(null, NOW), 'subscriber');
+  assert.equal(effectiveRole(grant('8', 'owner'), NOW), 'subscriber', 'unknown role');
+  assert.equal(hasRole(null, 'subscriber', NOW), true);
+});
+
+test('dueReminders: closest window per user, grants without expiry or already expired skipped', () => {
+  const perms = [grant('a', 'member', NOW + 2 * DAY), grant('b', 'member', NOW + 12 * HOUR), grant('c', 'member', NOW + 5 * DAY),
+    grant('d', 'admin'), grant('e', 'member', NOW - HOUR)];
+  const due = dueReminders(perms, { daysBefore: [3, 1], now: NOW });
+  assert.deepEqual(due.map(r => [r.perm.userId, r.days, r.covered]), [['a', 3, [3]], ['b', 1, [3, 1]]]);
+});
+
+test('dueReminders: a window already sent for this expiry is not repeated, a renewed grant starts over', () => {
+  const perm = grant('a', 'member', NOW + 2 * DAY);
+  const sent = { a: { expiresAt: perm.expiresAt, days: [3] } };
+  assert.deepEqual(dueReminders([perm], { sent, now: NOW }), []);
+  // a day later the 1-day window opens
+  assert.deepEqual(dueReminders([perm], { sent, now: NOW + 1.5 * DAY }).map(r => r.covered), [[1]]);
+  const renewed = { ...perm, expiresAt: NOW + 2.5 * DAY };
+  assert.deepEqual(dueReminders([renewed], { sent, now: NOW }).map(r => r.covered), [[3]]);
+});
+
+test('formatExpiry: never, expired, or the UTC time and what is left', () => {
+  assert.equal(formatExpiry(grant('a', 'member'), 'en', NOW), 'no expiry');
+  assert.equal(formatExpiry(grant('a', 'member', NOW), 'vi', NOW), 'đã hết hạn');
+  assert.equal(formatExpiry(grant('a', 'member', NOW + 2 * DAY + 5 * HOUR), 'en', NOW), 'expires 2026-01-12 17:00 UTC (2d 5h left)');
+  assert.equal(formatExpiry(grant('a', 'member', NOW + 3 * HOUR), 'vi', NOW), 'hết hạn 2026-01-10 15:00 UTC (còn 3h)');
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun, everyMinutes, dailyAt, createScheduler } = require('../lib/scheduler');
+
+const HOUR = 60 * 60 * 1000;
+const BERLIN = 'Europe/Berlin'; // 2026: CET -> CEST on Mar 29 at 02:00, back on Oct 25 at 03:00
+const iso = ms => new Date(ms).toISOString();
+
+// every slot after `from` up to `count`
+function slots(expr, timezone, from, count) {
+  const out = [];
+  for (let t = from; out.length < count;) out.push(iso(t = nextRun(expr, timezone, t)));
+  return out;
+}
+
+test('parseCron: lists, ranges, steps and Sunday as 7; bad fields throw BAD_CRON', () => {
+  const c = parseCron('0,30 8-20/4 1,15 * 7');
+  assert.deepEqual([...c.minute], [0, 30]);
+  assert.deepEqual([...c.hour], [8, 12, 16, 20]);
+  assert.deepEqual([...c.day], [1, 15]);
+  assert.equal(c.month.size, 12);
+  assert.ok(c.weekday.has(0));
+  assert.deepEqual([c.anyDay, c.anyWeekday], [false, false]);
+  assert.deepEqual([...parseCron('*/20 * * * *').minute], [0, 20, 40]);
+  for (const expr of ['* * * *', '60 * * * *', '0 24 * * *', '0 0 0 * *', '5-1 * * * *', '*/0 * * * *', 'x * * * *', '']) {
+    assert.throws(() => parseCron(expr), err => err.code === 'BAD_CRON', expr);
+  }
+});
+
+test('everyMinutes / dailyAt: shorthand to cron', () => {
+  assert.equal(everyMinutes(15), '*/15 * * * *');
+  assert.equal(everyMinutes(120), '0 */2 * * *');
+  assert.equal(dailyAt('2300'), '0 23 * * *');
+  assert.equal(dailyAt('7:05'), '5 7 * * *');
+  assert.throws(() => dailyAt('late'), err => err.code === 'BAD_CRON');
+});
+
+test('nextRun: day-of-month or day-of-week when both are restricted', () => {
+  // Jan 1 2026 is a Thursday: the 1st, then Mondays
+  assert.deepEqual(slots('0 9 1 * 1', 'UTC', Date.UTC(2025, 11, 31), 3), ['2026-01-01T09:00:00.000Z', '2026-01-05T09:00:00.000Z', '2026-01-12T09:00:00.000Z']);
+  assert.equal(iso(nextRun('0 0 29 2 *', 'UTC', Date.UTC(2026, 0, 1))), '2028-02-29T00:00:00.000Z');
+});
+
+test('nextRun: wall-clock time kept across spring-forward, the skipped local hour has no slot', () => {
+  assert.deepEqual(slots('0 23 * * *', BERLIN, Date.UTC(2026, 2, 28, 12), 2), ['2026-03-28T22:00:00.000Z', '2026-03-29T21:00:00.000Z']);
+  // 02:30 does not exist on Mar 29
+  assert.equal(iso(nextRun('30 2 * * *', BERLIN, Date.UTC(2026, 2, 28, 12))), '2026-03-30T00:30:00.000Z');
+});
+
+test('nextRun: a local minute repeated at fall-back runs once', () => {
+  assert.deepEqual(slots('30 2 * * *', BERLIN, Date.UTC(2026, 9, 24, 12), 2), ['2026-10-25T00:30:00.000Z', '2026-10-26T01:30:00.000Z']);
+  // 02:00 / 02:30 CEST, then straight to 03:00 CET
+  assert.deepEqual(slots('*/30 * * * *', BERLIN, Date.UTC(2026, 9, 24, 23, 50), 3), ['2026-10-25T00:00:00.000Z', '2026-10-25T00:30:00.000Z', '2026-10-25T02:00:00.000Z']);
+});
+
+// hourly job last run at 10:00 UTC, process back at 13:30
+function restarted(catchUp) {
+  let now = Date.UTC(2026, 0, 1, 13, 30);
+  const runs = { hourly: Date.UTC(2026, 0, 1, 10) };
+  const state = { get: name => runs[name] ?? null, set: (name, at) => { runs[name] = at; } };
+  const scheduler = createScheduler({ state, now: () => now });
+  const seen = [];
+  scheduler.add('hourly', '0 * * * *', ({ scheduledAt }) => { seen.push(iso(scheduledAt)); }, { catchUp });
+  return { scheduler, seen, runs, advance: ms => { now += ms; } };
+}
+
+test('scheduler: catchUp replays every missed slot in order, one per tick', async () => {
+  const { scheduler, seen, runs } = restarted(true);
+  for (let k = 0; k < 4; k++) await scheduler.tick();
+  assert.deepEqual(seen, ['2026-01-01T11:00:00.000Z', '2026-01-01T12:00:00.000Z', '2026-01-01T13:00:00.000Z']);
+  assert.equal(runs.hourly, Date.UTC(2026, 0, 1, 13));
+});
+
+test('scheduler: catchUp false runs only the latest missed slot, then waits for the next', async () => {
+  const { scheduler, seen, advance } = restarted(false);
+  await scheduler.tick();
+  await scheduler.tick();
+  assert.deepEqual(seen, ['2026-01-01T13:00:00.000Z']);
+  assert.equal(scheduler.list()[0].nextRun, Date.UTC(2026, 0, 1, 14));
+  advance(HOUR);
+  await scheduler.tick();
+  assert.deepEqual(seen, ['2026-01-01T13:00:00.000Z', '2026-01-01T14:00:00.000Z']);
+});
+
+test('scheduler: a job that never ran starts with the first slot after it was added; a throwing job is logged', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  let now = Date.UTC(2026, 0, 1, 9, 59);
+  const scheduler = createScheduler({ now: () => now });
+  let runs = 0;
+  scheduler.add('flaky', '0 10 * * *', () => { runs++; throw new Error('boom'); });
+  await scheduler.tick();
+  assert.equal(runs, 0);
+  now += 60 * 1000;
+  await scheduler.tick();
+  await scheduler.tick();
+  assert.equal(runs, 1);
+  assert.equal(errors.mock.callCount(), 1);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStore } = require('../lib/storage/json');
+const { createSqliteStore } = require('../lib/storage/sqlite');
+const { summarizeOutcomes } = require('../lib/outcomes');
+
+const H = 3600e3;
+
+// a: opened first, closed last; b: opened second, closed first; c: open; d: imported, untracked
+function seed(store) {
+  const sig = (id, openedAt) => ({ id, symbol: 'BTCUSDT', dir: 'LONG', entry: 100, sl: 90, tp: 120, source: 'auto', openedAt });
+  for (const [id, t] of [['a', 1 * H], ['b', 2 * H], ['c', 3 * H], ['d', 0]]) store.insertSignal(sig(id, t));
+  store.closeSignal('a', { status: 'TP', exit: 120, r: 2, closedAt: 10 * H });
+  store.closeSignal('b', { status: 'SL', exit: 90, r: -1, closedAt: 5 * H });
+  store.closeSignal('d', { status: 'UNTRACKED', exit: null, r: 0, closedAt: 0 });
+}
+
+for (const [driver, create] of [['json', f => createJsonStore(`${f}.json`)], ['sqlite', f => createSqliteStore(`${f}.db`)]]) {
+  test(`${driver} store: summarizeSignals matches summarizeOutcomes, listSignals orders by close time on request`, () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    const store = create(path.join(dir, 'bot'));
+    try {
+      seed(store);
+      assert.deepEqual(store.summarizeSignals(), summarizeOutcomes(store.listSignals()));
+      assert.deepEqual(store.summarizeSignals(), {
+        closed: 2, open: 1, tp: 1, sl: 1, expired: 0, wins: 1, losses: 1, winRate: 0.5, totalR: 1,
+      });
+      assert.deepEqual(store.summarizeSignals({ closedFrom: 6 * H }), summarizeOutcomes(store.listSignals({ closedFrom: 6 * H })));
+      assert.deepEqual(store.listSignals({ status: 'CLOSED' }).map(s => s.id), ['b', 'a', 'd']);
+      assert.deepEqual(store.listSignals({ status: 'CLOSED', orderBy: 'closedAt', limit: 2 }).map(s => s.id), ['a', 'b']);
+    } finally {
+      store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test(`${driver} store: watchlists per user, no duplicates, an emptied list disappears`, () => {
+    // added within the same millisecond, so compare each list sorted
+    const watches = store => Object.fromEntries(Object.entries(store.listWatches()).map(([uid, symbols]) => [uid, [...symbols].sort()]));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    const store = create(path.join(dir, 'bot'));
+    try {
+      store.addWatch(7, 'BTCUSDT');
+      store.addWatch('7', 'ETHUSDT');
+      store.addWatch(7, 'BTCUSDT');
+      store.addWatch(8, 'ETHUSDT');
+      assert.deepEqual(watches(store), { 7: ['BTCUSDT', 'ETHUSDT'], 8: ['ETHUSDT'] });
+      store.removeWatch(8, 'ETHUSDT');
+      store.removeWatch(7, 'SOLUSDT');
+      assert.deepEqual(watches(store), { 7: ['BTCUSDT', 'ETHUSDT'] });
+    } finally {
+      store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
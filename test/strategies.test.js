@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseStrategy, loadStrategyFile, strategyTimeframes, evaluateStrategy, createStrategyRegistry, DEFAULT_STRATEGY } = require('../lib/strategies');
+
+const SHIPPED = path.join(__dirname, '..', 'strategies');
+
+// smallest valid definition plus overrides
+function raw(extra = {}) {
+  return { name: 'test', conditions: [{ type: 'break', weight: 2 }], ...extra };
+}
+
+// primary-timeframe facts as analyzeCandles returns them, LONG after a CHoCH up
+function facts(extra = {}) {
+  return {
+    symbol: 'BTCUSDT', price: 100, dir: 'LONG', bos: { type: 'BOS_UP', kind: 'CHOCH' }, ob: {}, fvg: null, zone: null,
+    sweep: null, volume: null, liq: null, pattern: 'Hammer', structure: { range: null }, candles: [], ...extra,
+  };
+}
+
+function withDir(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'strategies-'));
+  try {
+    for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('parseStrategy: defaults filled in, target lists sorted', () => {
+  const s = parseStrategy(raw({ stops: { tp: 'rr', rr: [3, 1.5] } }));
+  assert.deepEqual(s, {
+    name: 'test', description: '', enabled: true, minScore: null, directions: 'both',
+    conditions: [{ type: 'break', weight: 2, required: false, not: false }], htf: {}, stops: { tp: 'rr', rr: [1.5, 3] },
+  });
+  assert.deepEqual(parseStrategy(raw({ conditions: [{ type: 'trend', timeframe: '4h', required: true }] })).conditions, [{ type: 'trend', weight: 0, required: true, not: false, timeframe: '4h' }]);
+});
+
+test('parseStrategy: bad definitions throw BAD_STRATEGY naming the source and the first problem', () => {
+  const cases = [
+    [[], /expected an object/],
+    [raw({ colour: 'red' }), /unknown field\(s\) colour/],
+    [raw({ name: 'no spaces' }), /name must be/],
+    [raw({ conditions: [] }), /conditions must be a non-empty list/],
+    [raw({ directions: 'up' }), /directions must be one of both\|long\|short/],
+    [raw({ conditions: [{ type: 'trend' }] }), /conditions\[0\]\.type "trend" unknown on the primary timeframe/],
+    [raw({ conditions: [{ type: 'trend', timeframe: '3x' }] }), /conditions\[0\]\.timeframe "3x" is not a timeframe/],
+    [raw({ conditions: [{ type: 'break', kind: 'MSS' }] }), /kind must be BOS or CHOCH/],
+    [raw({ conditions: [{ type: 'break', weight: '2' }] }), /weight must be a number/],
+    [raw({ htf: { mode: 'loose' } }), /htf\.mode must be one of strict\|score\|off/],
+    [raw({ stops: { sl: 'swing' } }), /stops\.sl must be one of structure\|atr\|percent/],
+    [raw({ stops: { tp: 'rr', rr: [2, -1] } }), /stops\.rr must be a list of positive numbers/],
+    [raw({ stops: { targets: 9 } }), /stops\.targets must be 1-5/],
+    [raw({ stops: { trailing: true } }), /unknown stops field\(s\) trailing/],
+  ];
+  for (const [def, message] of cases) {
+    assert.throws(() => parseStrategy(def, 'my.yaml'), err => err.code === 'BAD_STRATEGY' && err.message.startsWith('my.yaml: ') && message.test(err.message), message);
+  }
+});
+
+test('loadStrategyFile: the shipped JSON and YAML files parse; broken files are BAD_STRATEGY', () => {
+  const yaml = loadStrategyFile(path.join(SHIPPED, 'htf-pullback.yaml'));
+  assert.equal(yaml.name, 'htf-pullback');
+  assert.equal(yaml.file, 'htf-pullback.yaml');
+  assert.equal(yaml.enabled, false);
+  assert.deepEqual(yaml.htf, { mode: 'off' });
+  assert.deepEqual(yaml.stops.rr, [1.5, 2.5, 4]);
+  assert.ok(yaml.conditions.some(c => c.type === 'against' && c.not && c.timeframe === '1h'));
+  for (const f of fs.readdirSync(SHIPPED)) assert.ok(loadStrategyFile(path.join(SHIPPED, f)).conditions.length, f);
+
+  withDir({ 'bad.json': '{ "name": ', 'bad.yml': 'name: [unclosed', 'wrong.yaml': 'name: wrong\nconditions: nope\n' }, dir => {
+    assert.throws(() => loadStrategyFile(path.join(dir, 'bad.json')), err => err.code === 'BAD_STRATEGY' && /^bad\.json: /.test(err.message));
+    assert.throws(() => loadStrategyFile(path.join(dir, 'bad.yml')), err => err.code === 'BAD_STRATEGY' && /^bad\.yml: /.test(err.message));
+    assert.throws(() => loadStrategyFile(path.join(dir, 'wrong.yaml')), err => err.code === 'BAD_STRATEGY' && err.message === 'wrong.yaml: conditions must be a non-empty list');
+  });
+});
+
+test('strategyTimeframes: condition timeframes plus the HTF filter unless it is off', () => {
+  const s = parseStrategy(raw({ conditions: [{ type: 'trend', timeframe: '1d' }, { type: 'zone', timeframe: '15m' }] }));
+  assert.deepEqual(strategyTimeframes(s, '15m'), ['1d', '4h', '1h']);
+  assert.deepEqual(strategyTimeframes(s, '15m', { htfMode: 'off' }), ['1d']);
+  assert.deepEqual(strategyTimeframes(parseStrategy(raw({ htf: { mode: 'off' } }))), []);
+  assert.deepEqual(strategyTimeframes(parseStrategy(raw({ htf: { timeframes: ['1h'] } })), '1h'), []);
+});
+
+test('evaluateStrategy: weights add up, required and `not` conditions, directions and HTF conditions', () => {
+  const s = parseStrategy(raw({
+    minScore: 3,
+    conditions: [{ type: 'break', kind: 'CHOCH', weight: 2 }, { type: 'pattern', names: ['Hammer'], weight: 1 }, { type: 'sweep', not: true, weight: 1 }],
+    htf: { mode: 'off' }, stops: { sl: 'percent', slPct: 1, tp: 'rr', rr: [2] },
+  }));
+  const idea = evaluateStrategy(s, facts());
+  assert.deepEqual([idea.ok, idea.score, idea.note, idea.structure, idea.sl, idea.tp, idea.strategy], [true, 4, 'CHOCH_UP Hammer', 'CHOCH', 99, 102, 'test']);
+  assert.equal(evaluateStrategy(s, facts({ pattern: null, sweep: { type: 'SWEEP_LOW' } })).reason, 'Not enough confluence');
+  assert.equal(evaluateStrategy(s, facts({ dir: null })).reason, 'No market structure yet');
+  assert.equal(evaluateStrategy({ ...s, directions: 'short' }, facts()).reason, 'LONG ideas are off');
+
+  const htf = parseStrategy(raw({ minScore: 0, conditions: [{ type: 'trend', timeframe: '4h', required: true }], htf: { mode: 'off' } }));
+  assert.equal(evaluateStrategy(htf, facts()).reason, 'Missing 4h trend');
+  assert.equal(evaluateStrategy(htf, facts(), { bias: { '4h': { trend: 'UP' } } }).note, '4h:UP');
+});
+
+test('registry: loads every file, reports bad and duplicate ones, keeps the last good version', () => {
+  const a = JSON.stringify(raw({ name: 'alpha' }));
+  withDir({ 'a.json': a, 'b.yaml': 'name: beta\nenabled: false\nconditions:\n  - { type: zone, weight: 1 }\n', 'c.json': a, 'd.yml': 'nope: 1', 'notes.txt': 'x' }, dir => {
+    const registry = createStrategyRegistry({ dir });
+    const { loaded, errors } = registry.load();
+    assert.deepEqual(loaded, ['alpha', 'beta']);
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /c\.json: duplicate name "alpha"/);
+    assert.match(errors[1], /d\.yml: unknown field\(s\) nope/);
+    assert.deepEqual(registry.active().map(s => s.name), ['alpha']);
+
+    registry.setEnabled('beta', true);
+    registry.setEnabled('alpha', false);
+    assert.deepEqual(registry.list().map(s => [s.name, s.enabled]), [['alpha', false], ['beta', true]]);
+    assert.throws(() => registry.setEnabled('gamma', true), err => err.code === 'UNKNOWN_STRATEGY');
+
+    fs.writeFileSync(path.join(dir, 'a.json'), '{ broken');
+    const reloaded = registry.reload();
+    assert.deepEqual(reloaded.loaded, ['alpha', 'beta']);
+    assert.ok(reloaded.errors.some(e => /^a\.json: .*\(kept the previous version\)$/.test(e)));
+  });
+});
+
+test('registry: the built-in strategy when the directory holds no valid file', () => {
+  withDir({}, dir => {
+    const registry = createStrategyRegistry({ dir });
+    assert.deepEqual(registry.load(), { loaded: [], errors: [] });
+    assert.deepEqual(registry.active(), [DEFAULT_STRATEGY]);
+  });
+  const missing = createStrategyRegistry({ dir: path.join(os.tmpdir(), 'no-such-strategies-dir') });
+  assert.equal(missing.load().errors.length, 1);
+  assert.equal(missing.get('smc-structure'), DEFAULT_STRATEGY);
+});
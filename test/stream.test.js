@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { createKlineStream } = require('../lib/stream');
+
+const MIN = 60 * 1000;
+
+function bar(t, close = 100) { return { t, open: close, high: close + 1, low: close - 1, close, vol: 1 }; }
+
+// the payload of a Binance combined kline stream
+function klineEvent(symbol, t, closed, close = 100) {
+  return JSON.stringify({
+    stream: `${symbol.toLowerCase()}@kline_1m`,
+    data: { e: 'kline', s: symbol, k: { t, o: String(close), h: String(close + 1), l: String(close - 1), c: String(close), v: '1', x: closed } },
+  });
+}
+
+test('kline stream against a local WebSocket stand-in: close events, reconnect, backfill without double closes', async () => {
+  const server = new WebSocket.Server({ port: 0 });
+  await new Promise(resolve => server.once('listening', resolve));
+  const T = Math.floor(Date.now() / MIN) * MIN - 10 * MIN; // every bar used below is closed by now
+
+  const closes = [];
+  const urls = [];
+  const backfillCalls = [];
+  let backfilled;
+  const backfillDone = new Promise(resolve => { backfilled = resolve; });
+  let closedTwice;
+  const reachedEnd = new Promise(resolve => { closedTwice = resolve; });
+
+  let connection = 0;
+  server.on('connection', async (socket, req) => {
+    urls.push(req.url);
+    connection++;
+    if (connection === 1) {
+      socket.send(klineEvent('BTCUSDT', T + 5 * MIN, false));
+      socket.send(klineEvent('BTCUSDT', T + 5 * MIN, true, 101));
+      socket.send(klineEvent('BTCUSDT', T + 5 * MIN, true, 101)); // repeated close event
+      setTimeout(() => socket.terminate(), 50);                    // drop the connection
+    } else {
+      await backfillDone;
+      socket.send(klineEvent('BTCUSDT', T + 7 * MIN, true, 103)); // already emitted by the backfill
+      socket.send(klineEvent('BTCUSDT', T + 8 * MIN, true, 104));
+    }
+  });
+
+  const stream = createKlineStream({
+    url: `ws://127.0.0.1:${server.address().port}/stream`,
+    WebSocket,
+    symbols: ['BTCUSDT'],
+    interval: '1m',
+    logger: { log() {} },
+    seed: async () => [0, 1, 2, 3, 4].map(k => bar(T + k * MIN)),
+    backfill: async (symbol, interval, since) => {
+      backfillCalls.push({ symbol, interval, since });
+      setImmediate(backfilled);
+      return [bar(T + 6 * MIN, 102), bar(T + 7 * MIN, 103)];
+    },
+    onCandleClose: (symbol, candles) => {
+      closes.push({ symbol, t: candles[candles.length - 1].t, close: candles[candles.length - 1].close, count: candles.length });
+      if (candles[candles.length - 1].t === T + 8 * MIN) closedTwice();
+    },
+  });
+
+  let timer;
+  try {
+    await stream.start();
+    await Promise.race([reachedEnd, new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('timed out')), 8000); })]);
+    await new Promise(resolve => setTimeout(resolve, 50)); // let any stray duplicate arrive
+
+    assert.equal(urls.length, 2, 'reconnected once');
+    assert.equal(urls[0], '/stream?streams=btcusdt@kline_1m');
+    assert.deepEqual(backfillCalls, [{ symbol: 'BTCUSDT', interval: '1m', since: T + 5 * MIN }]);
+    assert.deepEqual(closes, [
+      { symbol: 'BTCUSDT', t: T + 5 * MIN, close: 101, count: 6 },
+      { symbol: 'BTCUSDT', t: T + 7 * MIN, close: 103, count: 8 },
+      { symbol: 'BTCUSDT', t: T + 8 * MIN, close: 104, count: 9 },
+    ]);
+    assert.ok(stream.isHealthy());
+    assert.equal(stream.getCandles('BTCUSDT').length, 9);
+  } finally {
+    clearTimeout(timer);
+    stream.stop();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeStructure, pickEntryZone, mitigation } = require('../lib/structure');
+
+const M15 = 15 * 60 * 1000;
+
+// 15m bars from closes, each opening at the previous close with 0.6 of wick on both sides
+// (wide enough that steady legs leave no gaps); `extra` overrides fields per index
+function series(closes, extra = {}) {
+  return closes.map((c, i) => {
+    const o = i ? closes[i - 1] : c - 1;
+    return { t: i * M15, open: o, high: Math.max(o, c) + 0.6, low: Math.min(o, c) - 0.6, close: c, vol: 1, ...extra[i] };
+  });
+}
+
+// closes from 100 in legs of [bars, step]
+function legs(...spec) {
+  const out = [];
+  let p = 100;
+  for (const [n, d] of spec) for (let j = 0; j < n; j++) out.push(p += d);
+  return out;
+}
+
+const UPTREND = [[4, 1], [3, -1], [4, 1], [3, -1], [4, 1], [3, -1]];
+
+test('analyzeStructure: BOS while the trend continues, CHOCH when it flips, each with its order block', () => {
+  const s = analyzeStructure(series(legs(...UPTREND, [5, -1])));
+  assert.deepEqual(s.swings.map(x => `${x.label}@${x.price}`), ['HH@104.6', 'LL@100.4', 'HH@105.6', 'HL@101.4', 'HH@106.6']);
+  assert.deepEqual(s.events.map(e => [e.i, e.type, e.dir, e.level]), [[10, 'BOS', 'UP', 104.6], [17, 'BOS', 'UP', 105.6], [22, 'CHOCH', 'DOWN', 101.4]]);
+  assert.equal(s.trend, 'DOWN');
+  assert.equal(s.lastEvent.type, 'CHOCH');
+  // the last up candle at the top of the leg that broke down
+  assert.deepEqual([s.lastEvent.ob.type, s.lastEvent.ob.i, s.lastEvent.ob.low, s.lastEvent.ob.high, s.lastEvent.ob.state], ['OB_BEAR', 17, 104.4, 106.6, 'UNMITIGATED']);
+  assert.equal(s.range.zone, 'DISCOUNT');
+});
+
+test('analyzeStructure: too few bars give the empty RANGE structure', () => {
+  const s = analyzeStructure(series([101, 102, 103, 104, 105, 106]));
+  assert.equal(s.trend, 'RANGE');
+  assert.deepEqual([s.swings, s.events, s.zones], [[], [], []]);
+});
+
+test('analyzeStructure: a wick through swing lows that closes back inside is a sweep, not a break', () => {
+  const s = analyzeStructure(series(legs(...UPTREND, [1, 0], [2, 1]), { 21: { low: 100 } }));
+  assert.equal(s.trend, 'UP');
+  assert.ok(s.events.every(e => e.dir === 'UP'));
+  assert.deepEqual(s.sweeps.map(x => [x.type, x.source, x.level, x.i]), [['SWEEP_LOW', 'SWING', 100.4, 21], ['SWEEP_LOW', 'SWING', 101.4, 21]]);
+});
+
+test('analyzeStructure: equal highs form a pool, swept by a wick above closing back below', () => {
+  const closes = legs([4, 1], [3, -1], [3, 1], [3, -1], [3, 1], [1, 0]);
+  const intact = analyzeStructure(series(closes));
+  assert.deepEqual(intact.equalHighs.map(g => [g.level, g.points.length, g.state]), [[104.6, 2, 'INTACT']]);
+  const swept = analyzeStructure(series(closes, { 16: { high: 105.2 } }));
+  assert.equal(swept.equalHighs[0].state, 'SWEPT');
+  assert.deepEqual(swept.sweeps[0], { type: 'SWEEP_HIGH', source: 'EQH', level: 104.6, t: 16 * M15, i: 16 });
+});
+
+test('analyzeStructure: FVG partly filled stays an entry zone, traded through it is mitigated and dropped', () => {
+  // displacement from 104 to 108 leaves a gap 104.6-107.4, then price retraces half of it
+  const closes = [...legs([4, 1], [3, -1], [4, 1], [3, -1], [2, 1]), 108, 109, 107];
+  const s = analyzeStructure(series(closes, { 18: { low: 106 } }));
+  assert.deepEqual(s.fvgs.map(g => [g.type, g.i, g.low, g.high, g.state, g.fill]), [['FVG_UP', 16, 104.6, 107.4, 'PARTIAL', 0.5]]);
+  const zone = pickEntryZone(s, 'LONG');
+  assert.deepEqual([zone.kind, zone.state, zone.distance], ['FVG', 'PARTIAL', 0]);
+  assert.equal(pickEntryZone(s, 'SHORT'), null);
+
+  const through = analyzeStructure(series([...closes, 104], { 18: { low: 106 } }));
+  assert.deepEqual(through.fvgs.map(g => [g.state, g.mitigatedAt]), [['MITIGATED', 19 * M15]]);
+  assert.ok(!through.zones.some(z => z.kind === 'FVG'));
+});
+
+test('mitigation: share of the zone price has traded into, from its far side', () => {
+  const zone = { dir: 'LONG', low: 100, high: 102 };
+  const bar = (t, low, high) => ({ t, low, high });
+  assert.deepEqual(mitigation(zone, [bar(1, 103, 104)]), { fill: 0, state: 'UNMITIGATED', mitigatedAt: null });
+  assert.deepEqual(mitigation(zone, [bar(1, 101.5, 104), bar(2, 101, 103)]), { fill: 0.5, state: 'PARTIAL', mitigatedAt: null });
+  assert.deepEqual(mitigation(zone, [bar(1, 101, 104), bar(2, 99, 103), bar(3, 98, 99)]), { fill: 1, state: 'MITIGATED', mitigatedAt: 2 });
+  assert.equal(mitigation({ dir: 'SHORT', low: 100, high: 102 }, [bar(1, 98, 101)]).fill, 0.5);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createFileProvider } = require('../lib/market/file');
+const { klineMetrics, rankUniverse, selectUniverse } = require('../lib/universe');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// `bars` hourly candles ending at `price`, each `rangePct` high-to-low, closes growing `drift` per bar
+function candles({ price, rangePct = 1, drift = 0, bars = 100 }) {
+  const out = [];
+  for (let i = 0; i < bars; i++) {
+    const close = price * (1 + drift) ** (i - bars + 1);
+    const open = out.length ? out[out.length - 1].close : close;
+    out.push({ t: i * 3600e3, open, high: close * (1 + rangePct / 200), low: close * (1 - rangePct / 200), close, vol: 1 });
+  }
+  return out;
+}
+
+// per-symbol kline shapes for the fixture: WIF is far too volatile, DOGE runs away from BTC
+const SHAPES = {
+  BTCUSDT: { rangePct: 0.5, drift: 0.0005 },
+  ETHUSDT: { rangePct: 0.8, drift: 0.001 },
+  SOLUSDT: { rangePct: 1.2, drift: 0.003 },
+  XRPUSDT: { rangePct: 0.7, drift: 0 },
+  DOGEUSDT: { rangePct: 1.1, drift: -0.004 },
+  WIFUSDT: { rangePct: 9, drift: 0.005 },
+  LINKUSDT: { rangePct: 0.9, drift: 0.002 },
+  ADAUSDT: { rangePct: 0.6, drift: -0.002 },
+};
+
+async function fixtureTickers() {
+  return createFileProvider({ dir: FIXTURES }).fetchTickers();
+}
+
+function fixtureKlines(tickers) {
+  const price = Object.fromEntries(tickers.map(t => [t.symbol, t.price]));
+  return async symbol => {
+    if (!SHAPES[symbol]) throw new Error(`no klines for ${symbol}`);
+    return candles({ price: price[symbol], ...SHAPES[symbol] });
+  };
+}
+
+test('klineMetrics: ATR% and return over rsBars, null without enough bars', () => {
+  assert.equal(klineMetrics(candles({ price: 100, bars: 10 }), 24), null);
+  const flat = klineMetrics(candles({ price: 100, rangePct: 2 }), 24);
+  assert.ok(Math.abs(flat.atrPct - 2) < 1e-9, `atrPct ${flat.atrPct}`);
+  assert.ok(Math.abs(flat.ret) < 1e-9);
+  const rising = klineMetrics(candles({ price: 100, rangePct: 2, drift: 0.01 }), 24);
+  assert.ok(Math.abs(rising.ret - (1.01 ** 24 - 1) * 100) < 1e-9, `ret ${rising.ret}`);
+});
+
+test('rankUniverse: factors a row has no data for are left out of its mean', () => {
+  const weights = { volume: 1, volatility: 1, momentum: 1, openInterest: 1, funding: 1 };
+  const ranked = rankUniverse([
+    { symbol: 'AUSDT', quoteVolume: 300, atrPct: 1, rs: 1, fundingRate: 0.0001, openInterest: 10 },
+    { symbol: 'BUSDT', quoteVolume: 200, atrPct: 3, rs: -3, fundingRate: null, openInterest: null },
+    { symbol: 'CUSDT', quoteVolume: 100, atrPct: 2, rs: 2, fundingRate: 0.0005, openInterest: 30 },
+  ], { weights });
+  const b = ranked.find(r => r.symbol === 'BUSDT');
+  assert.deepEqual(Object.keys(b.ranks).sort(), ['momentum', 'volatility', 'volume']);
+  // volume 0.5, volatility 1, momentum 1 -> mean of three, not of five with zeros
+  assert.equal(b.score, Math.round(((0.5 + 1 + 1) / 3) * 100));
+  assert.deepEqual(b.strong, ['volatility', 'momentum']);
+  assert.equal(ranked[0].symbol, 'BUSDT');
+});
+
+test('toTicker rows from the fixture: Binance and Bybit shapes normalise alike', async () => {
+  const tickers = await fixtureTickers();
+  const btc = tickers.find(t => t.symbol === 'BTCUSDT');
+  const eth = tickers.find(t => t.symbol === 'ETHUSDT');
+  assert.deepEqual(btc, { symbol: 'BTCUSDT', price: 60000, quoteVolume: 9e9, changePct: 1.2, fundingRate: 0.0001, openInterest: null });
+  assert.deepEqual(eth, { symbol: 'ETHUSDT', price: 3000, quoteVolume: 4e9, changePct: 2, fundingRate: 0.0002, openInterest: 5e9 });
+});
+
+test('selectUniverse: exclusions, ranking and size', async () => {
+  const tickers = await fixtureTickers();
+  const u = await selectUniverse({ tickers, getKlines: fixtureKlines(tickers), banned: ['LINKUSDT'], options: { size: 3 } });
+  const ranked = u.ranked.map(r => r.symbol);
+
+  assert.equal(u.listed, tickers.length);
+  assert.ok(!ranked.includes('USDCUSDT'), 'stablecoin pair is no candidate');
+  assert.ok(!ranked.includes('ETHBTC'), 'other quote currencies are ignored');
+  assert.ok(!ranked.includes('ADAUSDT'), 'pairs below the volume floor are not ranked');
+  assert.deepEqual(u.excluded.find(x => x.symbol === 'LINKUSDT'), { symbol: 'LINKUSDT', reason: 'banned' });
+  assert.deepEqual(u.excluded.find(x => x.symbol === 'WIFUSDT'), { symbol: 'WIFUSDT', reason: 'volatility' });
+  assert.equal(u.candidates, 6); // BTC ETH SOL XRP DOGE WIF: LINK banned, ADA under the floor
+
+  assert.equal(u.symbols.length, 3);
+  assert.deepEqual(u.symbols, u.ranked.slice(0, 3).map(r => r.symbol));
+  assert.ok(u.ranked.every((r, k) => r.rank === k + 1 && r.selected === k < 3));
+  const btc = u.ranked.find(r => r.symbol === 'BTCUSDT');
+  assert.equal(btc.rs, 0);
+});
+
+test('selectUniverse: pinned symbols count toward the size, even under the volume floor or too volatile', async () => {
+  const tickers = await fixtureTickers();
+  const u = await selectUniverse({
+    tickers, getKlines: fixtureKlines(tickers), pinned: ['ADAUSDT', 'WIFUSDT', 'NOPEUSDT'], options: { size: 3 },
+  });
+  assert.ok(u.symbols.includes('ADAUSDT'));
+  assert.ok(u.symbols.includes('WIFUSDT'));
+  assert.equal(u.symbols.length, 3);
+  assert.ok(u.ranked.find(r => r.symbol === 'ADAUSDT').pinned);
+  assert.deepEqual(u.excluded.find(x => x.symbol === 'NOPEUSDT'), { symbol: 'NOPEUSDT', reason: 'unlisted' });
+});
+
+test('selectUniverse: banned wins over pinned; missing klines and benchmark are reported, not fatal', async () => {
+  const tickers = await fixtureTickers();
+  const getKlines = async symbol => {
+    if (symbol === 'BTCUSDT' || symbol === 'XRPUSDT') throw new Error('offline');
+    return fixtureKlines(tickers)(symbol);
+  };
+  const u = await selectUniverse({ tickers, getKlines, pinned: ['SOLUSDT'], banned: ['SOLUSDT'], options: { size: 2 } });
+  assert.ok(!u.symbols.includes('SOLUSDT'));
+  assert.deepEqual(u.excluded.find(x => x.symbol === 'XRPUSDT'), { symbol: 'XRPUSDT', reason: 'klines' });
+  assert.ok(u.ranked.every(r => r.rs === null && !('momentum' in r.ranks)));
+});
+
+test('selectUniverse: open interest from getOpenInterest is converted to USDT', async () => {
+  const tickers = (await fixtureTickers()).map(t => ({ ...t, openInterest: null }));
+  const u = await selectUniverse({ tickers, getKlines: fixtureKlines(tickers), getOpenInterest: async () => 10, options: { size: 2 } });
+  const sol = u.ranked.find(r => r.symbol === 'SOLUSDT');
+  assert.equal(sol.openInterest, 1500);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { watchersBySymbol, watchAudience, isRepeatAlert } = require('../lib/watchlist');
+
+test('watchersBySymbol: each watched symbol once, with every user watching it', () => {
+  assert.deepEqual(watchersBySymbol({ 7: ['BTCUSDT', 'ETHUSDT'], 8: ['ETHUSDT'], 9: [] }), { BTCUSDT: ['7'], ETHUSDT: ['7', '8'] });
+  assert.deepEqual(watchersBySymbol({}), {});
+  assert.deepEqual(watchersBySymbol(null), {});
+});
+
+test('watchAudience: only watchers that are members, whatever the id type', () => {
+  assert.deepEqual(watchAudience(['7', '8', '9'], ['9', 7]), ['7', '9']);
+  assert.deepEqual(watchAudience(['7'], []), []);
+});
+
+test('isRepeatAlert: the last alert still open in the same direction holds a new one back', () => {
+  const idea = { dir: 'LONG' };
+  assert.equal(isRepeatAlert({ status: 'OPEN', dir: 'LONG' }, idea), true);
+  assert.equal(isRepeatAlert({ status: 'OPEN', dir: 'SHORT' }, idea), false);
+  assert.equal(isRepeatAlert({ status: 'TP', dir: 'LONG' }, idea), false);
+  assert.equal(isRepeatAlert(null, idea), false);
+});